@@ -0,0 +1,112 @@
+// Alert Dialog Class
+// A modal alert with up to three buttons, the equivalent of a Forms alert
+// shown with SHOW_ALERT. open() resolves with the number of the button
+// pressed (1, 2 or 3). The default button has the focus; Tab and the arrow
+// keys move between the buttons in reading order, so on a right-to-left page
+// button 1 is on the right.
+//
+// alerts: { AL_CAUTION_3A: { title: 'אזהרה', message: '...', style: 'caution',
+//                            buttons: ['ביטול', 'כן', 'לא'], defaultButton: 2 } }
+class AlertDialog {
+  constructor(definition = {}) {
+    this.name = definition.name || '';
+    this.title = definition.title || '';
+    this.message = definition.message || '';
+    this.style = definition.style || 'note';
+    this.buttons = (definition.buttons || [MessageCatalog.text('OK')]).slice(0, 3);
+    this.defaultButton = definition.defaultButton || 1;
+    this.backdrop = null;
+    this.buttonElements = [];
+    this.previousFocus = null;
+    this.choose = null;
+  }
+
+  open() {
+    return new Promise(resolve => {
+      this.choose = button => {
+        this.close();
+        resolve(button);
+      };
+      this.create();
+    });
+  }
+
+  create() {
+    this.backdrop = document.createElement('div');
+    this.backdrop.className = 'alert-backdrop';
+
+    const dialog = document.createElement('div');
+    dialog.className = `lov-window alert-dialog alert-${this.style}`;
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const id = ++AlertDialog.count;
+    if (this.title) {
+      const header = document.createElement('div');
+      header.className = 'lov-header';
+      header.id = `alert-title-${id}`;
+      header.textContent = this.title;
+      dialog.setAttribute('aria-labelledby', header.id);
+      dialog.appendChild(header);
+    }
+
+    const message = document.createElement('p');
+    message.className = 'alert-message';
+    message.id = `alert-message-${id}`;
+    message.textContent = this.message;
+    dialog.setAttribute('aria-describedby', message.id);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'dashboard-button-group';
+    this.buttonElements = this.buttons.map((label, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = index + 1 === this.defaultButton
+        ? 'dashboard-btn dashboard-btn-primary'
+        : 'dashboard-btn dashboard-btn-secondary';
+      button.textContent = label;
+      button.onclick = () => this.choose(index + 1);
+      buttons.appendChild(button);
+      return button;
+    });
+    dialog.addEventListener('keydown', (e) => this.handleKey(e));
+
+    dialog.appendChild(message);
+    dialog.appendChild(buttons);
+    this.backdrop.appendChild(dialog);
+    document.body.appendChild(this.backdrop);
+
+    this.previousFocus = document.activeElement;
+    const focused = this.buttonElements[this.defaultButton - 1] || this.buttonElements[0];
+    focused.focus();
+  }
+
+  // Keeps the focus on the buttons while the alert is open.
+  handleKey(e) {
+    const index = this.buttonElements.indexOf(document.activeElement);
+    let step = 0;
+    if (e.key === 'Tab') {
+      step = e.shiftKey ? -1 : 1;
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      const dirElement = this.backdrop.closest('[dir]');
+      const rtl = !!dirElement && dirElement.dir === 'rtl';
+      step = (e.key === 'ArrowRight') !== rtl ? 1 : -1;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    const count = this.buttonElements.length;
+    this.buttonElements[(Math.max(index, 0) + step + count) % count].focus();
+  }
+
+  close() {
+    if (this.backdrop && this.backdrop.parentNode) {
+      this.backdrop.parentNode.removeChild(this.backdrop);
+    }
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+}
+
+AlertDialog.count = 0;
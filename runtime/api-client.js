@@ -0,0 +1,13 @@
+// API Client Class
+// Every call the runtime makes to the backend's API goes through fetch()
+// here, which adds an X-Api-Version header with the version of the API
+// contract (tools/dev-server/contract.json) the runtime speaks, so that the
+// backend can refuse a version it does not serve.
+class ApiClient {
+  static fetch(url, options = {}) {
+    const headers = Object.assign({ 'X-Api-Version': ApiClient.VERSION }, options.headers);
+    return fetch(url, Object.assign({}, options, { headers: headers }));
+  }
+}
+
+ApiClient.VERSION = '2.3.0';
@@ -0,0 +1,369 @@
+// Record Class
+// One row of a block. status follows Forms: NEW (blank), INSERT (new and
+// edited), QUERIED, CHANGED (queried, then edited). original holds the
+// values as last read from or written to the database, for locking.
+class Record {
+  constructor(values = {}, status = 'NEW') {
+    this.values = Object.assign({}, values);
+    this.status = status;
+    this.original = status === 'QUERIED' ? Object.assign({}, values) : null;
+    this.changedItems = new Set();
+  }
+
+  markChanged(name) {
+    if (name) this.changedItems.add(name);
+    if (this.status === 'NEW') {
+      this.status = 'INSERT';
+    } else if (this.status === 'QUERIED') {
+      this.status = 'CHANGED';
+    }
+  }
+}
+
+// Block Class
+// A Forms data block: owns its items and the records queried into it. The
+// items display the block's current record; a block bound to a table
+// (options.table) shows recordsDisplayed records at once, one per row.
+class Block {
+  constructor(form, name, options = {}) {
+    this.form = form;
+    this.name = name.toUpperCase();
+    this.items = new Map();
+    this.database = options.database !== false;
+    this.queryUrl = options.queryUrl || null;
+    // The items the block's DEFAULT_WHERE references, as 'HEADER.TAB_NO';
+    // their values go with every query. The where clause and ORDER BY
+    // themselves are the server's, kept by block name, so no SQL is sent.
+    this.binds = (options.binds || []).map(reference => reference.toUpperCase());
+    // A SET_BLOCK_PROPERTY of DEFAULT_WHERE or ORDER_BY: { id, binds }, a
+    // clause of the form's plsql-statements.json that the server uses in
+    // place of the block's own, with the values it was set with.
+    this.defaultWhere = null;
+    this.orderBy = null;
+    // Columns identifying a row in updates and deletes; without them the
+    // whole queried row is the key.
+    this.primaryKey = options.primaryKey || [];
+    // Column holding a row version or ROWID. When set, updates and deletes
+    // are checked against it instead of against every original value.
+    this.versionColumn = options.versionColumn || null;
+    this.insertAllowed = options.insertAllowed !== false;
+    this.updateAllowed = options.updateAllowed !== false;
+    this.deleteAllowed = options.deleteAllowed !== false;
+    this.queryAllowed = options.queryAllowed !== false;
+    // Navigation: itemOrder lists the items in Tab order (the rest follow in
+    // document order); navigationStyle decides where Tab goes after the last
+    // item: 'same-record', 'change-record' or 'change-block'; nextBlock and
+    // previousBlock override the block order for KEY-NXTBLK and KEY-PRVBLK.
+    this.itemOrder = (options.itemOrder || []).map(item => item.toUpperCase());
+    this.navigationStyle = options.navigationStyle || 'same-record';
+    this.nextBlock = options.nextBlock || null;
+    this.previousBlock = options.previousBlock || null;
+    this.deletedRecords = [];
+    // The { criteria, binds } of the last query, for printing.
+    this.lastQuery = null;
+    this.records = [];
+    this.currentIndex = -1;
+    this.topIndex = 0;
+    this.coordinated = true;
+    this.table = null;
+    this.recordsDisplayed = 1;
+
+    if (options.table) {
+      const table = document.querySelector(options.table);
+      if (table) {
+        this.table = new RecordTable(this, table, options);
+        this.recordsDisplayed = this.table.rows.length;
+      } else {
+        console.warn(`Table ${options.table} of block ${this.name} not found`);
+      }
+    }
+  }
+
+  getProperty(name) {
+    const property = Block.PROPERTIES[name.toUpperCase()];
+    if (!property) throw new Error(`Unknown block property ${name}`);
+    return this[property];
+  }
+
+  // SET_BLOCK_PROPERTY.
+  setProperty(name, value) {
+    const property = Block.PROPERTIES[name.toUpperCase()];
+    if (!property) throw new Error(`Unknown block property ${name}`);
+    this[property] = value;
+  }
+
+  // Whether a commit operation (INSERT, UPDATE, DELETE) is allowed.
+  allows(operation) {
+    return this[`${operation.toLowerCase()}Allowed`];
+  }
+
+  addItem(field) {
+    field.block = this.name;
+    this.items.set(field.name, field);
+  }
+
+  getItem(name) {
+    return this.items.get(name) ||
+      Array.from(this.items.values()).find(field => field.name.toUpperCase() === name.toUpperCase());
+  }
+
+  getValue(name) {
+    const field = this.getItem(name);
+    if (field) return field.typedValue;
+    const record = this.currentRecord;
+    return record && record.values[name] !== undefined ? record.values[name] : null;
+  }
+
+  get currentRecord() {
+    return this.records[this.currentIndex] || null;
+  }
+
+  get isEmpty() {
+    return this.records.every(record => record.status === 'NEW');
+  }
+
+  // Navigable items in Tab order.
+  navigationItems() {
+    const rank = field => {
+      const index = this.itemOrder.indexOf(field.name.toUpperCase());
+      return index === -1 ? this.itemOrder.length : index;
+    };
+    return Array.from(this.items.values())
+      .filter(field => field.isNavigable())
+      .sort((a, b) => rank(a) - rank(b));
+  }
+
+  firstNavigableItem() {
+    return this.navigationItems()[0];
+  }
+
+  get hasChanges() {
+    return this.deletedRecords.length > 0 ||
+      this.records.some(record => record.status === 'INSERT' || record.status === 'CHANGED');
+  }
+
+  get isLastRecord() {
+    return this.currentIndex >= this.records.length - 1;
+  }
+
+  // Creates the current record on first edit of an empty block.
+  ensureRecord() {
+    if (!this.currentRecord) {
+      this.insertRecord(this.records.length);
+    }
+    return this.currentRecord;
+  }
+
+  insertRecord(index) {
+    this.records.splice(index, 0, new Record());
+    this.currentIndex = index;
+    this.calculate(this.currentRecord);
+    this.form.summarize(this);
+    return this.currentRecord;
+  }
+
+  removeRecord(index) {
+    this.records.splice(index, 1);
+    if (this.currentIndex >= this.records.length) {
+      this.currentIndex = this.records.length - 1;
+    }
+    this.form.summarize(this);
+  }
+
+  // Removes a record and, unless it was never saved, keeps it for the next
+  // commit to delete.
+  deleteRecord(index) {
+    const record = this.records[index];
+    if (record.status === 'QUERIED' || record.status === 'CHANGED') {
+      this.deletedRecords.push(record);
+    }
+    this.removeRecord(index);
+  }
+
+  // Primary key of the row as queried, so an edited key still finds it.
+  keyOf(record) {
+    const values = this.columnValues(record.original || record.values);
+    const columns = this.primaryKey.length > 0 ? this.primaryKey : Object.keys(values);
+    const key = {};
+    columns.forEach(column => {
+      key[column] = values[column] !== undefined ? values[column] : null;
+    });
+    return key;
+  }
+
+  // Primary key columns the record has no value for.
+  missingKey(record) {
+    return this.primaryKey.filter(column => {
+      const value = record.values[column];
+      return value === null || value === undefined || value === '';
+    });
+  }
+
+  // State saved before a commit, so a rejected commit can be undone.
+  snapshot() {
+    return {
+      records: this.records.map(record => ({
+        record: record,
+        values: Object.assign({}, record.values),
+        original: record.original,
+        status: record.status,
+        changedItems: new Set(record.changedItems)
+      })),
+      deletedRecords: this.deletedRecords.slice(),
+      currentIndex: this.currentIndex
+    };
+  }
+
+  restore(snapshot) {
+    this.records = snapshot.records.map(saved => {
+      saved.record.values = saved.values;
+      saved.record.original = saved.original;
+      saved.record.status = saved.status;
+      saved.record.changedItems = saved.changedItems;
+      return saved.record;
+    });
+    this.deletedRecords = snapshot.deletedRecords;
+    this.currentIndex = snapshot.currentIndex;
+    this.display();
+    this.form.summarize(this);
+  }
+
+  // Replaces a record with the row now in the database; a row deleted by
+  // another user leaves the block.
+  refreshRecord(record, values) {
+    this.deletedRecords = this.deletedRecords.filter(deleted => deleted !== record);
+    if (!values) {
+      const index = this.records.indexOf(record);
+      if (index !== -1) this.removeRecord(index);
+      return;
+    }
+
+    record.values = Object.assign({}, values);
+    record.original = Object.assign({}, values);
+    record.status = 'QUERIED';
+    record.changedItems.clear();
+    this.calculate(record);
+    if (!this.records.includes(record)) {
+      this.records.push(record);
+      if (this.currentIndex === -1) this.currentIndex = 0;
+    }
+    this.form.summarize(this);
+  }
+
+  // After a successful commit every record is as stored in the database.
+  markCommitted() {
+    this.deletedRecords = [];
+    this.records.forEach(record => {
+      if (record.status !== 'NEW') {
+        record.status = 'QUERIED';
+        record.original = Object.assign({}, record.values);
+      }
+      record.changedItems.clear();
+    });
+  }
+
+  // Copies an edited item value into the current record, and works out
+  // again what is calculated from it.
+  storeItem(field) {
+    const record = this.ensureRecord();
+    record.values[field.name] = field.typedValue;
+    record.markChanged(field.name);
+    this.calculate(record);
+    this.items.forEach((item, name) => {
+      if (item.formula) item.show(record.values[name]);
+    });
+    this.form.summarize(this);
+  }
+
+  // Sets the record's formula items (see FormField.formula); the record's
+  // status stays as it is.
+  calculate(record) {
+    this.items.forEach((field, name) => {
+      if (field.formula) record.values[name] = field.calculate(record.values, this.form);
+    });
+  }
+
+  // A record's values without its calculated items, which are no columns.
+  columnValues(values) {
+    const columns = Object.assign({}, values);
+    this.items.forEach((field, name) => {
+      if (field.isCalculated) delete columns[name];
+    });
+    return columns;
+  }
+
+  // Copies every item into the current record without changing its status.
+  captureItems() {
+    const record = this.currentRecord;
+    if (!record) return;
+    this.items.forEach((field, name) => {
+      record.values[name] = field.typedValue;
+    });
+  }
+
+  populate(rows) {
+    this.records = rows.map(row => new Record(row, 'QUERIED'));
+    this.records.forEach(record => this.calculate(record));
+    this.currentIndex = this.records.length > 0 ? 0 : -1;
+    this.topIndex = 0;
+    this.coordinated = true;
+    this.display();
+    this.form.summarize(this);
+  }
+
+  // Keeps the current record inside the visible rows.
+  scrollIntoView() {
+    if (this.currentIndex < this.topIndex) {
+      this.topIndex = Math.max(this.currentIndex, 0);
+    } else if (this.currentIndex >= this.topIndex + this.recordsDisplayed) {
+      this.topIndex = this.currentIndex - this.recordsDisplayed + 1;
+    }
+  }
+
+  // Shows the current record in the block's items.
+  display() {
+    this.scrollIntoView();
+    if (this.table) {
+      this.table.render();
+      return;
+    }
+
+    const record = this.currentRecord;
+    this.items.forEach((field, name) => {
+      field.show(record && record.values[name] !== undefined ? record.values[name] : '');
+      field.errorMsg = '';
+      field.needsValidation = false;
+      this.form.setFieldError(field, '');
+      this.form.renderItem(field);
+    });
+  }
+
+  clear() {
+    this.records = [];
+    this.deletedRecords = [];
+    this.currentIndex = -1;
+    this.topIndex = 0;
+    this.items.forEach(field => {
+      field.clear();
+      this.form.setFieldError(field, '');
+      this.form.renderItem(field);
+    });
+    if (this.table) {
+      this.table.render();
+    }
+    this.form.summarize(this);
+  }
+}
+
+// SET_BLOCK_PROPERTY names -> Block property.
+Block.PROPERTIES = {
+  NAVIGATION_STYLE: 'navigationStyle',
+  NEXT_NAVIGATION_BLOCK: 'nextBlock',
+  PREVIOUS_NAVIGATION_BLOCK: 'previousBlock',
+  INSERT_ALLOWED: 'insertAllowed',
+  UPDATE_ALLOWED: 'updateAllowed',
+  DELETE_ALLOWED: 'deleteAllowed',
+  QUERY_ALLOWED: 'queryAllowed',
+  DEFAULT_WHERE: 'defaultWhere',
+  ORDER_BY: 'orderBy'
+};
@@ -0,0 +1,188 @@
+// Canvas Class
+// A region of the page shown and hidden as one view. type 'content' is the
+// window's base view (only one is shown at a time); 'stacked' views are shown
+// over it independently; a 'tab' canvas holds tab pages, one of them on top.
+//
+// canvases: { PAGE_2: { element: '#page_2' },
+//             PAGE_3: { element: '#page_3', type: 'stacked', visible: false },
+//             DETAILS: { type: 'tab', pages: 'section.dashboard-section' } }
+// pages is a selector, each match becoming a page named by its id (or
+// PAGE_n) and labelled by its heading, or { NAME: selector | { element, label } }.
+class Canvas {
+  constructor(manager, name, definition = {}) {
+    this.manager = manager;
+    this.name = name.toUpperCase();
+    this.type = definition.type || 'content';
+    this.pages = new Map();
+    this.topmostPage = null;
+    this.element = this.type === 'tab'
+      ? this.createTabCanvas(definition.pages || {})
+      : document.querySelector(definition.element);
+
+    if (!this.element) {
+      console.warn(`Canvas ${this.name} not found`);
+      return;
+    }
+    this.element.classList.add('canvas', `canvas-${this.type}`);
+    this.element.dataset.canvas = this.name;
+    this.element.hidden = definition.visible === false;
+  }
+
+  get isVisible() {
+    return !!this.element && !this.element.hidden;
+  }
+
+  // Collects the pages into one container, after a tab bar, where the first
+  // page was.
+  createTabCanvas(pages) {
+    const entries = typeof pages === 'string'
+      ? Array.from(document.querySelectorAll(pages)).map((element, index) => [element.id || `PAGE_${index + 1}`, element])
+      : Object.entries(pages).map(([pageName, page]) => {
+        const selector = typeof page === 'string' ? page : page.element;
+        return [pageName, document.querySelector(selector), page.label];
+      });
+
+    const found = entries.filter(([pageName, element]) => {
+      if (!element) console.warn(`Tab page ${pageName} of canvas ${this.name} not found`);
+      return element;
+    });
+    if (found.length === 0) return null;
+
+    const container = document.createElement('div');
+    const tabBar = document.createElement('div');
+    tabBar.className = 'canvas-tabs';
+    tabBar.setAttribute('role', 'tablist');
+    container.appendChild(tabBar);
+    found[0][1].parentNode.insertBefore(container, found[0][1]);
+
+    found.forEach(([pageName, element, label]) => {
+      const heading = element.querySelector('h1, h2, h3');
+      const page = {
+        name: pageName.toUpperCase(),
+        label: label || (heading ? heading.textContent.trim() : pageName),
+        element: element,
+        tab: document.createElement('button')
+      };
+      page.tab.type = 'button';
+      page.tab.className = 'canvas-tab';
+      page.tab.textContent = page.label;
+      page.tab.setAttribute('role', 'tab');
+      page.tab.addEventListener('click', () => this.manager.selectTab(this, page));
+      tabBar.appendChild(page.tab);
+
+      element.classList.add('canvas-tab-page');
+      element.setAttribute('role', 'tabpanel');
+      container.appendChild(element);
+      this.pages.set(page.name, page);
+    });
+
+    this.selectPage(found[0][0].toUpperCase());
+    return container;
+  }
+
+  selectPage(pageName) {
+    const selected = this.pages.get(pageName.toUpperCase());
+    if (!selected) return false;
+
+    this.pages.forEach(page => {
+      const isTop = page === selected;
+      page.element.hidden = !isTop;
+      page.tab.classList.toggle('active', isTop);
+      page.tab.setAttribute('aria-selected', isTop ? 'true' : 'false');
+    });
+    this.topmostPage = selected.name;
+    return true;
+  }
+
+  pageOf(element) {
+    return Array.from(this.pages.values()).find(page => page.element.contains(element)) || null;
+  }
+
+  contains(element) {
+    return !!this.element && this.element.contains(element);
+  }
+}
+
+// Canvas Manager Class
+// The form's canvases: SHOW_VIEW, HIDE_VIEW and view properties, and
+// bringing into view the canvas of an item the cursor moves to.
+class CanvasManager {
+  constructor(form, definitions = {}) {
+    this.form = form;
+    this.canvases = new Map();
+    this.zIndex = 1;
+
+    Object.entries(definitions).forEach(([name, definition]) => {
+      const canvas = new Canvas(this, name, definition);
+      if (canvas.element) this.canvases.set(canvas.name, canvas);
+    });
+  }
+
+  // A canvas by name, or the tab canvas holding a page of that name.
+  find(name) {
+    const upper = name.toUpperCase();
+    if (this.canvases.has(upper)) return { canvas: this.canvases.get(upper), page: null };
+
+    const canvas = Array.from(this.canvases.values()).find(tabCanvas => tabCanvas.pages.has(upper));
+    return canvas ? { canvas: canvas, page: upper } : null;
+  }
+
+  show(name) {
+    const view = this.find(name);
+    if (!view) throw new Error(`View ${name} not found`);
+
+    const { canvas, page } = view;
+    if (canvas.type === 'content') {
+      this.canvases.forEach(other => {
+        if (other.type === 'content' && other !== canvas) other.element.hidden = true;
+      });
+    }
+    canvas.element.hidden = false;
+    if (canvas.type === 'stacked') this.raise(canvas);
+    if (page) canvas.selectPage(page);
+  }
+
+  hide(name) {
+    const view = this.find(name);
+    if (!view) throw new Error(`View ${name} not found`);
+    view.canvas.element.hidden = true;
+  }
+
+  raise(canvas) {
+    canvas.element.style.zIndex = ++this.zIndex;
+  }
+
+  isVisible(name) {
+    const view = this.find(name);
+    if (!view) throw new Error(`View ${name} not found`);
+    return view.canvas.isVisible && (!view.page || view.canvas.topmostPage === view.page);
+  }
+
+  topmostPage(name) {
+    const view = this.find(name);
+    return view ? view.canvas.topmostPage : null;
+  }
+
+  // Shows every canvas and tab page the element is on.
+  reveal(element) {
+    this.canvases.forEach(canvas => {
+      if (!canvas.contains(element)) return;
+      if (!canvas.isVisible) this.show(canvas.name);
+      const page = canvas.pageOf(element);
+      if (page && canvas.topmostPage !== page.name) canvas.selectPage(page.name);
+    });
+  }
+
+  // A tab clicked by the user: the page comes to the top, then
+  // WHEN-TAB-PAGE-CHANGED fires and the cursor moves to the page's first
+  // navigable item.
+  async selectTab(canvas, page) {
+    if (canvas.topmostPage === page.name) return;
+    canvas.selectPage(page.name);
+
+    await this.form.fireTrigger('WHEN-TAB-PAGE-CHANGED', null, { block: null, canvas: canvas.name, page: page.name });
+    const first = Array.from(this.form.fields.values())
+      .find(field => page.element.contains(field.element) && field.isNavigable());
+    if (first) await this.form.goField(first);
+  }
+}
@@ -0,0 +1,130 @@
+// Conflict Dialog Class
+// Shown when a commit finds that another user changed or deleted a record
+// since it was queried. Lists the columns that differ and resolves open()
+// with the user's choice: 'requery', 'overwrite' or 'cancel'. As in an
+// AlertDialog, Re-query has the focus, Tab and the arrow keys move between
+// the buttons in reading order, and Escape cancels.
+class ConflictDialog {
+  // columns: [{ label, mine, original, database }]
+  constructor(title, columns, options = {}) {
+    this.title = title;
+    this.columns = columns;
+    this.deleted = !!options.deleted;
+    this.window = null;
+    this.buttonElements = [];
+    this.previousFocus = null;
+  }
+
+  open() {
+    return new Promise(resolve => {
+      this.create(choice => {
+        this.close();
+        resolve(choice);
+      });
+    });
+  }
+
+  create(choose) {
+    this.window = document.createElement('div');
+    this.window.className = 'lov-window conflict-dialog';
+    this.window.setAttribute('role', 'dialog');
+    this.window.setAttribute('aria-modal', 'true');
+
+    const id = ++ConflictDialog.count;
+    const header = document.createElement('div');
+    header.className = 'lov-header';
+    header.id = `conflict-title-${id}`;
+    header.textContent = this.title;
+    this.window.setAttribute('aria-labelledby', header.id);
+
+    const content = document.createElement('div');
+    content.className = 'lov-content';
+
+    const message = document.createElement('p');
+    message.textContent = MessageCatalog.text(this.deleted ? 'RECORD_DELETED' : 'RECORD_CHANGED_CHOICE');
+    content.appendChild(message);
+
+    if (!this.deleted) {
+      content.appendChild(this.createGrid());
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'dashboard-button-group';
+    const choices = this.deleted
+      ? [['requery', 'REQUERY'], ['cancel', 'CANCEL']]
+      : [['requery', 'REQUERY'], ['overwrite', 'OVERWRITE'], ['cancel', 'CANCEL']];
+    this.buttonElements = choices.map(([choice, label], index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = index === 0 ? 'dashboard-btn dashboard-btn-primary' : 'dashboard-btn dashboard-btn-secondary';
+      button.textContent = MessageCatalog.text(label);
+      button.onclick = () => choose(choice);
+      buttons.appendChild(button);
+      return button;
+    });
+    content.appendChild(buttons);
+    this.window.addEventListener('keydown', (e) => this.handleKey(e, choose));
+
+    this.window.appendChild(header);
+    this.window.appendChild(content);
+    document.body.appendChild(this.window);
+
+    this.previousFocus = document.activeElement;
+    this.buttonElements[0].focus();
+  }
+
+  // Keeps the focus on the buttons while the dialog is open.
+  handleKey(e, choose) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      choose('cancel');
+      return;
+    }
+    const index = this.buttonElements.indexOf(document.activeElement);
+    let step = 0;
+    if (e.key === 'Tab') {
+      step = e.shiftKey ? -1 : 1;
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      const dirElement = this.window.closest('[dir]');
+      const rtl = !!dirElement && dirElement.dir === 'rtl';
+      step = (e.key === 'ArrowRight') !== rtl ? 1 : -1;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    const count = this.buttonElements.length;
+    this.buttonElements[(Math.max(index, 0) + step + count) % count].focus();
+  }
+
+  createGrid() {
+    const table = document.createElement('table');
+    table.className = 'lov-grid';
+
+    const headerRow = table.createTHead().insertRow();
+    ['FIELD', 'YOUR_VALUE', 'QUERIED_VALUE', 'DATABASE_VALUE'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = MessageCatalog.text(label);
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    this.columns.forEach(column => {
+      const tr = tbody.insertRow();
+      [column.label, column.mine, column.original, column.database].forEach(value => {
+        tr.insertCell().textContent = value === null || value === undefined ? '' : value;
+      });
+    });
+    return table;
+  }
+
+  close() {
+    if (this.window && this.window.parentNode) {
+      this.window.parentNode.removeChild(this.window);
+    }
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+}
+
+ConflictDialog.count = 0;
@@ -0,0 +1,286 @@
+// Data Types
+// The Forms data type of an item: NUMBER(p,s), VARCHAR2(n), DATE or
+// DATETIME, with an Oracle format mask. Records keep a value, and the API
+// gets it, in one form whatever the mask: a number as a number, a DATE as
+// 'YYYY-MM-DD' and a DATETIME as 'YYYY-MM-DDTHH:MI:SS'. parse() reads what
+// the user typed into that form, or throws the catalog's message; format()
+// gives the text the item shows. Enter Query mode reads its conditions with
+// the same parse() (see QueryCriteria).
+//
+// fields: { PRICE: { dataType: 'NUMBER(8,2)', formatMask: '999,990.00' },
+//           ARV_DATE: { dataType: 'DATE', formatMask: 'DD/MM/YYYY' },
+//           DATE_UPDATE: { dataType: 'DATETIME', formatMask: 'DD/MM/YYYY HH24:MI' },
+//           C_NAME: { dataType: 'VARCHAR2(80)' } }
+// dataType may also be 'number', 'date', 'datetime' or 'string'.
+class DataType {
+  constructor(kind) {
+    this.kind = kind;
+  }
+
+  // name: a DataType, 'NUMBER(8,2)', 'VARCHAR2(80)', 'date'...; options:
+  // { mask, precision, scale, length, control }, control being the type of
+  // the item's input, whose value is in the browser's format.
+  static of(name = 'string', options = {}) {
+    if (name instanceof DataType) return name;
+    const match = /^\s*(\w+)\s*(?:\(\s*(\d+)\s*(?:,\s*(-?\d+)\s*)?\))?\s*$/.exec(String(name));
+    const kind = match && DataType.KINDS[match[1].toUpperCase()];
+    if (!kind) throw new Error(`Unknown data type ${name}`);
+    const given = (value, size) => (value !== undefined && value !== null ? Number(value) : size);
+    const size = match[2] !== undefined ? Number(match[2]) : null;
+
+    switch (kind) {
+      case 'number': {
+        // NUMBER(p) and INTEGER are whole numbers; a bare NUMBER is not.
+        const whole = size !== null || match[1].toUpperCase() === 'INTEGER' ? 0 : null;
+        const scale = match[3] !== undefined ? Number(match[3]) : whole;
+        const type = new NumberType(given(options.precision, size), given(options.scale, scale), options.mask);
+        // The browser's number input takes no group separators.
+        if (options.control === 'number') type.grouped = false;
+        return type;
+      }
+      case 'string':
+        return new StringType(given(options.length, size));
+      default:
+        if (DataType.CONTROL_MASKS[options.control]) {
+          return new DateType(kind, DataType.CONTROL_MASKS[options.control], options.mask || DateType.MASKS[kind]);
+        }
+        return new DateType(kind, options.mask);
+    }
+  }
+
+  static isEmpty(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  parse(text) {
+    return text;
+  }
+
+  format(value) {
+    return DataType.isEmpty(value) ? '' : String(value);
+  }
+}
+
+DataType.KINDS = {
+  NUMBER: 'number',
+  INTEGER: 'number',
+  VARCHAR2: 'string',
+  VARCHAR: 'string',
+  CHAR: 'string',
+  STRING: 'string',
+  DATE: 'date',
+  DATETIME: 'datetime'
+};
+
+// The format of the value of the browser's own date controls.
+DataType.CONTROL_MASKS = {
+  'date': 'YYYY-MM-DD',
+  'datetime-local': 'YYYY-MM-DDTHH24:MI'
+};
+
+class StringType extends DataType {
+  constructor(length) {
+    super('string');
+    this.length = length || null;
+  }
+}
+
+// precision and scale as in NUMBER(p,s); the value is rounded to the scale
+// and may not have more than p - s digits before the point. A mask such as
+// 'FM999G990D00' or '999,990.00' sets the group separators and the places
+// shown, and stands for the precision and scale when they are not given.
+class NumberType extends DataType {
+  constructor(precision, scale, mask) {
+    super('number');
+    const format = NumberType.maskFormat(mask);
+    this.mask = mask || null;
+    this.scale = scale !== null && scale !== undefined ? scale : format.places;
+    this.precision = precision || (format.digits ? format.digits + (this.scale || 0) : null);
+    this.grouped = format.grouped;
+    this.places = format.places !== null ? format.places : this.scale;
+    this.minimumDigits = format.minimumDigits;
+  }
+
+  static maskFormat(mask) {
+    const text = String(mask || '').toUpperCase().replace(/^FM/, '');
+    const [whole, fraction] = text.split(/[.D]/);
+    const digits = whole.replace(/[^90]/g, '');
+    return {
+      grouped: /[,G]/.test(whole),
+      digits: digits.length,
+      places: fraction !== undefined ? fraction.replace(/[^90]/g, '').length : null,
+      // A 0 shows its place and those after it even when they are zeros.
+      minimumDigits: digits.includes('0') ? digits.length - digits.indexOf('0') : 1
+    };
+  }
+
+  // Half away from zero, as Oracle's ROUND.
+  static round(number, places) {
+    const sign = number < 0 ? -1 : 1;
+    return sign * Number(`${Math.round(Number(`${Math.abs(number)}e${places}`))}e-${places}`);
+  }
+
+  parse(text) {
+    const input = String(text === null || text === undefined ? '' : text).trim();
+    if (!input) return '';
+    const plain = input.replace(/,/g, '');
+    if (!NumberType.PLAIN.test(plain)) {
+      throw new Error(MessageCatalog.text('NOT_A_NUMBER', { value: input }));
+    }
+
+    let number = Number(plain);
+    if (this.scale !== null) number = NumberType.round(number, this.scale);
+    if (this.precision) {
+      const digits = this.precision - Math.max(this.scale || 0, 0);
+      if (Math.abs(number) >= Math.pow(10, digits)) {
+        throw new Error(MessageCatalog.text('NUMBER_TOO_LARGE', { value: input, digits: digits }));
+      }
+    }
+    return number;
+  }
+
+  // Text that is not a number (what the user typed, not yet valid) is
+  // shown as it is.
+  format(value) {
+    if (DataType.isEmpty(value)) return '';
+    if (typeof value !== 'number' && !NumberType.PLAIN.test(String(value).trim())) return String(value);
+    const number = Number(value);
+
+    const text = this.places !== null ? Math.abs(number).toFixed(this.places) : String(Math.abs(number));
+    let [whole, fraction] = text.split('.');
+    whole = whole.padStart(this.minimumDigits, '0');
+    if (this.grouped) whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    return (number < 0 ? '-' : '') + whole + (fraction !== undefined ? `.${fraction}` : '');
+  }
+}
+
+NumberType.PLAIN = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+// kind is 'date' or 'datetime'. The mask's elements are DD, MM, YYYY, RRRR,
+// YY, RR, HH24 (or HH), MI and SS; anything between them is a separator,
+// and the user may type any separator, or none (12052026 for DD/MM/YYYY).
+// Two-digit years take the RR century: 00-49 are 20xx, 50-99 19xx. A
+// DATETIME whose mask has no date takes the first of the current month, as
+// Forms does. A stored value is always accepted as well. entryMask is what
+// the user types when it is not the mask shown: a browser date control
+// shows YYYY-MM-DD, but is a text box in Enter Query mode.
+class DateType extends DataType {
+  constructor(kind, mask, entryMask = mask) {
+    super(kind);
+    const clean = text => (text || DateType.MASKS[kind]).toUpperCase().replace(/^FX|^FM/, '');
+    this.mask = clean(mask);
+    this.entryMask = clean(entryMask);
+    this.elements = this.entryMask.match(DateType.ELEMENTS) || [];
+  }
+
+  static pad(number, width) {
+    return String(number).padStart(width, '0');
+  }
+
+  // The parts of a stored value ('YYYY-MM-DD[THH:MI[:SS]]'), or null.
+  static partsOf(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value).trim());
+    if (!match) return null;
+    return {
+      year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+      hours: Number(match[4] || 0), minutes: Number(match[5] || 0), seconds: Number(match[6] || 0)
+    };
+  }
+
+  static isValid({ year, month, day, hours, minutes, seconds }) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= new Date(year, month, 0).getDate() &&
+      hours <= 23 && minutes <= 59 && seconds <= 59;
+  }
+
+  static width(element) {
+    return element === 'YYYY' || element === 'RRRR' ? 4 : 2;
+  }
+
+  // The groups of digits typed, one per element of the mask; a time typed
+  // without its seconds, or a date without its time, leaves them out.
+  groups(input) {
+    const groups = input.match(/\d+/g) || [];
+    if (groups.length !== 1 || this.elements.length < 2) return groups;
+    const digits = groups[0];
+    const split = [];
+    let start = 0;
+    for (const element of this.elements) {
+      if (start >= digits.length) break;
+      split.push(digits.substr(start, DateType.width(element)));
+      start += DateType.width(element);
+    }
+    return start === digits.length ? split : groups;
+  }
+
+  parse(text) {
+    const input = String(text === null || text === undefined ? '' : text).trim();
+    if (!input) return '';
+    const fail = () => new Error(MessageCatalog.text('DATE_FORMAT', { value: input, mask: this.entryMask }));
+
+    let parts = DateType.STORED.test(input) ? DateType.partsOf(input) : null;
+    if (!parts) {
+      const groups = this.groups(input);
+      const today = new Date();
+      parts = { year: today.getFullYear(), month: today.getMonth() + 1, day: 1, hours: 0, minutes: 0, seconds: 0 };
+      const dated = this.elements.some(element => /^(DD|MM|YYYY|RRRR|YY|RR)$/.test(element));
+      const required = this.elements.filter(element => !/^(HH24|HH|MI|SS)$/.test(element) || !dated).length;
+      if (groups.length < required || groups.length > this.elements.length || /[^\d\s/.\-:T]/i.test(input)) throw fail();
+
+      groups.forEach((group, index) => {
+        const element = this.elements[index];
+        const number = Number(group);
+        if (group.length > DateType.width(element)) throw fail();
+        switch (element) {
+          case 'DD': parts.day = number; break;
+          case 'MM': parts.month = number; break;
+          case 'HH24':
+          case 'HH': parts.hours = number; break;
+          case 'MI': parts.minutes = number; break;
+          case 'SS': parts.seconds = number; break;
+          default:
+            parts.year = group.length <= 2 ? (number < 50 ? 2000 : 1900) + number : number;
+        }
+      });
+    }
+    if (!parts || !DateType.isValid(parts)) throw fail();
+
+    const pad = DateType.pad;
+    const date = `${pad(parts.year, 4)}-${pad(parts.month, 2)}-${pad(parts.day, 2)}`;
+    if (this.kind === 'date') return date;
+    return `${date}T${pad(parts.hours, 2)}:${pad(parts.minutes, 2)}:${pad(parts.seconds, 2)}`;
+  }
+
+  // A stored value in the mask; anything else (what the user typed) as it is.
+  format(value) {
+    if (DataType.isEmpty(value)) return '';
+    const parts = value instanceof Date
+      ? { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate(),
+          hours: value.getHours(), minutes: value.getMinutes(), seconds: value.getSeconds() }
+      : DateType.partsOf(value);
+    if (!parts) return String(value);
+
+    const pad = DateType.pad;
+    return this.mask.replace(DateType.ELEMENTS, element => {
+      switch (element) {
+        case 'DD': return pad(parts.day, 2);
+        case 'MM': return pad(parts.month, 2);
+        case 'YY':
+        case 'RR': return pad(parts.year % 100, 2);
+        case 'HH24':
+        case 'HH': return pad(parts.hours, 2);
+        case 'MI': return pad(parts.minutes, 2);
+        case 'SS': return pad(parts.seconds, 2);
+        default: return pad(parts.year, 4);
+      }
+    });
+  }
+}
+
+DateType.STORED = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?)?$/;
+
+DateType.ELEMENTS = /YYYY|RRRR|HH24|YY|RR|MM|DD|HH|MI|SS/g;
+
+DateType.MASKS = {
+  date: 'DD/MM/YYYY',
+  datetime: 'DD/MM/YYYY HH24:MI'
+};
@@ -0,0 +1,71 @@
+// File Import Class
+// The browser's side of the WEBUTIL file dialogs. The user picks a file with
+// a file input instead of WEBUTIL_FILE.FILE_OPEN_DIALOG, and the server reads
+// it in place of CLIENT_TEXT_IO: POST /api/import checks every line against
+// one of the site's imports and stages the clean ones under an import id,
+// and POST /api/import/{id}/apply writes them once the file has no errors.
+class FileImport {
+  constructor(url) {
+    this.url = url;
+  }
+
+  // Resolves with the chosen File, or null when the dialog is cancelled.
+  // accept is the input's list of extensions, e.g. '.csv,.dat'.
+  static choose(accept = '') {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.hidden = true;
+      const done = file => {
+        input.remove();
+        resolve(file);
+      };
+      input.addEventListener('change', () => done(input.files[0] || null));
+      input.addEventListener('cancel', () => done(null));
+      document.body.appendChild(input);
+      input.click();
+    });
+  }
+
+  // The file's bytes in base64, from a data: URL; the server works out
+  // their encoding (UTF-8 or Windows-1255).
+  static encode(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+      reader.onerror = () => reject(new Error(MessageCatalog.text('IMPORT_FAILED')));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Resolves with { id, encoding, lines, staged, errors: [{ line, column,
+  // message, value }] }. format is 'csv' or 'fixed'; the server picks one
+  // from the file name when it is not given.
+  async upload(form, name, file, format = null) {
+    const request = { form: form, import: name, fileName: file.name, content: await FileImport.encode(file) };
+    if (format) request.format = format;
+    return this.post(this.url, request);
+  }
+
+  // Resolves with { applied, unmatched }.
+  apply(id) {
+    return this.post(`${this.url}/${encodeURIComponent(id)}/apply`, {});
+  }
+
+  async post(url, body) {
+    const response = await ApiClient.fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(result && result.message ? result.message : MessageCatalog.text('IMPORT_FAILED'));
+    }
+    return result;
+  }
+}
@@ -0,0 +1,272 @@
+// Form Field Class
+// Wraps one DOM control (input, select, textarea, checkbox or radio group)
+// registered with the FormsController.
+class FormField {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.name = options.name || element.id || element.name;
+    this.block = options.block ? options.block.toUpperCase() : null;
+    this.label = options.label || element.getAttribute('data-label') || this.findLabel() || this.name;
+    this.required = options.required !== undefined ? options.required : element.hasAttribute('required');
+    this.type = DataType.of(options.dataType || FormField.dataTypeFor(element), {
+      mask: options.formatMask || element.getAttribute('data-format-mask'),
+      precision: options.precision,
+      scale: options.scale,
+      control: element.type
+    });
+    this.dataType = this.type.kind;
+    this.maxLength = options.maxLength || this.type.length || (element.maxLength > 0 ? element.maxLength : undefined);
+    this.lovId = options.lovId || element.getAttribute('data-lov') || null;
+    this.defaultValue = options.defaultValue;
+    // A calculated item is worked out, never typed or saved: formula is
+    // (values, form) => value over the other items of its record, summary
+    // { function: 'SUM', block: 'LINES', item: 'qty' } over a block's
+    // records. See Block.calculate and FormsController.summarize.
+    this.formula = options.formula || null;
+    this.summary = options.summary ? FormField.summaryOf(options.summary) : null;
+    this.validators = options.validation ? [options.validation] : [];
+    this.errorMsg = '';
+    this.needsValidation = false;
+    this.pendingValidation = null;
+    this.instances = null;
+    // Runtime item properties (SET_ITEM_PROPERTY); the controller applies
+    // them to the DOM in renderItem().
+    this.properties = {
+      enabled: !element.disabled,
+      visible: !element.hidden,
+      navigable: !this.isCalculated,
+      updateAllowed: !element.readOnly && !this.isCalculated,
+      insertAllowed: !element.readOnly && !this.isCalculated,
+      queryAllowed: !this.isCalculated
+    };
+  }
+
+  // Item name as the triggers see it, e.g. HEADER.TAB_NO.
+  get itemName() {
+    const item = this.name.toUpperCase();
+    return this.block ? `${this.block}.${item}` : item;
+  }
+
+  get isCalculated() {
+    return Boolean(this.formula || this.summary);
+  }
+
+  static summaryOf({ function: name = 'SUM', block, item }) {
+    const fn = String(name).toUpperCase();
+    if (!FormField.SUMMARIES.includes(fn)) throw new Error(`Unknown summary function ${name}`);
+    return { function: fn, block: String(block).toUpperCase(), item: item };
+  }
+
+  // SUM, AVG, COUNT, MIN or MAX of the values, leaving out nulls as SQL
+  // does: the COUNT of none is 0, the others null.
+  static summarize(fn, values) {
+    const present = values.filter(value => !DataType.isEmpty(value));
+    if (fn === 'COUNT') return present.length;
+    if (!present.length) return null;
+
+    const numeric = present.every(value => !isNaN(value));
+    const compare = (a, b) => (numeric ? Number(a) - Number(b) : String(a).localeCompare(String(b)));
+    switch (fn) {
+      case 'MIN': return present.reduce((min, value) => (compare(value, min) < 0 ? value : min));
+      case 'MAX': return present.reduce((max, value) => (compare(value, max) > 0 ? value : max));
+      default: {
+        const sum = present.reduce((total, value) => total + Number(value), 0);
+        return fn === 'AVG' ? sum / present.length : sum;
+      }
+    }
+  }
+
+  // The formula's value for a record's values; one that throws gives null.
+  calculate(values, form) {
+    try {
+      const value = this.formula(values, form);
+      return value === undefined ? null : value;
+    } catch (error) {
+      console.warn(`Formula of ${this.itemName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  static dataTypeFor(element) {
+    switch (element.type) {
+      case 'number':
+        return 'number';
+      case 'date':
+        return 'date';
+      case 'datetime-local':
+        return 'datetime';
+      default:
+        return 'string';
+    }
+  }
+
+  findLabel() {
+    const label = this.labelElement;
+    return label ? label.textContent.trim() : null;
+  }
+
+  get labelElement() {
+    return this.element.id ? document.querySelector(`label[for="${this.element.id}"]`) : null;
+  }
+
+  getProperty(name) {
+    const property = FormField.PROPERTIES[name.toUpperCase()];
+    if (!property) throw new Error(`Unknown item property ${name}`);
+    if (property === 'label' || property === 'required') return this[property];
+    return this.properties[property];
+  }
+
+  setProperty(name, value) {
+    const property = FormField.PROPERTIES[name.toUpperCase()];
+    if (!property) throw new Error(`Unknown item property ${name}`);
+
+    if (property === 'label') {
+      this.label = value;
+      if (this.labelElement) this.labelElement.textContent = value;
+    } else if (property === 'required') {
+      this.required = value;
+    } else {
+      this.properties[property] = value;
+    }
+  }
+
+  get isRadio() {
+    return this.element.type === 'radio';
+  }
+
+  get radios() {
+    return Array.from(document.getElementsByName(this.element.name))
+      .filter(el => el.type === 'radio');
+  }
+
+  // Every DOM control showing this item: the radio group, the item's cell
+  // in each row of a multi-record block, or just the element.
+  get controls() {
+    if (this.instances) return this.instances;
+    return this.isRadio ? this.radios : [this.element];
+  }
+
+  static readControl(element) {
+    if (element.type === 'checkbox') {
+      return element.checked ? (element.getAttribute('value') || 'Y') : '';
+    }
+    return element.value;
+  }
+
+  static writeControl(element, val) {
+    const value = val === null || val === undefined ? '' : String(val);
+    if (element.type === 'checkbox') {
+      element.checked = value !== '' && value !== 'N';
+    } else {
+      element.value = value;
+    }
+  }
+
+  get value() {
+    if (this.isRadio) {
+      const checked = this.radios.find(el => el.checked);
+      return checked ? checked.value : '';
+    }
+    return FormField.readControl(this.element);
+  }
+
+  set value(val) {
+    if (this.isRadio) {
+      const value = val === null || val === undefined ? '' : String(val);
+      this.radios.forEach(el => { el.checked = el.value === value; });
+    } else {
+      FormField.writeControl(this.element, val);
+    }
+  }
+
+  // The value as records keep it and the API gets it (see DataType); text
+  // that does not parse is kept as typed, for validate() to report.
+  get typedValue() {
+    try {
+      return this.type.parse(this.value);
+    } catch (error) {
+      return this.value;
+    }
+  }
+
+  // Shows a record's value, or text, in the item's format mask.
+  show(value) {
+    this.value = this.type.format(value);
+  }
+
+  // Number and date controls become text boxes in Enter Query mode so they
+  // accept conditions such as '>10' or '#NULL'.
+  setQueryMode(enabled) {
+    this.controls.forEach(el => {
+      if (enabled && (el.type === 'number' || el.type === 'date')) {
+        el.dataset.inputType = el.type;
+        el.type = 'text';
+      } else if (!enabled && el.dataset.inputType) {
+        el.type = el.dataset.inputType;
+        delete el.dataset.inputType;
+      }
+    });
+  }
+
+  clear() {
+    this.show(this.defaultValue !== undefined ? this.defaultValue : '');
+    this.errorMsg = '';
+    this.needsValidation = false;
+  }
+
+  focus() {
+    this.element.focus();
+  }
+
+  isNavigable() {
+    const { enabled, visible, navigable } = this.properties;
+    return enabled && visible && navigable && !this.element.disabled && this.element.offsetParent !== null;
+  }
+
+  // Returns an error message, or '' when the value is valid.
+  validate() {
+    const value = this.value;
+
+    if (this.required && !value) {
+      return MessageCatalog.text('FIELD_REQUIRED', { label: this.label });
+    }
+
+    if (value) {
+      if (this.maxLength && value.length > this.maxLength) {
+        return MessageCatalog.text('FIELD_TOO_LONG', { label: this.label, length: this.maxLength });
+      }
+      try {
+        this.type.parse(value);
+      } catch (error) {
+        return error.message;
+      }
+    }
+
+    for (const validator of this.validators) {
+      const result = validator(value, this);
+      if (result !== true && result !== undefined) {
+        return typeof result === 'string' ? result : MessageCatalog.text('FIELD_INVALID', { label: this.label });
+      }
+    }
+
+    return '';
+  }
+}
+
+FormField.SUMMARIES = ['SUM', 'AVG', 'COUNT', 'MIN', 'MAX'];
+
+// SET_ITEM_PROPERTY names -> FormField property.
+FormField.PROPERTIES = {
+  ENABLED: 'enabled',
+  VISIBLE: 'visible',
+  DISPLAYED: 'visible',
+  NAVIGABLE: 'navigable',
+  UPDATEABLE: 'updateAllowed',
+  UPDATE_ALLOWED: 'updateAllowed',
+  INSERT_ALLOWED: 'insertAllowed',
+  QUERYABLE: 'queryAllowed',
+  QUERY_ALLOWED: 'queryAllowed',
+  REQUIRED: 'required',
+  LABEL: 'label',
+  PROMPT_TEXT: 'label'
+};
@@ -0,0 +1,120 @@
+// Form Router Class
+// Opens another form, the equivalent of CALL_FORM. Every form is its own
+// page, found at options.forms[NAME] or else at ../<name>_fmb/index.html.
+// The called form gets its parameters in the query string and is shown
+// stacked over the caller in a frame, or in a new window. When it exits it
+// posts its results back; the caller's call resolves with them and its
+// cursor returns to the block, record and item it was on.
+//
+//   const results = await form.callForm('TH_SUPPRI_N', { PARAM_SUPP_NO: '7' });
+class FormRouter {
+  constructor(form, urls = {}) {
+    this.form = form;
+    this.urls = new Map(Object.entries(urls).map(([name, url]) => [name.toUpperCase(), url]));
+    this.calls = new Map();
+
+    const query = new URLSearchParams(window.location.search);
+    this.callId = query.get('_call');
+    this.queryOnly = query.get('_mode') === 'query';
+    this.parameters = FormRouter.parameters(query);
+    window.addEventListener('message', (e) => this.receive(e));
+  }
+
+  // The query string's parameters; names starting with _ belong to the router.
+  static parameters(query) {
+    const parameters = {};
+    query.forEach((value, name) => {
+      if (!name.startsWith('_')) parameters[name.toUpperCase()] = value;
+    });
+    return parameters;
+  }
+
+  get isCalled() {
+    return !!this.callId;
+  }
+
+  urlFor(name, parameters, options, callId) {
+    const url = this.urls.get(name.toUpperCase()) || `../${name.toLowerCase()}_fmb/index.html`;
+    const query = new URLSearchParams();
+    Object.entries(parameters).forEach(([parameter, value]) => {
+      if (value !== null && value !== undefined) query.set(parameter.toUpperCase(), value);
+    });
+    query.set('_call', callId);
+    if (options.queryOnly) query.set('_mode', 'query');
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+  }
+
+  // options: { view: 'stacked' | 'window', queryOnly }. Resolves with the
+  // called form's results, or null when it was closed without exiting.
+  call(name, parameters = {}, options = {}) {
+    const callId = `${Date.now()}-${++FormRouter.count}`;
+    const url = this.urlFor(name, parameters, options, callId);
+    const block = this.form.currentBlock;
+    const position = {
+      block: block,
+      index: block ? block.currentIndex : -1,
+      field: this.form.currentField
+    };
+
+    return new Promise((resolve, reject) => {
+      const entry = { position: position, frame: null, target: null, timer: null, resolve: resolve };
+      if (options.view === 'window') {
+        entry.target = window.open(url, '_blank');
+        if (!entry.target) {
+          reject(new Error(`Cannot open form ${name}`));
+          return;
+        }
+        // A window closed by the user ends the call without results.
+        entry.timer = setInterval(() => {
+          if (entry.target.closed) this.finish(callId, null);
+        }, 500);
+      } else {
+        entry.frame = document.createElement('div');
+        entry.frame.className = 'form-stack';
+        const iframe = document.createElement('iframe');
+        iframe.src = url;
+        iframe.title = name.toUpperCase();
+        entry.frame.appendChild(iframe);
+        document.body.appendChild(entry.frame);
+      }
+      this.calls.set(callId, entry);
+    });
+  }
+
+  receive(e) {
+    if (e.origin !== window.location.origin || !e.data || e.data.type !== 'forms-exit') return;
+    this.finish(e.data.callId, e.data.results || {});
+  }
+
+  async finish(callId, results) {
+    const entry = this.calls.get(callId);
+    if (!entry) return;
+    this.calls.delete(callId);
+    clearInterval(entry.timer);
+    if (entry.frame && entry.frame.parentNode) {
+      entry.frame.parentNode.removeChild(entry.frame);
+    }
+
+    const { block, index, field } = entry.position;
+    if (block && index !== -1 && block.currentIndex !== index && index < block.records.length) {
+      await this.form.goRecord(index, block, field);
+    } else if (field) {
+      await this.form.goField(field);
+    }
+    entry.resolve(results);
+  }
+
+  // The called form's side of EXIT_FORM: hands the results to the caller and
+  // closes. A form that was not called closes its window.
+  exit(results = {}) {
+    const caller = window.parent !== window ? window.parent : window.opener;
+    if (this.isCalled && caller) {
+      caller.postMessage({ type: 'forms-exit', callId: this.callId, results: results }, window.location.origin);
+    }
+    if (window.parent === window) {
+      window.close();
+    }
+  }
+}
+
+FormRouter.count = 0;
@@ -0,0 +1,130 @@
+// Parameter Store Class
+// The form's :PARAMETER variables. Each is declared in the definition with
+// its type and default, and takes the value the caller passed in the query
+// string (see FormRouter) when there is one. Values for undeclared
+// parameters, or that do not parse as their type, are left out and listed
+// in problems for the form to report.
+//
+// parameters: { PARAM_REC_NO: { type: 'number' }, PARAM_SUPP_NO: { default: '' } }
+class ParameterStore {
+  constructor(definitions = {}, values = {}) {
+    this.definitions = new Map();
+    this.values = new Map();
+    this.passed = new Set();
+
+    Object.entries(definitions).forEach(([name, definition]) => {
+      const upper = name.toUpperCase();
+      const parameter = Object.assign({ type: 'string', default: null }, definition);
+      this.definitions.set(upper, parameter);
+      this.values.set(upper, ParameterStore.convert(parameter.default, parameter.type));
+    });
+    this.problems = this.assign(values, { passed: true });
+  }
+
+  // Sets the values by name; unless they are the caller's own (passed), a
+  // value the caller passed is kept. Returns the problems as message catalog
+  // ids and params:
+  // [{ id: 'PARAMETER_NOT_DECLARED', params: { parameter } }].
+  assign(values, { passed = false } = {}) {
+    const problems = [];
+    Object.entries(values || {}).forEach(([name, value]) => {
+      const parameter = name.toUpperCase();
+      if (!this.has(name)) {
+        problems.push({ id: 'PARAMETER_NOT_DECLARED', params: { parameter: parameter } });
+        return;
+      }
+      if (!passed && this.wasPassed(name)) return;
+      try {
+        this.set(name, value);
+        if (passed) this.passed.add(parameter);
+      } catch (error) {
+        problems.push({ id: 'PARAMETER_INVALID', params: { parameter: parameter, error: error.message } });
+      }
+    });
+    return problems;
+  }
+
+  // Values are kept as their DataType stores them: strings, numbers or
+  // 'YYYY-MM-DD' dates; '' is null.
+  static convert(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+    return DataType.of(type).parse(String(value));
+  }
+
+  has(name) {
+    return this.definitions.has(name.toUpperCase());
+  }
+
+  // Whether the caller passed the parameter.
+  wasPassed(name) {
+    return this.passed.has(name.toUpperCase());
+  }
+
+  get(name) {
+    if (!this.has(name)) throw new Error(`Parameter ${name} is not declared`);
+    return this.values.get(name.toUpperCase());
+  }
+
+  set(name, value) {
+    if (!this.has(name)) throw new Error(`Parameter ${name} is not declared`);
+    const upper = name.toUpperCase();
+    this.values.set(upper, ParameterStore.convert(value, this.definitions.get(upper).type));
+  }
+
+  toObject() {
+    return Object.fromEntries(this.values);
+  }
+}
+
+// Global Store Class
+// :GLOBAL variables, shared by every form opened in the browser session.
+// As in Forms the values are strings and a global exists once it is
+// assigned.
+class GlobalStore {
+  constructor(storage = GlobalStore.sessionStorage()) {
+    this.storage = storage;
+  }
+
+  // sessionStorage, or a store for this page only when the browser denies it.
+  static sessionStorage() {
+    try {
+      return window.sessionStorage;
+    } catch (error) {
+      const values = new Map();
+      return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key)
+      };
+    }
+  }
+
+  static key(name) {
+    return `${GlobalStore.PREFIX}${name.toUpperCase()}`;
+  }
+
+  has(name) {
+    return this.storage.getItem(GlobalStore.key(name)) !== null;
+  }
+
+  get(name) {
+    const value = this.storage.getItem(GlobalStore.key(name));
+    return value === '' ? null : value;
+  }
+
+  set(name, value) {
+    this.storage.setItem(GlobalStore.key(name), value === null || value === undefined ? '' : String(value));
+  }
+
+  // Equivalent of DEFAULT_VALUE: assigns the global only if it does not exist.
+  defaultValue(value, name) {
+    if (!this.has(name)) this.set(name, value);
+  }
+
+  // Equivalent of ERASE.
+  erase(name) {
+    this.storage.removeItem(GlobalStore.key(name));
+  }
+}
+
+GlobalStore.PREFIX = 'forms.global.';
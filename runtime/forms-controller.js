@@ -0,0 +1,2050 @@
+// Forms Controller Class
+// Shared runtime for every converted form. Each form directory only supplies
+// a definition (see app.js) and starts it with FormsController.start().
+class FormsController {
+  constructor(definition = {}) {
+    this.definition = definition;
+    this.name = definition.name || document.title;
+    this.options = Object.assign({}, FormsController.defaults, definition.options);
+    this.fields = new Map();
+    this.blocks = new Map();
+    this.relations = [];
+    this.buttons = new Map();
+    this.lovs = new Map();
+    this.lovWindows = new Map();
+    // Files chosen with fileOpenDialog, by item name.
+    this.files = new Map();
+    this.triggers = new TriggerDispatcher(this);
+    this.currentField = null;
+    this.queryMode = false;
+    this.formSuccess = true;
+    this.exiting = false;
+    // Keys can be rebound per form, e.g. keyBindings: { F11: 'KEY-ENTQRY' }.
+    this.keyBindings = Object.assign({}, FormsController.KEY_BINDINGS, this.options.keyBindings);
+
+    MessageCatalog.language = this.options.language || document.documentElement.lang || 'he';
+    MessageCatalog.define(definition.messages || {});
+    this.messageLine = new MessageLine({ style: this.options.messageStyle });
+    this.alerts = new Map();
+    Object.entries(definition.alerts || {}).forEach(([name, alert]) => {
+      this.alerts.set(name.toUpperCase(), Object.assign({ name: name.toUpperCase() }, alert));
+    });
+    // reports: see print-report.js.
+    this.reports = new Map();
+    Object.entries(definition.reports || {}).forEach(([name, report]) => {
+      this.reports.set(name.toUpperCase(), Object.assign({ name: name }, report));
+    });
+
+    this.canvases = new CanvasManager(this, definition.canvases || {});
+    this.itemBlocks = this.initializeBlocks(definition.blocks || {});
+    this.router = new FormRouter(this, this.options.forms);
+    this.parameters = new ParameterStore(definition.parameters || {}, this.router.parameters);
+    this.globals = new GlobalStore();
+    if (this.router.queryOnly) {
+      this.blocks.forEach(block => {
+        block.insertAllowed = false;
+        block.updateAllowed = false;
+        block.deleteAllowed = false;
+      });
+    }
+    Object.entries(definition.lovs || {}).forEach(([lovId, config]) => this.registerLOV(lovId, config));
+    this.registerTriggers(definition.triggers || {});
+    this.initializeFields(definition.fields || {});
+    (definition.relations || []).forEach(relation => this.relations.push(new Relation(this, relation)));
+    this.initializeButtons();
+    this.initializeKeyHandlers();
+  }
+
+  // On a page rendered from form.json, definition only needs the trigger
+  // handlers; see page-definition.js.
+  static start(definition) {
+    const init = () => {
+      window.formsController = new FormsController(PageDefinition.merge(definition));
+      window.formsController.initializeForm();
+    };
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      init();
+    }
+  }
+
+  get isDirty() {
+    return Array.from(this.blocks.values()).some(block => block.database && block.hasChanges);
+  }
+
+  get currentBlock() {
+    return this.currentField ? this.blocks.get(this.currentField.block) : null;
+  }
+
+  // blocks: { HEADER: { items: ['tab_no', ...], database: false },
+  //           LINES: { table: '#lines_table', columns: ['item_no', ...] } }
+  // A block's table columns are its items too. Items not listed in any block
+  // belong to options.defaultBlock.
+  // Returns item id => block name.
+  initializeBlocks(blocks) {
+    const itemBlocks = new Map();
+    Object.entries(blocks).forEach(([blockName, options]) => {
+      this.blocks.set(blockName.toUpperCase(), new Block(this, blockName, options));
+      (options.items || []).concat(options.columns || [])
+        .forEach(item => itemBlocks.set(item, blockName.toUpperCase()));
+    });
+
+    const defaultBlock = (this.options.defaultBlock || this.name).toUpperCase();
+    if (!this.blocks.has(defaultBlock)) {
+      this.blocks.set(defaultBlock, new Block(this, defaultBlock));
+    }
+    this.defaultBlock = defaultBlock;
+    return itemBlocks;
+  }
+
+  getBlock(name) {
+    return this.blocks.get(name.toUpperCase());
+  }
+
+  // triggers: { 'WHEN-NEW-FORM-INSTANCE': fn, 'CODES': { 'PRE-INSERT': fn },
+  //             'HEADER.TAB_NO': { 'WHEN-VALIDATE-ITEM': fn } }
+  registerTriggers(triggers) {
+    Object.entries(triggers).forEach(([key, value]) => {
+      if (typeof value === 'function') {
+        this.registerTrigger(key, null, value);
+      } else {
+        Object.entries(value).forEach(([trigger, handler]) => this.registerTrigger(trigger, key, handler));
+      }
+    });
+  }
+
+  registerTrigger(trigger, scope, handler, options) {
+    this.triggers.register(trigger, scope, handler, options);
+  }
+
+  async fireTrigger(trigger, field = this.currentField, context = {}) {
+    const block = context.block !== undefined ? context.block : field && field.block;
+    const item = field ? field.name.toUpperCase() : null;
+    this.formSuccess = await this.triggers.fire(trigger, Object.assign({
+      block: block,
+      item: field && field.block === block ? item : null,
+      field: field,
+      value: field ? field.value : null
+    }, context));
+    return this.formSuccess;
+  }
+
+  // Equivalent of RAISE FORM_TRIGGER_FAILURE, optionally reporting a message.
+  raiseFailure(message) {
+    if (message) {
+      this.showError(message);
+    }
+    throw new FormTriggerFailure(message);
+  }
+
+  // Startup sequence: PRE-FORM, entry into the first item, then
+  // WHEN-NEW-FORM-INSTANCE.
+  async initializeForm() {
+    this.parameters.problems.forEach(problem => this.showError(problem.id, problem.params));
+    await this.loadParameters();
+    if (!(await this.fireTrigger('PRE-FORM', null))) return;
+
+    const first = this.firstNavigableField();
+    if (first) {
+      await this.goField(first, { validate: false });
+    }
+    await this.fireTrigger('WHEN-NEW-FORM-INSTANCE', null, { block: null });
+  }
+
+  // options.parametersUrl answers { NAME: value } with the site's settings
+  // for the form's parameters; a value passed by the caller is kept.
+  async loadParameters() {
+    if (!this.options.parametersUrl) return;
+    let values;
+    try {
+      const response = await ApiClient.fetch(`${this.options.parametersUrl}?form=${encodeURIComponent(this.name)}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      values = await response.json();
+    } catch (error) {
+      this.showError('PARAMETERS_FAILED', { form: this.name, error: error.message });
+      return;
+    }
+    this.parameters.assign(values).forEach(problem => this.showError(problem.id, problem.params));
+  }
+
+  initializeKeyHandlers() {
+    document.addEventListener('keydown', (e) => this.handleKeyPress(e));
+    window.addEventListener('beforeunload', (e) => {
+      if (this.isDirty && !this.exiting) {
+        e.preventDefault();
+        e.returnValue = MessageCatalog.text('UNSAVED_CHANGES');
+      }
+    });
+  }
+
+  handleKeyPress(e) {
+    if (e.ctrlKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('.lov-window')) return;
+
+    if (e.key === 'Enter') {
+      if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'BUTTON') return;
+      e.preventDefault();
+      this.handleEnterKey();
+      return;
+    }
+
+    if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !e.shiftKey && this.arrowLeavesCell(e)) {
+      e.preventDefault();
+      this.doKey(this.arrowIsForward(e) ? 'KEY-NEXT-ITEM' : 'KEY-PREV-ITEM');
+      return;
+    }
+
+    const keyName = e.shiftKey ? `Shift+${e.key}` : e.key;
+    const trigger = this.keyBindings[keyName];
+    if (trigger && e.key.startsWith('Arrow') && ['SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    if (trigger) {
+      e.preventDefault();
+      this.doKey(trigger);
+    }
+  }
+
+  // Left and right arrows move between the cells of a table row once the
+  // caret is at the edge of the text. On a right-to-left page the next item
+  // is on the left.
+  arrowIsForward(e) {
+    const dirElement = e.target.closest('[dir]');
+    const rtl = dirElement ? dirElement.dir === 'rtl' : document.dir === 'rtl';
+    return (e.key === 'ArrowRight') !== rtl;
+  }
+
+  arrowLeavesCell(e) {
+    const field = this.currentField;
+    if (!field || !field.instances || e.target !== field.element || e.target.tagName === 'SELECT') return false;
+
+    let start = null;
+    try {
+      start = e.target.selectionStart;
+    } catch (err) {
+      // number and date inputs have no caret
+    }
+    if (typeof start !== 'number') return true;
+    if (start !== e.target.selectionEnd) return false;
+    return this.arrowIsForward(e) ? start === e.target.value.length : start === 0;
+  }
+
+  handleEnterKey() {
+    const field = this.currentField;
+    if (this.options.enterShowsLov && field && field.lovId) {
+      this.doKey('KEY-LISTVAL');
+    } else {
+      this.doKey('KEY-NEXT-ITEM');
+    }
+  }
+
+  // Equivalent of DO_KEY: runs the KEY- trigger of the current item, block
+  // or form if one is defined, otherwise the key's default function.
+  async doKey(name) {
+    const trigger = FormsController.keyTriggerFor(name);
+    const field = this.currentField;
+
+    if (this.triggers.has(trigger, field && field.block, field && field.name.toUpperCase())) {
+      return this.fireTrigger(trigger, field);
+    }
+
+    const action = FormsController.KEY_ACTIONS[trigger];
+    if (!action) {
+      console.warn(`No default function for ${trigger}`);
+      return true;
+    }
+    const result = await this[action]();
+    this.formSuccess = result !== false;
+    return this.formSuccess;
+  }
+
+  static keyTriggerFor(name) {
+    const upper = name.toUpperCase();
+    if (upper.startsWith('KEY-')) return upper;
+    return FormsController.BUILTIN_KEYS[name.toLowerCase()] || `KEY-${upper}`;
+  }
+
+  // Registers the fields named in the definition, plus every other id'd
+  // control on the page when options.scanFields is set. Fields are kept in
+  // document order, which is also the navigation order unless the block
+  // gives an itemOrder. The cells of a block's table are named by data-item,
+  // one field per column. Fields are keyed by element id; a field's name
+  // option gives its item name when another block has an item of that name.
+  initializeFields(fieldDefs) {
+    document.querySelectorAll('input, select, textarea').forEach(el => {
+      const fieldName = el.id || el.name || el.dataset.item;
+      if (!fieldName || this.fields.has(fieldName) || el.type === 'file') return;
+      if (fieldDefs[fieldName] || this.options.scanFields || this.itemBlocks.has(fieldName)) {
+        this.registerField(fieldName, el, fieldDefs[fieldName]);
+      }
+    });
+
+    Object.keys(fieldDefs).forEach(fieldName => {
+      if (!this.fields.has(fieldName)) {
+        console.warn(`Field ${fieldName} not found in ${this.name}`);
+      }
+    });
+  }
+
+  registerField(fieldName, element, options = {}) {
+    const field = new FormField(element, Object.assign({ name: fieldName }, options));
+    const blockName = (field.block || this.itemBlocks.get(fieldName) || this.defaultBlock).toUpperCase();
+    const block = this.getBlock(blockName);
+    block.addItem(field);
+    this.fields.set(fieldName, field);
+
+    if (block.table && block.table.columns.includes(fieldName)) {
+      field.instances = block.table.instancesOf(fieldName);
+    }
+
+    field.controls.forEach(el => {
+      el.addEventListener('focus', () => {
+        // A click into another row of a table moves the record cursor.
+        if (field.instances && block.table.recordIndexOf(el) !== block.currentIndex) {
+          this.goRecord(block.table.recordIndexOf(el), block, field);
+        } else if (this.currentField !== field) {
+          this.goField(field);
+        }
+      });
+
+      el.addEventListener('change', () => {
+        // readOnly does not stop checkboxes and lists.
+        if (!this.canEdit(field, block.currentRecord)) {
+          block.display();
+          this.showError('FIELD_PROTECTED');
+          return;
+        }
+        block.storeItem(field);
+        field.needsValidation = true;
+        this.triggerFieldChange(field);
+        if (el.type === 'checkbox') {
+          this.fireTrigger('WHEN-CHECKBOX-CHANGED', field);
+        }
+        this.validateItem(field);
+      });
+    });
+
+    // An item without a LOV may have a ... button of its own, for a
+    // KEY-LISTVAL trigger to handle (a file dialog).
+    if (field.lovId || document.getElementById(`${fieldName}_lov`)) {
+      this.attachLovButton(field);
+    }
+
+    return field;
+  }
+
+  // Buttons with an id fire WHEN-BUTTON-PRESSED for their item.
+  initializeButtons() {
+    document.querySelectorAll('button[id]').forEach(el => {
+      if (el.id.endsWith('_lov') && this.fields.has(el.id.slice(0, -4))) return;
+      const button = { name: el.id, block: this.itemBlocks.get(el.id) || null, element: el };
+      this.buttons.set(el.id, button);
+      el.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.pressButton(button);
+      });
+    });
+  }
+
+  async pressButton(button) {
+    if (this.currentField && !(await this.validateItem(this.currentField))) return false;
+    return this.fireTrigger('WHEN-BUTTON-PRESSED', null, {
+      block: button.block,
+      item: button.name.toUpperCase()
+    });
+  }
+
+  // lovs: { code: { url, title, columns: [{ field, header }],
+  //                  returnItems: { code: 'code', c_desc: 'c_desc' },
+  //                  filterFields: ['tab_no'], pageSize, autoReduction,
+  //                  autoSelect, validateFromList } }
+  // returnItems maps LOV columns to the items they are copied into;
+  // filterFields are items whose values restrict the list.
+  registerLOV(lovId, config) {
+    this.lovs.set(lovId, {
+      url: config.url,
+      title: config.title,
+      columns: config.columns,
+      returnItems: config.returnItems,
+      filterFields: config.filterFields || [],
+      pageSize: config.pageSize,
+      autoReduction: config.autoReduction,
+      autoSelect: config.autoSelect,
+      validateFromList: !!config.validateFromList
+    });
+  }
+
+  getField(fieldName) {
+    return this.fields.get(fieldName);
+  }
+
+  // Accepts an item id ('tab_no') or a Forms item name ('HEADER.TAB_NO').
+  findField(name) {
+    if (name instanceof FormField) return name;
+    if (this.fields.has(name)) return this.fields.get(name);
+
+    const upper = name.toUpperCase();
+    return Array.from(this.fields.values()).find(field =>
+      upper.includes('.') ? field.itemName === upper : field.name.toUpperCase() === upper
+    );
+  }
+
+  findButton(name) {
+    const upper = name.toUpperCase();
+    const item = upper.includes('.') ? upper.split('.').pop() : upper;
+    return Array.from(this.buttons.values()).find(button => button.name.toUpperCase() === item);
+  }
+
+  // SET_ITEM_PROPERTY: ENABLED, VISIBLE, NAVIGABLE, UPDATEABLE,
+  // INSERT_ALLOWED, QUERYABLE, REQUIRED or LABEL. Values may be booleans
+  // or PROPERTY_TRUE / PROPERTY_FALSE. Buttons take ENABLED, VISIBLE and
+  // LABEL.
+  setItemProperty(name, property, value) {
+    value = FormsController.propertyValue(value);
+    const field = this.findField(name);
+    if (field) {
+      field.setProperty(property, value);
+      this.renderItem(field);
+      return true;
+    }
+
+    const button = this.findButton(name);
+    if (button) {
+      FormsController.setButtonProperty(button.element, property, value);
+      return true;
+    }
+
+    console.warn(`SET_ITEM_PROPERTY: item ${name} not found in ${this.name}`);
+    return false;
+  }
+
+  getItemProperty(name, property) {
+    const field = this.findField(name);
+    if (field) return field.getProperty(property);
+
+    const button = this.findButton(name);
+    if (!button) throw new Error(`Item ${name} not found`);
+    switch (property.toUpperCase()) {
+      case 'LABEL':
+        return button.element.textContent;
+      case 'VISIBLE':
+        return !button.element.hidden;
+      case 'ENABLED':
+        return !button.element.disabled;
+      default:
+        throw new Error(`Unknown button property ${property}`);
+    }
+  }
+
+  static setButtonProperty(element, property, value) {
+    switch (property.toUpperCase()) {
+      case 'LABEL':
+        element.textContent = value;
+        break;
+      case 'VISIBLE':
+        element.hidden = !value;
+        break;
+      case 'ENABLED':
+        element.disabled = !value;
+        break;
+      default:
+        throw new Error(`Unknown button property ${property}`);
+    }
+  }
+
+  // SET_BLOCK_PROPERTY: INSERT_ALLOWED, UPDATE_ALLOWED, DELETE_ALLOWED or
+  // QUERY_ALLOWED. DEFAULT_WHERE and ORDER_BY are the server's (see Block).
+  setBlockProperty(name, property, value) {
+    const block = this.getBlock(name);
+    if (!block) throw new Error(`Block ${name} not found`);
+    block.setProperty(property, FormsController.propertyValue(value));
+    block.items.forEach(field => this.renderItem(field));
+  }
+
+  getBlockProperty(name, property) {
+    const block = this.getBlock(name);
+    if (!block) throw new Error(`Block ${name} not found`);
+    return block.getProperty(property);
+  }
+
+  static propertyValue(value) {
+    if (value === 'PROPERTY_TRUE' || value === 'TRUE') return true;
+    if (value === 'PROPERTY_FALSE' || value === 'FALSE') return false;
+    return value;
+  }
+
+  // Whether the user may type into the item for the given record: its own
+  // and its block's insert, update or query permission, depending on the
+  // record and the mode.
+  canEdit(field, record) {
+    const block = this.getBlock(field.block);
+    const { enabled, updateAllowed, insertAllowed, queryAllowed } = field.properties;
+    if (!enabled) return false;
+    if (this.queryMode) return queryAllowed && block.queryAllowed;
+
+    const queried = record && (record.status === 'QUERIED' || record.status === 'CHANGED');
+    return queried ? updateAllowed && block.updateAllowed : insertAllowed && block.insertAllowed;
+  }
+
+  // Applies an item's properties to its controls, its label and its LOV
+  // button. Each row of a table is read-only or not by its own record.
+  renderItem(field) {
+    const block = this.getBlock(field.block);
+    const { enabled, visible } = field.properties;
+
+    field.controls.forEach(el => {
+      const record = field.instances ? block.records[block.table.recordIndexOf(el)] : block.currentRecord;
+      el.disabled = !enabled;
+      el.hidden = !visible;
+      el.readOnly = !this.canEdit(field, record);
+    });
+
+    const label = field.labelElement;
+    if (label) label.hidden = !visible;
+    const lovButton = field.lovId && document.getElementById(`${field.element.id || field.name}_lov`);
+    if (lovButton) {
+      lovButton.hidden = !visible;
+      lovButton.disabled = !enabled;
+    }
+  }
+
+  // PARAMETER.name and GLOBAL.name are the form's parameters and the
+  // session's globals; any other name is an item.
+  variableStore(name) {
+    if (!name.includes('.')) return null;
+    const scope = name.split('.')[0].toUpperCase();
+    if (scope === 'PARAMETER') return this.parameters;
+    if (scope === 'GLOBAL') return this.globals;
+    return null;
+  }
+
+  // An item takes a stored value (a number, 'YYYY-MM-DD') or text in its
+  // format mask, and gives its stored value; see DataType.
+  setFieldValue(fieldName, value) {
+    const store = this.variableStore(fieldName);
+    if (store) {
+      store.set(fieldName.slice(fieldName.indexOf('.') + 1), value);
+      return;
+    }
+
+    const field = this.findField(fieldName);
+    if (field) {
+      field.show(value);
+      this.getBlock(field.block).storeItem(field);
+      field.needsValidation = true;
+      this.triggerFieldChange(field);
+    }
+  }
+
+  getFieldValue(fieldName) {
+    const store = this.variableStore(fieldName);
+    if (store) return store.get(fieldName.slice(fieldName.indexOf('.') + 1));
+
+    const field = this.findField(fieldName);
+    return field ? field.typedValue : null;
+  }
+
+  triggerFieldChange(field) {
+    const event = new CustomEvent('fieldChange', {
+      detail: {
+        fieldName: field.name,
+        value: field.value
+      }
+    });
+    document.dispatchEvent(event);
+  }
+
+  validateField(field) {
+    if (this.queryMode) return true;
+
+    const errorMessage = field.validate();
+    field.errorMsg = errorMessage;
+    this.setFieldError(field, errorMessage);
+    return !errorMessage;
+  }
+
+  // Item validation: built-in checks, then WHEN-VALIDATE-ITEM. Concurrent
+  // callers (change event and navigation) share one run.
+  validateItem(field) {
+    if (this.queryMode || !field.needsValidation) return Promise.resolve(true);
+
+    if (!field.pendingValidation) {
+      field.pendingValidation = this.runItemValidation(field).finally(() => {
+        field.pendingValidation = null;
+      });
+    }
+    return field.pendingValidation;
+  }
+
+  async runItemValidation(field) {
+    if (!this.validateField(field)) return false;
+    if (!(await this.validateFromList(field))) return false;
+
+    const valid = await this.fireTrigger('WHEN-VALIDATE-ITEM', field);
+    if (valid) {
+      field.needsValidation = false;
+    }
+    return valid;
+  }
+
+  async validateForm() {
+    let firstInvalid = null;
+    for (const field of this.fields.values()) {
+      const valid = field.needsValidation ? await this.validateItem(field) : this.validateField(field);
+      if (!valid && !firstInvalid) {
+        firstInvalid = field;
+      }
+    }
+    if (firstInvalid) {
+      this.setFocus(firstInvalid);
+    }
+    return !firstInvalid;
+  }
+
+  setFieldError(field, errorMessage) {
+    const element = field.isRadio ? field.radios[field.radios.length - 1] : field.element;
+    const anchor = element.closest('.dashboard-input-group, .dashboard-radio-group, label') || element;
+    let errorDiv = anchor.nextElementSibling;
+
+    if (!errorDiv || !errorDiv.classList.contains('dashboard-error-message')) {
+      if (!errorMessage) return;
+      errorDiv = document.createElement('div');
+      errorDiv.className = 'dashboard-error-message';
+      anchor.parentNode.insertBefore(errorDiv, anchor.nextSibling);
+    }
+
+    errorDiv.textContent = errorMessage;
+    field.element.classList.toggle('error', !!errorMessage);
+  }
+
+  // Moves the cursor to another item the way Forms does: validate and leave
+  // the current item (POST-TEXT-ITEM), enter the target (PRE-TEXT-ITEM), then
+  // WHEN-NEW-BLOCK-INSTANCE and WHEN-NEW-ITEM-INSTANCE. A failed trigger
+  // leaves the cursor where it was.
+  async goField(target, { validate = true } = {}) {
+    target = this.findField(target);
+    if (!target) return false;
+
+    const from = this.currentField;
+    if (from === target) {
+      target.focus();
+      return true;
+    }
+
+    const stay = () => {
+      if (from) from.focus();
+      this.formSuccess = false;
+      return false;
+    };
+
+    if (this.queryMode && from && from.block !== target.block) {
+      this.showError('QUERY_MODE_LEAVE');
+      return stay();
+    }
+
+    if (from && !this.queryMode) {
+      if (validate && !(await this.validateItem(from))) return stay();
+      if (!(await this.fireTrigger('POST-TEXT-ITEM', from))) return stay();
+    }
+    if (!this.queryMode && !(await this.fireTrigger('PRE-TEXT-ITEM', target))) return stay();
+
+    const blockChanged = !from || from.block !== target.block;
+    this.currentField = target;
+    this.canvases.reveal(target.element);
+    target.focus();
+
+    if (blockChanged) {
+      const block = this.getBlock(target.block);
+      if (!block.coordinated && this.relationsTo(block).some(relation => relation.autoQuery)) {
+        await this.queryBlock(block);
+      }
+      await this.fireTrigger('WHEN-NEW-BLOCK-INSTANCE', target, { item: null });
+    }
+    await this.fireTrigger('WHEN-NEW-ITEM-INSTANCE', target);
+    this.formSuccess = true;
+    return true;
+  }
+
+  // GO_ITEM. A button takes the focus without becoming the current item.
+  goItem(name) {
+    const button = !this.findField(name) && this.findButton(name);
+    if (button) {
+      button.element.focus();
+      return true;
+    }
+    return this.goField(name);
+  }
+
+  goBlock(name) {
+    const block = this.getBlock(name);
+    const item = block && block.firstNavigableItem();
+    if (!item) {
+      this.showError('CANNOT_NAVIGATE_BLOCK', { block: name });
+      this.formSuccess = false;
+      return false;
+    }
+    return this.goField(item);
+  }
+
+  // First navigable item of the first block, in block order.
+  firstNavigableField() {
+    for (const block of this.blocks.values()) {
+      const item = block.firstNavigableItem();
+      if (item) return item;
+    }
+    return null;
+  }
+
+  // NEXT_ITEM / PREVIOUS_ITEM within the current block, in its navigation
+  // order, skipping items that are disabled, hidden or not navigable. Past
+  // either end the block's navigationStyle applies.
+  async navigate(direction) {
+    const field = this.currentField;
+    if (!field) {
+      const first = this.firstNavigableField();
+      return first ? this.goField(first) : false;
+    }
+
+    const block = this.getBlock(field.block);
+    const items = block.navigationItems();
+    const index = items.indexOf(field);
+    if (index !== -1 && items[index + direction]) {
+      return this.goField(items[index + direction]);
+    }
+
+    switch (block.navigationStyle) {
+      case 'change-record': {
+        const moved = direction > 0 ? await this.nextRecord() : await this.previousRecord();
+        if (!moved) return false;
+        const recordItems = block.navigationItems();
+        return this.goField(direction > 0 ? recordItems[0] : recordItems[recordItems.length - 1]);
+      }
+      case 'change-block':
+        return this.navigateBlock(direction, direction < 0);
+      default:
+        return items.length > 0 ? this.goField(direction > 0 ? items[0] : items[items.length - 1]) : false;
+    }
+  }
+
+  // NEXT_BLOCK / PREVIOUS_BLOCK: the block's nextBlock or previousBlock, or
+  // else the nearest block in definition order that has a navigable item.
+  // Shift+Tab out of a block lands on the last item of the previous one.
+  navigateBlock(direction, toLastItem = false) {
+    const current = this.currentBlock;
+    const explicit = current && (direction > 0 ? current.nextBlock : current.previousBlock);
+    const blocks = explicit
+      ? [this.getBlock(explicit)].filter(Boolean)
+      : Array.from(this.blocks.values());
+    const start = current && !explicit ? blocks.indexOf(current) : (direction > 0 ? -1 : blocks.length);
+    const steps = current && !explicit ? blocks.length - 1 : blocks.length;
+
+    for (let step = 1; step <= steps; step++) {
+      const items = blocks[(start + direction * step + blocks.length * 2) % blocks.length].navigationItems();
+      if (items.length > 0) return this.goField(toLastItem ? items[items.length - 1] : items[0]);
+    }
+    this.showError(explicit ? 'CANNOT_NAVIGATE_BLOCK' : 'NO_OTHER_BLOCK', { block: explicit });
+    return false;
+  }
+
+  nextBlock() {
+    return this.navigateBlock(1);
+  }
+
+  previousBlock() {
+    return this.navigateBlock(-1);
+  }
+
+  navigateNext() {
+    return this.navigate(1);
+  }
+
+  navigatePrevious() {
+    return this.navigate(-1);
+  }
+
+  setFocus(field) {
+    field = this.findField(field);
+    if (field) {
+      this.currentField = field;
+      field.focus();
+    }
+  }
+
+  // Leaves the block's current record: its items are validated, then
+  // WHEN-VALIDATE-RECORD (for an inserted or changed record) and POST-RECORD.
+  async leaveRecord(block) {
+    const record = block.currentRecord;
+    if (!record || this.queryMode) return true;
+
+    for (const field of block.items.values()) {
+      if (!(await this.validateItem(field))) {
+        this.setFocus(field);
+        return false;
+      }
+    }
+
+    const context = { block: block.name, record: record };
+    if ((record.status === 'INSERT' || record.status === 'CHANGED') &&
+        !(await this.fireTrigger('WHEN-VALIDATE-RECORD', null, context))) {
+      return false;
+    }
+    return this.fireTrigger('POST-RECORD', null, context);
+  }
+
+  // Moves the record cursor of a block to records[index]; one past the last
+  // record creates a new one. A blank new record left behind is discarded.
+  // Entering the record fires PRE-RECORD, coordinates the details and fires
+  // WHEN-NEW-RECORD-INSTANCE.
+  async goRecord(index, block = this.currentBlock, target = null) {
+    if (!block) return false;
+    if (this.currentBlock !== block && !(await this.goField(target || block.firstNavigableItem()))) {
+      return false;
+    }
+
+    const field = target || this.currentField;
+    const stay = () => {
+      block.display();
+      if (field) this.setFocus(field);
+      this.formSuccess = false;
+      return false;
+    };
+
+    const current = block.currentRecord;
+    index = Math.max(0, Math.min(index, block.records.length));
+    if (index === block.currentIndex || (index === block.records.length && current && current.status === 'NEW')) {
+      if (field) this.setFocus(field);
+      return true;
+    }
+    if (this.queryMode) {
+      this.showError('QUERY_MODE_FUNCTION');
+      return stay();
+    }
+
+    // An empty block is entered even when it takes no inserts; canEdit keeps
+    // its blank record from being typed into.
+    if (index >= block.records.length && !block.insertAllowed && block.records.length) {
+      this.showError('INSERT_NOT_ALLOWED');
+      return stay();
+    }
+    if (!(await this.leaveRecord(block))) return stay();
+    if (!(await this.confirmClear(this.detailsOf(block)))) return stay();
+
+    if (current && current.status === 'NEW' && block.isLastRecord) {
+      block.removeRecord(block.currentIndex);
+    }
+    if (index >= block.records.length) {
+      block.insertRecord(block.records.length);
+      await this.fireTrigger('WHEN-CREATE-RECORD', null, { block: block.name, record: block.currentRecord });
+    } else {
+      block.currentIndex = index;
+    }
+    return this.enterRecord(block, field);
+  }
+
+  // Shows the block's current record and fires PRE-RECORD, the details'
+  // coordination and WHEN-NEW-RECORD-INSTANCE.
+  async enterRecord(block, field) {
+    block.display();
+    if (field) this.setFocus(field);
+
+    const context = { block: block.name, record: block.currentRecord };
+    if (!(await this.fireTrigger('PRE-RECORD', null, context))) return false;
+    await this.coordinateDetails(block);
+    await this.fireTrigger('WHEN-NEW-RECORD-INSTANCE', field, context);
+    if (field) await this.fireTrigger('WHEN-NEW-ITEM-INSTANCE', field);
+    this.formSuccess = true;
+    return true;
+  }
+
+  // CREATE_RECORD (Insert Record): a new record right after the current
+  // one. WHEN-CREATE-RECORD may give it values before it is entered.
+  async createRecord() {
+    const block = this.currentBlock;
+    if (!block) return false;
+    if (this.queryMode) {
+      this.showError('QUERY_MODE_FUNCTION');
+      return false;
+    }
+    if (!block.insertAllowed) {
+      this.showError('INSERT_NOT_ALLOWED');
+      return false;
+    }
+    // A blank new record is already where the new one would be.
+    const field = this.currentField;
+    const current = block.currentRecord;
+    if (current && current.status === 'NEW') return true;
+    if (!(await this.leaveRecord(block)) || !(await this.confirmClear(this.detailsOf(block)))) {
+      block.display();
+      if (field) this.setFocus(field);
+      this.formSuccess = false;
+      return false;
+    }
+
+    block.insertRecord(block.currentIndex + 1);
+    await this.fireTrigger('WHEN-CREATE-RECORD', null, { block: block.name, record: block.currentRecord });
+    return this.enterRecord(block, field && field.isNavigable() ? field : block.firstNavigableItem());
+  }
+
+  // DUPLICATE_RECORD: the previous record's values copied into the current
+  // one, which must be new. Calculated items are worked out again.
+  duplicateRecord() {
+    const block = this.currentBlock;
+    if (!block) return false;
+    const record = block.currentRecord;
+    const previous = block.records[block.currentIndex - 1];
+    if (this.queryMode) {
+      this.showError('QUERY_MODE_FUNCTION');
+      return false;
+    }
+    if (!previous) {
+      this.showError('NO_PREVIOUS_RECORD');
+      return false;
+    }
+    if (record.status !== 'NEW' && record.status !== 'INSERT') {
+      this.showError('DUPLICATE_QUERIED_RECORD');
+      return false;
+    }
+
+    Object.entries(block.columnValues(previous.values)).forEach(([name, value]) => {
+      record.values[name] = value;
+      record.markChanged(name);
+    });
+    block.calculate(record);
+    block.display();
+    this.summarize(block);
+    if (this.currentField) this.setFocus(this.currentField);
+    return true;
+  }
+
+  // DUPLICATE_ITEM: the current item takes its value in the previous record.
+  duplicateItem(field = this.currentField) {
+    const block = field ? this.getBlock(field.block) : null;
+    const previous = block ? block.records[block.currentIndex - 1] : null;
+    if (!previous) {
+      this.showError('NO_PREVIOUS_RECORD');
+      return false;
+    }
+    if (this.queryMode || !this.canEdit(field, block.currentRecord)) {
+      this.showError('FIELD_PROTECTED');
+      return false;
+    }
+
+    field.show(previous.values[field.name]);
+    block.storeItem(field);
+    field.needsValidation = true;
+    this.triggerFieldChange(field);
+    return true;
+  }
+
+  // NEXT_RECORD: past the last record a new record is created, unless the
+  // current one is still blank.
+  nextRecord() {
+    const block = this.currentBlock;
+    if (!block) return false;
+    const record = block.currentRecord;
+    if (block.isLastRecord && (!record || record.status === 'NEW')) {
+      this.showError('RECORD_MUST_BE_ENTERED');
+      return false;
+    }
+    return this.goRecord(block.currentIndex + 1, block);
+  }
+
+  previousRecord() {
+    const block = this.currentBlock;
+    if (!block) return false;
+    if (block.currentIndex <= 0) {
+      this.showError('AT_FIRST_RECORD');
+      return false;
+    }
+    return this.goRecord(block.currentIndex - 1, block);
+  }
+
+  // DOWN and UP move between records like NEXT_RECORD and PREVIOUS_RECORD.
+  down() {
+    return this.nextRecord();
+  }
+
+  up() {
+    return this.previousRecord();
+  }
+
+  firstRecord() {
+    return this.goRecord(0);
+  }
+
+  lastRecord() {
+    const block = this.currentBlock;
+    return block ? this.goRecord(block.records.length - 1, block) : false;
+  }
+
+  // SCROLL_DOWN and SCROLL_UP move the visible rows by one page; the cursor
+  // keeps its row.
+  scrollDown() {
+    return this.scroll(1);
+  }
+
+  scrollUp() {
+    return this.scroll(-1);
+  }
+
+  async scroll(direction) {
+    const block = this.currentBlock;
+    if (!block || block.records.length === 0) return false;
+
+    const page = block.recordsDisplayed;
+    const topIndex = Math.max(0, Math.min(block.topIndex + direction * page, block.records.length - page));
+    if (topIndex === block.topIndex) return true;
+
+    const index = Math.min(block.currentIndex + topIndex - block.topIndex, block.records.length - 1);
+    if (!(await this.goRecord(index, block))) return false;
+    block.topIndex = topIndex;
+    block.display();
+    return true;
+  }
+
+  // SHOW_VIEW: shows a canvas or tab page; a stacked canvas is raised over
+  // the others.
+  showView(name) {
+    this.canvases.show(name);
+  }
+
+  // HIDE_VIEW. The cursor cannot stay on a hidden item, so it moves to the
+  // first item still in view.
+  async hideView(name) {
+    this.canvases.hide(name);
+    const field = this.currentField;
+    if (field && !field.isNavigable()) {
+      const first = this.firstNavigableField();
+      if (first) await this.goField(first, { validate: false });
+    }
+  }
+
+  // GET_VIEW_PROPERTY: VISIBLE, or TOPMOST_TAB_PAGE of a tab canvas.
+  getViewProperty(name, property) {
+    switch (property.toUpperCase()) {
+      case 'VISIBLE':
+        return this.canvases.isVisible(name);
+      case 'TOPMOST_TAB_PAGE':
+        return this.canvases.topmostPage(name);
+      default:
+        throw new Error(`Unknown view property ${property}`);
+    }
+  }
+
+  setViewProperty(name, property, value) {
+    value = FormsController.propertyValue(value);
+    switch (property.toUpperCase()) {
+      case 'VISIBLE':
+        return value ? this.showView(name) : this.hideView(name);
+      case 'TOPMOST_TAB_PAGE':
+        return this.showView(value);
+      default:
+        throw new Error(`Unknown view property ${property}`);
+    }
+  }
+
+  // ENTER_QUERY clears the current block and collects criteria in its items.
+  async enterQuery() {
+    const block = this.currentBlock;
+    if (!block || !block.database) {
+      this.showError('FUNCTION_NOT_ALLOWED');
+      return false;
+    }
+    if (!block.queryAllowed) {
+      this.showError('QUERY_NOT_ALLOWED');
+      return false;
+    }
+    if (!(await this.confirmClear([block].concat(this.detailsOf(block))))) return false;
+
+    block.clear();
+    await this.coordinateDetails(block);
+    this.setQueryMode(block, true);
+    this.showMessage('ENTER_QUERY');
+    return true;
+  }
+
+  setQueryMode(block, enabled) {
+    this.queryMode = enabled;
+    document.body.classList.toggle('query-mode', enabled);
+    block.items.forEach(field => {
+      field.setQueryMode(enabled);
+      this.renderItem(field);
+    });
+  }
+
+  // EXECUTE_QUERY on the current block. In Enter Query mode the items'
+  // contents are read as query-by-example conditions (see QueryCriteria);
+  // otherwise the block is queried with its default where clause only.
+  async executeQuery() {
+    const block = this.currentBlock;
+    if (block && !block.queryAllowed) {
+      this.showError('QUERY_NOT_ALLOWED');
+      return false;
+    }
+    if (block && !this.queryMode && !(await this.confirmClear([block].concat(this.detailsOf(block))))) return false;
+    const criteria = {};
+    if (this.queryMode && block) {
+      for (const [fieldName, field] of block.items) {
+        try {
+          const condition = QueryCriteria.parse(field.value, field.type);
+          if (condition) criteria[fieldName] = condition;
+        } catch (error) {
+          this.showError('QUERY_ITEM_ERROR', { label: field.label, error: error.message });
+          this.setFocus(field);
+          this.formSuccess = false;
+          return false;
+        }
+      }
+    }
+
+    const queried = await this.queryBlock(block, criteria);
+    if (queried && this.queryMode) {
+      this.setQueryMode(block, false);
+    }
+    return queried;
+  }
+
+  // Queries a block: PRE-QUERY can cancel it, POST-QUERY fires for each
+  // fetched record, then the block's detail relations are coordinated. A
+  // detail block is restricted to its master's current record.
+  async queryBlock(block, criteria = {}) {
+    if (!block || !block.database) {
+      this.showError('FUNCTION_NOT_ALLOWED');
+      return false;
+    }
+
+    for (const relation of this.relationsTo(block)) {
+      const joinCriteria = relation.joinCriteria();
+      if (!joinCriteria) {
+        block.clear();
+        block.coordinated = true;
+        return true;
+      }
+      Object.assign(criteria, joinCriteria);
+    }
+
+    if (!(await this.fireTrigger('PRE-QUERY', null, { block: block.name, criteria: criteria }))) {
+      return false;
+    }
+
+    let records;
+    try {
+      records = await this.fetchRecords(block, criteria);
+    } catch (error) {
+      this.showError(error.message);
+      return false;
+    }
+
+    block.lastQuery = { criteria: criteria, binds: this.bindValues(block.binds) };
+    await this.displayRecords(block, records);
+    return this.coordinateDetails(block);
+  }
+
+  // Posts { block, criteria, binds }. criteria maps each column to a
+  // { operator, value } condition; binds are the current values of the
+  // items the block's where clause, which the server keeps, references.
+  async fetchRecords(block, criteria) {
+    const request = { form: this.name, block: block.name, criteria: criteria };
+    if (block.binds.length) {
+      request.binds = this.bindValues(block.binds);
+    }
+    if (block.defaultWhere || block.orderBy) {
+      request.clauses = {};
+      if (block.defaultWhere) request.clauses.DEFAULT_WHERE = block.defaultWhere;
+      if (block.orderBy) request.clauses.ORDER_BY = block.orderBy;
+    }
+
+    const response = await ApiClient.fetch(block.queryUrl || this.options.queryUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(request)
+    });
+
+    if (!response.ok) {
+      throw new Error(MessageCatalog.text('QUERY_FAILED'));
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [data];
+  }
+
+  // Values of block.item references, keyed by the reference in upper case,
+  // e.g. { 'HEADER.TAB_NO': '12' }.
+  bindValues(references) {
+    const binds = {};
+    references.forEach(reference => {
+      const [blockName, item] = reference.split('.');
+      const block = this.getBlock(blockName);
+      const store = this.variableStore(reference);
+      const value = store ? store.get(item) : (block ? block.getValue(item) : null);
+      binds[reference.toUpperCase()] = value === undefined || value === '' ? null : value;
+    });
+    return binds;
+  }
+
+  // Summary items over the block's records (see FormField.summary), leaving
+  // out its blank new record. The value goes into every record of the
+  // item's own block; a control block gets one for it.
+  summarize(block) {
+    this.fields.forEach(field => {
+      if (!field.summary || field.summary.block !== block.name) return;
+      const values = block.records
+        .filter(record => record.status !== 'NEW')
+        .map(record => record.values[field.summary.item]);
+      const value = FormField.summarize(field.summary.function, values);
+      const target = this.getBlock(field.block);
+      if (!target.database) target.ensureRecord();
+      target.records.forEach(record => {
+        record.values[field.name] = value;
+      });
+      field.show(value);
+    });
+  }
+
+  async displayRecords(block, records) {
+    block.populate(records);
+
+    for (let index = 0; index < block.records.length; index++) {
+      block.currentIndex = index;
+      block.display();
+      await this.fireTrigger('POST-QUERY', null, { block: block.name, record: block.currentRecord });
+      block.captureItems();
+    }
+    block.currentIndex = block.records.length > 0 ? 0 : -1;
+    block.display();
+    this.summarize(block);
+
+    if (records.length === 0 && block === this.currentBlock) {
+      this.showMessage('NO_RECORDS');
+    }
+  }
+
+  relationsFrom(block) {
+    return this.relations.filter(relation => relation.master === block.name);
+  }
+
+  relationsTo(block) {
+    return this.relations.filter(relation => relation.detail === block.name);
+  }
+
+  // The blocks a change of the block's record clears: its details, and
+  // theirs.
+  detailsOf(block) {
+    return this.relationsFrom(block).reduce((details, relation) =>
+      details.concat([relation.detailBlock], this.detailsOf(relation.detailBlock)), []);
+  }
+
+  // Before blocks are cleared, their pending changes (or, with pending, the
+  // caller's own) are offered for saving, as Forms does; answering No lets
+  // the clear drop them. Resolves false when cancelled or the save failed.
+  async confirmClear(blocks, pending = false) {
+    if (!pending && !blocks.some(block => block.database && block.hasChanges)) return true;
+    return this.askToSave();
+  }
+
+  // Master record changed: clear every detail block, then populate it. The
+  // callers have offered to save the details' changes (see confirmClear).
+  // ON-CLEAR-DETAILS and ON-POPULATE-DETAILS on the master block replace the
+  // default behaviour; they can call queryMasterDetails() themselves.
+  async coordinateDetails(block) {
+    const relations = this.relationsFrom(block);
+    if (relations.length === 0) return true;
+
+    if (this.triggers.has('ON-CLEAR-DETAILS', block.name)) {
+      if (!(await this.fireTrigger('ON-CLEAR-DETAILS', null, { block: block.name }))) return false;
+    } else {
+      for (const relation of relations) {
+        if (!(await relation.clearDetails())) return false;
+      }
+    }
+
+    if (!block.currentRecord || block.currentRecord.status === 'NEW') return true;
+
+    if (this.triggers.has('ON-POPULATE-DETAILS', block.name)) {
+      return this.fireTrigger('ON-POPULATE-DETAILS', null, { block: block.name });
+    }
+    for (const relation of relations) {
+      if (!(await relation.populateDetails())) return false;
+    }
+    return true;
+  }
+
+  // Equivalent of the generated QUERY_MASTER_DETAILS procedure.
+  queryMasterDetails(relationName) {
+    const relation = this.relations.find(rel => rel.name === relationName.toUpperCase());
+    if (!relation) {
+      this.showError('UNKNOWN_RELATION', { relation: relationName });
+      return false;
+    }
+    return relation.populateDetails();
+  }
+
+  // Delete protection for a master record, run before it is deleted.
+  // ON-CHECK-DELETE-MASTER replaces the default check of non-isolated
+  // relations.
+  async checkDeleteMaster(block) {
+    if (this.triggers.has('ON-CHECK-DELETE-MASTER', block.name)) {
+      return this.fireTrigger('ON-CHECK-DELETE-MASTER', null, { block: block.name });
+    }
+
+    for (const relation of this.relationsFrom(block)) {
+      if (relation.deleteBehavior === 'non-isolated' && await relation.hasDetails()) {
+        this.showError('DETAIL_RECORDS_EXIST');
+        this.formSuccess = false;
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // DELETE_RECORD: the current record leaves the block and is deleted from
+  // the database by the next commit.
+  async deleteRecord() {
+    const block = this.currentBlock;
+    if (!block || !block.currentRecord) return false;
+    if (this.queryMode) {
+      this.showError('QUERY_MODE_FUNCTION');
+      return false;
+    }
+    if (!block.database) {
+      this.showError('FUNCTION_NOT_ALLOWED');
+      return false;
+    }
+    if (!block.deleteAllowed) {
+      this.showError('DELETE_NOT_ALLOWED');
+      return false;
+    }
+    if (!(await this.checkDeleteMaster(block))) return false;
+    if (!(await this.confirmClear(this.detailsOf(block)))) return false;
+    if (!(await this.fireTrigger('WHEN-REMOVE-RECORD', null, { block: block.name, record: block.currentRecord }))) {
+      return false;
+    }
+
+    block.deleteRecord(block.currentIndex);
+    block.display();
+    await this.coordinateDetails(block);
+
+    const field = this.currentField && this.currentField.isNavigable() ? this.currentField : block.firstNavigableItem();
+    if (field) this.setFocus(field);
+    return true;
+  }
+
+  // COMMIT_FORM: every pending delete, insert and update of the database
+  // blocks goes to the server as one change set:
+  //   { changes: [{ block, operation: 'DELETE', key },
+  //               { block, operation: 'INSERT', values },
+  //               { block, operation: 'UPDATE', key, values }] }
+  // An update carries only the changed columns when saveMode is 'changed',
+  // the whole row when it is 'record'. Updates and deletes also carry a lock:
+  // the row's version token, or its original values (see changeFor).
+  // PRE-DELETE, PRE-INSERT and PRE-UPDATE fire for each row before the set
+  // is sent and can cancel the commit; POST-* fire for each row once the
+  // server accepted it. If the commit fails the blocks are restored as they
+  // were before it started; a 409 response lists the rows another user
+  // changed (see resolveConflicts).
+  async save() {
+    if (!(await this.validateForm())) {
+      this.showError('FORM_INVALID');
+      return false;
+    }
+
+    const blocks = Array.from(this.blocks.values()).filter(block => block.database && block.hasChanges);
+    if (blocks.length === 0) {
+      this.showMessage('NO_CHANGES');
+      return true;
+    }
+
+    const snapshots = new Map(blocks.map(block => [block, block.snapshot()]));
+    const rollback = () => snapshots.forEach((snapshot, block) => block.restore(snapshot));
+    let rows;
+    try {
+      rows = await this.collectChanges(blocks);
+    } catch (error) {
+      rollback();
+      this.showError(error.message);
+      return false;
+    }
+    const refused = rows.find(row => !row.block.allows(row.operation));
+    if (refused) {
+      rollback();
+      this.showError('OPERATION_NOT_ALLOWED', { operation: refused.operation, block: refused.block.name });
+      return false;
+    }
+
+    for (const row of rows) {
+      if (!(await this.fireTrigger(`PRE-${row.operation}`, null, { block: row.block.name, record: row.record }))) {
+        rollback();
+        return false;
+      }
+    }
+    // PRE-INSERT may have filled in the key; a row without all of it would
+    // be stored with no way to find it again.
+    const keyless = rows.find(row => row.operation === 'INSERT' && row.block.missingKey(row.record).length > 0);
+    if (keyless) {
+      const columns = keyless.block.missingKey(keyless.record).join(', ');
+      rollback();
+      this.showError('PRIMARY_KEY_MISSING', { block: keyless.block.name, columns: columns });
+      return false;
+    }
+
+    let result;
+    let conflicts = null;
+    try {
+      const response = await ApiClient.fetch(this.options.saveUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ changes: rows.map(row => this.changeFor(row)) })
+      });
+
+      result = await response.json().catch(() => null);
+      if (response.status === 409 && result && Array.isArray(result.conflicts)) {
+        conflicts = result.conflicts;
+      } else if (!response.ok) {
+        throw new Error(result && result.message ? result.message : MessageCatalog.text('SAVE_FAILED'));
+      }
+    } catch (error) {
+      rollback();
+      this.showError(error.message);
+      return false;
+    }
+
+    if (conflicts) {
+      rollback();
+      return this.resolveConflicts(rows, conflicts);
+    }
+
+    // The server may return each row as stored (generated keys, defaults).
+    const stored = result && Array.isArray(result.records) ? result.records : [];
+    rows.forEach((row, index) => {
+      if (stored[index]) Object.assign(row.record.values, stored[index]);
+    });
+
+    for (const row of rows) {
+      await this.fireTrigger(`POST-${row.operation}`, null, { block: row.block.name, record: row.record });
+    }
+
+    blocks.forEach(block => {
+      block.markCommitted();
+      block.display();
+    });
+    this.showMessage('TRANSACTION_COMPLETE', { count: rows.length });
+    return true;
+  }
+
+  // Rows to commit, deletes first, then inserts and updates in block order.
+  // A deleted master record of a cascading relation is preceded by its
+  // detail rows. A new detail record takes its join columns from the master
+  // record.
+  async collectChanges(blocks) {
+    const rows = [];
+    const deleted = new Set();
+    const remove = (block, record) => {
+      const key = `${block.name} ${JSON.stringify(block.keyOf(record))}`;
+      if (deleted.has(key)) return;
+      deleted.add(key);
+      rows.push({ block: block, record: record, operation: 'DELETE' });
+    };
+    for (const block of blocks) {
+      for (const record of block.deletedRecords) {
+        for (const relation of this.relationsFrom(block).filter(rel => rel.deleteBehavior === 'cascading')) {
+          (await relation.detailRecords(record)).forEach(detail => remove(relation.detailBlock, detail));
+        }
+        remove(block, record);
+      }
+    }
+
+    blocks.forEach(block => {
+      block.records.forEach(record => {
+        if (record.status === 'INSERT') {
+          this.relationsTo(block).forEach(relation => {
+            Object.entries(relation.joinCriteria() || {}).forEach(([column, condition]) => {
+              record.values[column] = condition.value;
+            });
+          });
+          rows.push({ block: block, record: record, operation: 'INSERT' });
+        } else if (record.status === 'CHANGED') {
+          rows.push({ block: block, record: record, operation: 'UPDATE' });
+        }
+      });
+    });
+    return rows;
+  }
+
+  changeFor({ block, record, operation }) {
+    const change = { block: block.name, operation: operation };
+    if (operation !== 'INSERT') {
+      change.key = block.keyOf(record);
+      if (block.versionColumn) {
+        change.version = record.original[block.versionColumn];
+      } else {
+        change.original = block.columnValues(record.original);
+      }
+    }
+    if (operation === 'INSERT' || (operation === 'UPDATE' && this.options.saveMode === 'record')) {
+      change.values = block.columnValues(record.values);
+    } else if (operation === 'UPDATE') {
+      const values = {};
+      record.changedItems.forEach(name => {
+        values[name] = record.values[name];
+      });
+      change.values = block.columnValues(values);
+    }
+    return change;
+  }
+
+  // A rejected commit's 409 response: { message, conflicts: [{ index,
+  // current }] }, where index is the position of the change in the set and
+  // current the row now in the database (null if it was deleted). For each
+  // row the user chooses to re-query it, dropping their changes, or to
+  // overwrite the other user's; the commit is retried if anything is left
+  // to overwrite.
+  async resolveConflicts(rows, conflicts) {
+    let retry = false;
+
+    for (const conflict of conflicts) {
+      const row = rows[conflict.index];
+      if (!row) continue;
+      const { block, record } = row;
+      const current = conflict.current || null;
+
+      const dialog = new ConflictDialog(MessageCatalog.text('RECORD_CONFLICT_TITLE', { block: block.name }),
+        this.conflictColumns(block, record, current), { deleted: !current });
+      const choice = await dialog.open();
+
+      if (choice === 'requery') {
+        block.refreshRecord(record, current);
+      } else if (choice === 'overwrite') {
+        record.original = Object.assign({}, current);
+        retry = true;
+      } else {
+        this.showError('RECORD_CHANGED');
+        return false;
+      }
+    }
+
+    new Set(rows.map(row => row.block)).forEach(block => block.display());
+    return retry ? this.save() : false;
+  }
+
+  // Columns the other user changed, with the user's, queried and database
+  // values.
+  conflictColumns(block, record, current) {
+    if (!current) return [];
+    return Object.keys(current)
+      .filter(column => String(current[column]) !== String(record.original[column]))
+      .map(column => {
+        const field = block.getItem(column);
+        return {
+          label: field ? field.label : column,
+          mine: record.values[column],
+          original: record.original[column],
+          database: current[column]
+        };
+      });
+  }
+
+  // CLEAR_RECORD removes the current record from the block (not from the
+  // database); its details are cleared with it. Unsaved changes to it or
+  // to its details are offered for saving first.
+  async clearRecord() {
+    const block = this.currentBlock;
+    if (!block) return true;
+
+    const record = block.currentRecord;
+    if (record) {
+      const edited = block.database && (record.status === 'INSERT' || record.status === 'CHANGED');
+      if (!(await this.confirmClear(this.detailsOf(block), edited))) return false;
+      // A saved record is cleared as it is now.
+      const current = block.currentRecord;
+      if (!(await this.fireTrigger('WHEN-REMOVE-RECORD', null, { block: block.name, record: current }))) return false;
+      if (current) block.removeRecord(block.currentIndex);
+    }
+    block.display();
+    await this.coordinateDetails(block);
+
+    const first = block.firstNavigableItem();
+    if (first) this.setFocus(first);
+    return true;
+  }
+
+  // CLEAR_BLOCK(commit): empties the block and its details, dropping its
+  // pending deletes. With ASK_COMMIT (the default) unsaved changes are
+  // offered for saving; DO_COMMIT saves them and NO_COMMIT or NO_VALIDATE
+  // drops them. WHEN-CLEAR-BLOCK fires first.
+  async clearBlock(commit = 'ASK_COMMIT') {
+    const block = this.currentBlock;
+    if (!block) return true;
+
+    const mode = String(commit).toUpperCase();
+    const cleared = [block].concat(this.detailsOf(block));
+    if (!this.queryMode && cleared.some(each => each.database && each.hasChanges)) {
+      if (mode === 'ASK_COMMIT' && !(await this.confirmClear(cleared))) return false;
+      if (mode === 'DO_COMMIT' && !(await this.save())) return false;
+    }
+    if (!(await this.fireTrigger('WHEN-CLEAR-BLOCK', null, { block: block.name }))) return false;
+
+    block.clear();
+    await this.coordinateDetails(block);
+    const first = block.firstNavigableItem();
+    if (first) this.setFocus(first);
+    return true;
+  }
+
+  // LOCK_RECORD (KEY-UPDREC): the current record is checked against its
+  // row in the database, as a lock would; a row changed or deleted by
+  // another user since it was queried fails it. Locks themselves are taken
+  // at commit (see changeFor).
+  async lockRecord() {
+    const block = this.currentBlock;
+    const record = block && block.currentRecord;
+    if (!record || !block.database || !record.original) return true;
+
+    const criteria = {};
+    Object.entries(block.keyOf(record)).forEach(([column, value]) => {
+      criteria[column] = value === null ? { operator: 'IS NULL' } : QueryCriteria.equals(value);
+    });
+    let rows;
+    try {
+      rows = await this.fetchRecords(block, criteria);
+    } catch (error) {
+      this.showError(error.message);
+      return false;
+    }
+    if (!rows.length) {
+      this.showError('RECORD_DELETED');
+      return false;
+    }
+
+    const columns = block.versionColumn ? [block.versionColumn] : Object.keys(block.columnValues(record.original));
+    const same = (a, b) => String(a === null || a === undefined ? '' : a) === String(b === null || b === undefined ? '' : b);
+    if (columns.some(column => !same(rows[0][column], record.original[column]))) {
+      this.showError('RECORD_CHANGED');
+      return false;
+    }
+    return true;
+  }
+
+  // Offers to save the form's changes: resolves true to go on (saved, or
+  // not to be saved) and false when cancelled or the save failed.
+  async askToSave() {
+    const button = await new AlertDialog({
+      message: MessageCatalog.text('SAVE_CHANGES'),
+      style: 'caution',
+      buttons: [MessageCatalog.text('YES'), MessageCatalog.text('NO'), MessageCatalog.text('CANCEL')]
+    }).open();
+    if (button === FormsController.ALERT_BUTTON3) return false;
+    if (button === FormsController.ALERT_BUTTON1) return this.save();
+    return true;
+  }
+
+  attachLovButton(field) {
+    const existing = document.getElementById(`${field.element.id || field.name}_lov`);
+    const lovButton = existing || document.createElement('button');
+
+    if (!existing) {
+      lovButton.type = 'button';
+      lovButton.className = 'lov-button';
+      lovButton.textContent = '...';
+      field.element.parentNode.insertBefore(lovButton, field.element.nextSibling);
+    }
+
+    lovButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      if (await this.goField(field)) {
+        this.doKey('KEY-LISTVAL');
+      }
+    });
+  }
+
+  // LIST_VALUES: opens the item's LOV, reduced to the item's current value.
+  showLov(field = this.currentField) {
+    if (!field || !field.lovId || this.lovWindows.has(field.name)) {
+      return;
+    }
+
+    const lov = this.lovs.get(field.lovId) || {};
+    const lovWindow = new LovWindow(field, lov, { search: field.value, filters: this.lovFilters(lov) });
+    this.lovWindows.set(field.name, lovWindow);
+
+    lovWindow.onSelect = (row) => this.applyLovRow(field, lov, row);
+    lovWindow.onClose = () => {
+      this.lovWindows.delete(field.name);
+      field.focus();
+    };
+  }
+
+  lovFilters(lov) {
+    const filters = {};
+    (lov.filterFields || []).forEach(item => {
+      const field = this.findField(item);
+      if (field && field.value) filters[field.name] = field.value;
+    });
+    return filters;
+  }
+
+  // LOV column whose value belongs in the field itself.
+  lovColumnFor(field, lov, row) {
+    const returned = Object.entries(lov.returnItems || {}).find(([, item]) => this.findField(item) === field);
+    if (returned) return returned[0];
+    return row && row.value === undefined ? Object.keys(row)[0] : 'value';
+  }
+
+  applyLovRow(field, lov, row) {
+    if (lov.returnItems) {
+      Object.entries(lov.returnItems).forEach(([column, item]) => this.setFieldValue(item, row[column]));
+    } else {
+      this.setFieldValue(field.name, row[this.lovColumnFor(field, lov, row)]);
+    }
+  }
+
+  // Validate from List: a typed value must be in the LOV. A value that
+  // starts exactly one row is completed from it; otherwise the LOV opens
+  // reduced to the value and validation fails.
+  async validateFromList(field) {
+    const lov = field.lovId && this.lovs.get(field.lovId);
+    const value = field.value;
+    if (!lov || !lov.validateFromList || !value) return true;
+
+    let rows;
+    try {
+      ({ rows } = await LovWindow.fetchRows(LovWindow.urlFor(field, lov), Object.assign({
+        search: value,
+        offset: 0,
+        limit: lov.pageSize || 50
+      }, this.lovFilters(lov))));
+    } catch (error) {
+      this.showError(error.message);
+      return false;
+    }
+
+    const column = this.lovColumnFor(field, lov, rows[0]);
+    const exact = rows.filter(row => String(row[column]) === value);
+    const candidates = exact.length > 0 ? exact : rows.filter(row => String(row[column]).toUpperCase().startsWith(value.toUpperCase()));
+    if (candidates.length === 1) {
+      this.applyLovRow(field, lov, candidates[0]);
+      return true;
+    }
+
+    field.errorMsg = MessageCatalog.text('NOT_IN_LIST', { label: field.label });
+    this.setFieldError(field, field.errorMsg);
+    this.showLov(field);
+    return false;
+  }
+
+  // Equivalent of WEBUTIL_FILE.FILE_OPEN_DIALOG: the item gets the chosen
+  // file's name (a browser does not tell its path) and the file is kept for
+  // importFile. Resolves with the name, or null when nothing was chosen.
+  async fileOpenDialog(itemName, accept = '') {
+    const field = this.findField(itemName);
+    if (!field) throw new Error(`Item ${itemName} not found`);
+    const file = await FileImport.choose(accept);
+    if (!file) return null;
+    this.files.set(field.name, file);
+    this.setFieldValue(field.name, file.name);
+    return file.name;
+  }
+
+  // Sends the file chosen for an item to options.importUrl, to be checked
+  // against the site's import of that name. Resolves with { id, lines,
+  // staged, errors }, or null when no file was chosen or the server refused
+  // it. The lines with errors are in the import's errors table under id.
+  async importFile(name, itemName, format = null) {
+    const field = this.findField(itemName);
+    const file = field && this.files.get(field.name);
+    if (!file || field.value !== file.name) {
+      this.showError('NO_FILE_CHOSEN');
+      return null;
+    }
+
+    let result;
+    try {
+      result = await new FileImport(this.options.importUrl).upload(this.name, name, file, format);
+    } catch (error) {
+      this.showError(error.message);
+      return null;
+    }
+    if (result.errors.length) {
+      this.showWarning('IMPORT_HAS_ERRORS', { count: result.errors.length });
+    } else {
+      this.showMessage('IMPORT_CHECKED', { count: result.staged });
+    }
+    return result;
+  }
+
+  // Writes the staged lines of a file importFile found no errors in.
+  // Resolves with { applied, unmatched }, or null when it was refused.
+  async applyImport(id) {
+    let result;
+    try {
+      result = await new FileImport(this.options.importUrl).apply(id);
+    } catch (error) {
+      this.showError(error.message);
+      return null;
+    }
+    this.showMessage('IMPORT_APPLIED', { count: result.applied });
+    return result;
+  }
+
+  // KEY-PRINT: previews the records the current block holds, with the
+  // criteria they were queried by.
+  print() {
+    const block = this.currentBlock;
+    if (!block || !block.database) {
+      this.showError('FUNCTION_NOT_ALLOWED');
+      return false;
+    }
+    const records = block.records.filter(record => record.status !== 'NEW');
+    return this.openReport(PrintReport.forBlock(this, block, {}, block.lastQuery, records));
+  }
+
+  // A report of definition.reports: its block's rows are queried afresh,
+  // with the block's where clause and the current values of the items it
+  // binds, whatever the block shows. format 'pdf' or 'csv' exports the
+  // report without a preview.
+  async printReport(name, { format = null } = {}) {
+    const report = this.reports.get(name.toUpperCase());
+    if (!report) throw new Error(`Report ${name} is not defined in ${this.name}`);
+    const block = this.getBlock(report.block);
+    if (!block) throw new Error(`Block ${report.block} of report ${name} not found`);
+
+    let records;
+    try {
+      records = await this.fetchRecords(block, {});
+    } catch (error) {
+      this.showError(error.message);
+      return false;
+    }
+    const query = { binds: this.bindValues(block.binds) };
+    const printReport = PrintReport.forBlock(this, block, report, query, records);
+    return format ? this.exportReport(printReport, format) : this.openReport(printReport);
+  }
+
+  async openReport(report) {
+    if (!report.rows.length) {
+      this.showMessage('NO_RECORDS');
+      return false;
+    }
+    await report.preview({ exportUrl: this.options.reportUrl, onError: error => this.showError(error.message) });
+    return true;
+  }
+
+  async exportReport(report, format) {
+    if (!report.rows.length) {
+      this.showMessage('NO_RECORDS');
+      return false;
+    }
+    try {
+      await report.export(this.options.reportUrl, format);
+    } catch (error) {
+      this.showError(error.message);
+      return false;
+    }
+    return true;
+  }
+
+  // Equivalent of CALL_FORM: resolves with the called form's results once it
+  // exits (null when it was closed, or could not be opened).
+  async callForm(name, parameters = {}, options = {}) {
+    try {
+      return await this.router.call(name, parameters, options);
+    } catch (error) {
+      this.showError(error.message);
+      this.formSuccess = false;
+      return null;
+    }
+  }
+
+  // Equivalent of EXIT_FORM. Pending changes are saved or discarded as the
+  // user chooses (validate: false discards them, like NO_VALIDATE); the
+  // results go back to the calling form. In Enter Query mode it only leaves
+  // the mode.
+  async exitForm(results = {}, { validate = true } = {}) {
+    if (this.queryMode) {
+      this.setQueryMode(this.currentBlock, false);
+      return true;
+    }
+    if (validate && this.isDirty && !(await this.askToSave())) return false;
+
+    this.exiting = true;
+    this.router.exit(results);
+    return true;
+  }
+
+  // Messages are catalog keys (or free text) with their placeholder values,
+  // shown on the message line.
+  showMessage(id, params) {
+    this.messageLine.show(MessageCatalog.text(id, params), 'info');
+  }
+
+  showWarning(id, params) {
+    this.messageLine.show(MessageCatalog.text(id, params), 'warning');
+  }
+
+  showError(id, params) {
+    this.messageLine.show(MessageCatalog.text(id, params), 'error');
+  }
+
+  // Equivalent of MESSAGE.
+  message(text) {
+    this.showMessage(text);
+  }
+
+  // The application's errors(n, severity): shows catalog message n. An error
+  // ('e') fails the running trigger; a warning ('w') or information ('i')
+  // message does not.
+  errors(number, severity = 'e', params = {}) {
+    const level = MessageCatalog.severity(severity);
+    const text = MessageCatalog.text(number, params);
+    if (level === 'error') {
+      this.raiseFailure(text);
+    }
+    this.messageLine.show(text, level);
+  }
+
+  // errors2(n, severity, text): message n completed with the text.
+  errors2(number, severity = 'e', text = '') {
+    this.errors(number, severity, [text]);
+  }
+
+  getAlert(name) {
+    const alert = this.alerts.get(name.toUpperCase());
+    if (!alert) throw new Error(`Alert ${name} not found`);
+    return alert;
+  }
+
+  setAlertProperty(name, property, value) {
+    const key = FormsController.ALERT_PROPERTIES[property.toUpperCase()];
+    if (!key) throw new Error(`Unknown alert property ${property}`);
+    this.getAlert(name)[key] = value;
+  }
+
+  // SET_ALERT_BUTTON_PROPERTY(alert, ALERT_BUTTON2, LABEL, text).
+  setAlertButtonProperty(name, button, property, value) {
+    if (property.toUpperCase() !== 'LABEL') throw new Error(`Unknown alert button property ${property}`);
+    const alert = this.getAlert(name);
+    alert.buttons = (alert.buttons || []).slice();
+    alert.buttons[button - 1] = value;
+  }
+
+  // Equivalent of SHOW_ALERT: resolves with the button pressed,
+  // FormsController.ALERT_BUTTON1, 2 or 3.
+  showAlert(name) {
+    return new AlertDialog(this.getAlert(name)).open();
+  }
+
+  // The application's raise_alert(n, alert, args): the alert showing catalog
+  // message n.
+  raiseAlert(number, name, params = {}) {
+    this.setAlertProperty(name, 'ALERT_MESSAGE_TEXT', MessageCatalog.text(number, params));
+    return this.showAlert(name);
+  }
+}
+
+FormsController.VERSION = '1.21.0';
+
+FormsController.ALERT_BUTTON1 = 1;
+FormsController.ALERT_BUTTON2 = 2;
+FormsController.ALERT_BUTTON3 = 3;
+
+// SET_ALERT_PROPERTY names -> alert definition key.
+FormsController.ALERT_PROPERTIES = {
+  ALERT_MESSAGE_TEXT: 'message',
+  TITLE: 'title'
+};
+
+FormsController.defaults = {
+  queryUrl: '/api/query',
+  saveUrl: '/api/save',
+  sqlUrl: '/api/sql',
+  importUrl: '/api/import',
+  reportUrl: '/api/report',
+  saveMode: 'changed',
+  messageStyle: 'line',
+  scanFields: true,
+  enterShowsLov: false
+};
+
+// Keyboard keys -> the KEY- trigger they fire.
+FormsController.KEY_BINDINGS = {
+  Tab: 'KEY-NEXT-ITEM',
+  'Shift+Tab': 'KEY-PREV-ITEM',
+  F3: 'KEY-DUP-ITEM',
+  F4: 'KEY-DUPREC',
+  F6: 'KEY-CREREC',
+  'Shift+F6': 'KEY-DELREC',
+  'Shift+F4': 'KEY-CLRREC',
+  'Shift+F3': 'KEY-UPDREC',
+  'Shift+F5': 'KEY-CLRBLK',
+  F7: 'KEY-ENTQRY',
+  F8: 'KEY-EXEQRY',
+  F9: 'KEY-LISTVAL',
+  F10: 'KEY-COMMIT',
+  'Shift+F8': 'KEY-PRINT',
+  ArrowDown: 'KEY-DOWN',
+  ArrowUp: 'KEY-UP',
+  'Shift+ArrowDown': 'KEY-NXTREC',
+  'Shift+ArrowUp': 'KEY-PRVREC',
+  PageDown: 'KEY-SCRDOWN',
+  PageUp: 'KEY-SCRUP',
+  'Shift+PageDown': 'KEY-NXTBLK',
+  'Shift+PageUp': 'KEY-PRVBLK',
+  Escape: 'KEY-EXIT'
+};
+
+// KEY- trigger -> controller method run when no trigger overrides the key.
+FormsController.KEY_ACTIONS = {
+  'KEY-NEXT-ITEM': 'navigateNext',
+  'KEY-PREV-ITEM': 'navigatePrevious',
+  'KEY-CLRREC': 'clearRecord',
+  'KEY-CLRBLK': 'clearBlock',
+  'KEY-CREREC': 'createRecord',
+  'KEY-DUPREC': 'duplicateRecord',
+  'KEY-DUP-ITEM': 'duplicateItem',
+  'KEY-ENTQRY': 'enterQuery',
+  'KEY-EXEQRY': 'executeQuery',
+  'KEY-LISTVAL': 'showLov',
+  'KEY-COMMIT': 'save',
+  'KEY-PRINT': 'print',
+  'KEY-EXIT': 'exitForm',
+  'KEY-DELREC': 'deleteRecord',
+  'KEY-UPDREC': 'lockRecord',
+  'KEY-NXTREC': 'nextRecord',
+  'KEY-PRVREC': 'previousRecord',
+  'KEY-NXTBLK': 'nextBlock',
+  'KEY-PRVBLK': 'previousBlock',
+  'KEY-DOWN': 'down',
+  'KEY-UP': 'up',
+  'KEY-SCRDOWN': 'scrollDown',
+  'KEY-SCRUP': 'scrollUp'
+};
+
+// DO_KEY built-in names -> KEY- trigger.
+FormsController.BUILTIN_KEYS = {
+  next_item: 'KEY-NEXT-ITEM',
+  previous_item: 'KEY-PREV-ITEM',
+  clear_record: 'KEY-CLRREC',
+  enter_query: 'KEY-ENTQRY',
+  execute_query: 'KEY-EXEQRY',
+  list_values: 'KEY-LISTVAL',
+  commit_form: 'KEY-COMMIT',
+  print: 'KEY-PRINT',
+  exit_form: 'KEY-EXIT',
+  next_block: 'KEY-NXTBLK',
+  previous_block: 'KEY-PRVBLK',
+  next_record: 'KEY-NXTREC',
+  previous_record: 'KEY-PRVREC',
+  create_record: 'KEY-CREREC',
+  delete_record: 'KEY-DELREC',
+  lock_record: 'KEY-UPDREC',
+  clear_block: 'KEY-CLRBLK',
+  duplicate_item: 'KEY-DUP-ITEM',
+  duplicate_record: 'KEY-DUPREC',
+  scroll_up: 'KEY-SCRUP',
+  scroll_down: 'KEY-SCRDOWN',
+  up: 'KEY-UP',
+  down: 'KEY-DOWN',
+  edit_field: 'KEY-EDIT'
+};
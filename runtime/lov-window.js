@@ -0,0 +1,259 @@
+// List of Values Window Class
+// Popup list for an item's LOV. Typing in the search box reduces the list
+// (auto-reduction): locally while every row matching the loaded search is
+// on hand, otherwise by asking the server again. Long lists are fetched a
+// page at a time as the user scrolls down. Up/Down/PageUp/PageDown move the
+// selection, Enter returns the selected row and Escape closes the window.
+//
+// The LOV url is requested as url?search=&offset=&limit=&<filter item>=,
+// and answers with an array of rows (the whole list) or { rows, total }.
+class LovWindow {
+  constructor(field, lov = {}, options = {}) {
+    this.field = field;
+    this.url = LovWindow.urlFor(field, lov);
+    this.columns = lov.columns || null;
+    this.title = lov.title || field.label;
+    this.pageSize = lov.pageSize || 50;
+    this.autoReduction = lov.autoReduction !== false;
+    this.autoSelect = !!lov.autoSelect;
+    this.filters = options.filters || {};
+    this.search = options.search || '';
+    this.rows = [];
+    this.visibleRows = [];
+    this.loadedSearch = null;
+    this.complete = false;
+    this.loading = null;
+    this.selectedIndex = -1;
+    this.searchTimer = null;
+    this.window = null;
+    this.onSelect = null;
+    this.onClose = null;
+    this.create();
+  }
+
+  static urlFor(field, lov = {}) {
+    return lov.url || `/api/lov/${field.lovId || field.name}`;
+  }
+
+  static async fetchRows(url, params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && value !== '') query.set(name, value);
+    });
+
+    const response = await ApiClient.fetch(`${url}${url.includes('?') ? '&' : '?'}${query}`);
+    if (!response.ok) throw new Error(MessageCatalog.text('LOV_FAILED'));
+
+    const data = await response.json();
+    const rows = (Array.isArray(data) ? data : data.rows || [])
+      .map(row => (typeof row === 'object' && row !== null ? row : { value: row }));
+    return { rows: rows, total: Array.isArray(data) ? rows.length : data.total };
+  }
+
+  // Forms matching: the search text, with % as a wildcard, must start one of
+  // the row's values.
+  static matcher(search) {
+    const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*');
+    const regex = new RegExp(`^${pattern}`, 'i');
+    return row => !search || Object.values(row).some(value => regex.test(String(value === null ? '' : value)));
+  }
+
+  create() {
+    this.window = document.createElement('div');
+    this.window.className = 'lov-window';
+    this.window.setAttribute('role', 'dialog');
+
+    const header = document.createElement('div');
+    header.className = 'lov-header';
+    header.textContent = MessageCatalog.text('LOV_TITLE', { title: this.title });
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.textContent = 'X';
+    closeBtn.onclick = () => this.close();
+    header.appendChild(closeBtn);
+
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'text';
+    this.searchInput.className = 'dashboard-input lov-search';
+    this.searchInput.value = this.search;
+    this.searchInput.setAttribute('aria-label', MessageCatalog.text('LOV_FIND'));
+    this.searchInput.addEventListener('input', () => this.setSearch(this.searchInput.value));
+    this.searchInput.addEventListener('keydown', (e) => this.handleKey(e));
+
+    const content = document.createElement('div');
+    content.className = 'lov-content';
+    content.addEventListener('scroll', () => {
+      if (content.scrollTop + content.clientHeight >= content.scrollHeight - 20) {
+        this.loadMore();
+      }
+    });
+
+    this.status = document.createElement('div');
+    this.status.className = 'lov-status';
+
+    this.window.appendChild(header);
+    this.window.appendChild(this.searchInput);
+    this.window.appendChild(content);
+    this.window.appendChild(this.status);
+    document.body.appendChild(this.window);
+    this.searchInput.focus();
+
+    this.load().then(() => {
+      if (this.autoSelect && this.visibleRows.length === 1) {
+        this.select(0);
+      }
+    });
+  }
+
+  // Fetches the first page for the current search, or the next page.
+  async load(append = false) {
+    const search = this.search;
+    const params = Object.assign({
+      search: search,
+      offset: append ? this.rows.length : 0,
+      limit: this.pageSize
+    }, this.filters);
+
+    this.loading = LovWindow.fetchRows(this.url, params);
+    try {
+      const { rows, total } = await this.loading;
+      if (search !== this.search && !append) return;
+      this.rows = append ? this.rows.concat(rows) : rows;
+      this.loadedSearch = search;
+      this.complete = this.rows.length >= total || rows.length === 0;
+      this.render();
+    } catch (err) {
+      console.error('Failed to load LOV data:', err);
+      this.status.textContent = err.message;
+    } finally {
+      this.loading = null;
+    }
+  }
+
+  loadMore() {
+    if (!this.complete && !this.loading) {
+      this.load(true);
+    }
+  }
+
+  setSearch(text) {
+    this.search = text;
+    clearTimeout(this.searchTimer);
+
+    const reducible = this.autoReduction && this.complete && this.loadedSearch !== null &&
+      text.toUpperCase().startsWith(this.loadedSearch.toUpperCase());
+    if (reducible) {
+      this.render();
+    } else {
+      this.searchTimer = setTimeout(() => this.load(), 250);
+    }
+  }
+
+  render() {
+    this.visibleRows = this.rows.filter(LovWindow.matcher(this.search));
+    const columns = this.columns || this.columnsFor(this.visibleRows);
+
+    const content = this.window.querySelector('.lov-content');
+    content.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'lov-grid';
+    table.setAttribute('role', 'listbox');
+
+    const headerRow = table.createTHead().insertRow();
+    columns.forEach(col => {
+      const th = document.createElement('th');
+      th.textContent = col.header;
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    this.visibleRows.forEach((row, index) => {
+      const tr = tbody.insertRow();
+      tr.setAttribute('role', 'option');
+      tr.onclick = () => this.select(index);
+      tr.onmouseenter = () => this.highlight(index);
+      columns.forEach(col => {
+        tr.insertCell().textContent = row[col.field] === null || row[col.field] === undefined ? '' : row[col.field];
+      });
+    });
+
+    content.appendChild(table);
+    this.status.textContent = MessageCatalog.text('LOV_ROWS', { count: `${this.visibleRows.length}${this.complete ? '' : '+'}` });
+    this.highlight(this.visibleRows.length > 0 ? 0 : -1);
+  }
+
+  columnsFor(rows) {
+    return Object.keys(rows[0] || {}).map(key => ({ field: key, header: key }));
+  }
+
+  highlight(index) {
+    const rows = this.window.querySelectorAll('.lov-grid tbody tr');
+    rows.forEach((tr, i) => {
+      tr.classList.toggle('selected', i === index);
+      tr.setAttribute('aria-selected', i === index ? 'true' : 'false');
+    });
+    this.selectedIndex = index;
+
+    if (rows[index] && rows[index].scrollIntoView) {
+      rows[index].scrollIntoView({ block: 'nearest' });
+    }
+    if (index >= this.visibleRows.length - 1) {
+      this.loadMore();
+    }
+  }
+
+  move(step) {
+    if (this.visibleRows.length === 0) return;
+    const index = Math.max(0, Math.min(this.selectedIndex + step, this.visibleRows.length - 1));
+    this.highlight(index);
+  }
+
+  handleKey(e) {
+    const page = 10;
+    switch (e.key) {
+      case 'ArrowDown':
+        this.move(1);
+        break;
+      case 'ArrowUp':
+        this.move(-1);
+        break;
+      case 'PageDown':
+        this.move(page);
+        break;
+      case 'PageUp':
+        this.move(-page);
+        break;
+      case 'Enter':
+        if (this.selectedIndex !== -1) this.select(this.selectedIndex);
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  select(index) {
+    const row = this.visibleRows[index];
+    if (!row) return;
+    if (this.onSelect) {
+      this.onSelect(row);
+    }
+    this.close();
+  }
+
+  close() {
+    clearTimeout(this.searchTimer);
+    if (this.window && this.window.parentNode) {
+      this.window.parentNode.removeChild(this.window);
+    }
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+}
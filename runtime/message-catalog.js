@@ -0,0 +1,178 @@
+// Message Catalog
+// Every text the runtime and the forms show the user, in Hebrew and English,
+// looked up by key: a name for the runtime's own messages, a number for the
+// application messages the PL/SQL raises with errors(n, 'e') and
+// errors2(n, 'e', text). Placeholders in braces are filled from the params:
+// '{label} is required' with { label: 'Code' }, or '{0}' with [text].
+//
+// A form adds or overrides messages with messages: { 1612: { he, en } } in
+// its definition. An entry marked placeholder holds a stand-in text, not the
+// application's own: it is shown with its number after it until a form (or
+// the catalog) gives the real text.
+class MessageCatalog {
+  static define(messages) {
+    Object.entries(messages).forEach(([id, message]) => {
+      const merged = Object.assign({}, MessageCatalog.messages[id], message);
+      if (!message.placeholder) delete merged.placeholder;
+      MessageCatalog.messages[id] = merged;
+    });
+  }
+
+  // The message in the current language (English when it has no
+  // translation). An id that is not in the catalog is taken as the text
+  // itself, so free text passes through unchanged.
+  static text(id, params = {}) {
+    const message = MessageCatalog.messages[id];
+    if (!message) return String(id);
+    const text = MessageCatalog.substitute(message[MessageCatalog.language] || message.en, params);
+    return message.placeholder ? `${text} (${id})` : text;
+  }
+
+  static substitute(text, params = {}) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      return value === null || value === undefined ? '' : String(value);
+    });
+  }
+
+  // errors() severity letters: 'e' error, 'w' warning, 'i' information.
+  static severity(code) {
+    return MessageCatalog.SEVERITIES[String(code || 'e').toLowerCase()] || 'error';
+  }
+}
+
+MessageCatalog.language = 'he';
+
+MessageCatalog.SEVERITIES = {
+  e: 'error',
+  w: 'warning',
+  i: 'info'
+};
+
+MessageCatalog.messages = {
+  // Triggers
+  TRIGGER_FAILED: {
+    en: '{trigger} trigger of {scope} raised an unhandled exception: {error}',
+    he: 'הטריגר {trigger} של {scope} נכשל: {error}'
+  },
+
+  // Items
+  FIELD_REQUIRED: { en: '{label} is required', he: 'חובה להזין {label}' },
+  FIELD_TOO_LONG: { en: '{label} must be at most {length} characters', he: '{label} יכול להכיל עד {length} תווים' },
+  FIELD_INVALID: { en: '{label} is invalid', he: 'ערך לא תקין ב{label}' },
+  FIELD_PROTECTED: { en: 'Field is protected against update', he: 'השדה מוגן מפני עדכון' },
+  NOT_IN_LIST: { en: '{label}: value is not in the list of values', he: '{label}: הערך אינו ברשימת הערכים' },
+
+  // Parameters
+  PARAMETER_NOT_DECLARED: { en: 'Parameter {parameter} is not declared', he: 'הפרמטר {parameter} אינו מוגדר' },
+  PARAMETER_INVALID: { en: 'Parameter {parameter}: {error}', he: 'פרמטר {parameter}: {error}' },
+  PARAMETERS_FAILED: { en: 'Cannot load the parameters of {form}: {error}', he: 'לא ניתן לטעון את הפרמטרים של {form}: {error}' },
+
+  // Navigation
+  CANNOT_NAVIGATE_BLOCK: { en: 'Cannot navigate to block {block}', he: 'לא ניתן לעבור לבלוק {block}' },
+  UNKNOWN_RELATION: { en: 'Relation {relation} does not exist', he: 'הקשר {relation} אינו קיים' },
+  NO_OTHER_BLOCK: { en: 'No other block to navigate to', he: 'אין בלוק אחר לעבור אליו' },
+  RECORD_MUST_BE_ENTERED: { en: 'Record must be entered or deleted first', he: 'יש להזין או למחוק את הרשומה תחילה' },
+  AT_FIRST_RECORD: { en: 'At first record', he: 'זוהי הרשומה הראשונה' },
+  INSERT_NOT_ALLOWED: { en: 'Records cannot be inserted in this block', he: 'לא ניתן להוסיף רשומות לבלוק זה' },
+  DELETE_NOT_ALLOWED: { en: 'Records cannot be deleted from this block', he: 'לא ניתן למחוק רשומות מבלוק זה' },
+  FUNCTION_NOT_ALLOWED: { en: 'This function cannot be performed here', he: 'לא ניתן לבצע פעולה זו כאן' },
+  NO_PREVIOUS_RECORD: { en: 'There is no previous record to copy', he: 'אין רשומה קודמת להעתקה' },
+  DUPLICATE_QUERIED_RECORD: { en: 'Cannot duplicate into a queried record', he: 'לא ניתן לשכפל לתוך רשומה שנשלפה' },
+
+  // Query
+  ENTER_QUERY: { en: 'Enter a query; press F8 to execute', he: 'הזן תנאי שאילתה; F8 לביצוע' },
+  QUERY_MODE_LEAVE: { en: 'Cannot leave the block while in Enter Query mode', he: 'לא ניתן לצאת מהבלוק במצב הזנת שאילתה' },
+  QUERY_MODE_FUNCTION: { en: 'This function cannot be performed in Enter Query mode', he: 'לא ניתן לבצע פעולה זו במצב הזנת שאילתה' },
+  QUERY_NOT_ALLOWED: { en: 'Queries are not allowed in this block', he: 'לא ניתן לבצע שאילתה בבלוק זה' },
+  QUERY_FAILED: { en: 'Query failed', he: 'השאילתה נכשלה' },
+  QUERY_ITEM_ERROR: { en: '{label}: {error}', he: '{label}: {error}' },
+  NO_RECORDS: { en: 'Query caused no records to be retrieved', he: 'לא נמצאו רשומות' },
+  INVALID_CONDITION: { en: 'Invalid query condition: {condition}', he: 'תנאי שאילתה לא תקין: {condition}' },
+  MISSING_CONDITION_VALUE: { en: 'Missing value in query condition', he: 'חסר ערך בתנאי השאילתה' },
+  NOT_A_NUMBER: { en: '{value} is not a valid number', he: '{value} אינו מספר תקין' },
+  DATE_FORMAT: { en: '{value} is not a date in the format {mask}', he: '{value} אינו תאריך בתבנית {mask}' },
+  NUMBER_TOO_LARGE: { en: '{value} has more than {digits} digits before the decimal point', he: 'ב-{value} יש יותר מ-{digits} ספרות לפני הנקודה העשרונית' },
+
+  // Delete and commit
+  DETAIL_RECORDS_EXIST: {
+    en: 'Cannot delete master record when matching detail records exist',
+    he: 'לא ניתן למחוק רשומה שקיימות לה רשומות מפורטות'
+  },
+  FORM_INVALID: { en: 'Please correct the errors before saving', he: 'יש לתקן את השגיאות לפני השמירה' },
+  NO_CHANGES: { en: 'No changes to save', he: 'אין שינויים לשמירה' },
+  OPERATION_NOT_ALLOWED: { en: '{operation} is not allowed in block {block}', he: 'פעולת {operation} אינה מותרת בבלוק {block}' },
+  PRIMARY_KEY_MISSING: {
+    en: 'Cannot insert a record in block {block} without {columns}',
+    he: 'לא ניתן להוסיף רשומה בבלוק {block} ללא {columns}'
+  },
+  SAVE_FAILED: { en: 'Save failed', he: 'השמירה נכשלה' },
+  TRANSACTION_COMPLETE: {
+    en: 'Transaction complete: {count} records applied and saved',
+    he: 'הפעולה הושלמה: {count} רשומות נשמרו'
+  },
+  RECORD_CHANGED: {
+    en: 'Record has been changed by another user. Re-query to see change',
+    he: 'הרשומה שונתה על ידי משתמש אחר. יש לבצע שאילתה מחדש'
+  },
+  RECORD_DELETED: { en: 'Record has been deleted by another user.', he: 'הרשומה נמחקה על ידי משתמש אחר.' },
+  RECORD_CONFLICT_TITLE: { en: '{block}: record changed by another user', he: '{block}: הרשומה שונתה על ידי משתמש אחר' },
+  RECORD_CHANGED_CHOICE: {
+    en: 'Record has been changed by another user. Re-query to see the change, or overwrite it with your values.',
+    he: 'הרשומה שונתה על ידי משתמש אחר. יש לבצע שאילתה מחדש, או לדרוס את השינוי בערכים שלך.'
+  },
+  SAVE_CHANGES: { en: 'Do you want to save the changes you have made?', he: 'האם לשמור את השינויים שבוצעו?' },
+  UNSAVED_CHANGES: { en: 'You have unsaved changes. Are you sure you want to leave?', he: 'קיימים שינויים שלא נשמרו. לצאת בכל זאת?' },
+
+  // List of values
+  LOV_TITLE: { en: 'List of Values - {title}', he: 'רשימת ערכים - {title}' },
+  LOV_FIND: { en: 'Find', he: 'חיפוש' },
+  LOV_ROWS: { en: '{count} rows', he: '{count} רשומות' },
+  LOV_FAILED: { en: 'Failed to fetch LOV data', he: 'טעינת רשימת הערכים נכשלה' },
+
+  // File import
+  NO_FILE_CHOSEN: { en: 'Choose a file first', he: 'יש לבחור קובץ תחילה' },
+  IMPORT_FAILED: { en: 'The file could not be imported', he: 'טעינת הקובץ נכשלה' },
+  IMPORT_HAS_ERRORS: { en: 'The file has {count} lines with errors', he: 'בקובץ {count} שורות עם שגיאות' },
+  IMPORT_CHECKED: { en: 'The file was checked: {count} lines are ready to apply', he: 'הקובץ נבדק: {count} שורות מוכנות לעדכון' },
+  IMPORT_APPLIED: { en: '{count} records were updated from the file', he: '{count} רשומות עודכנו מהקובץ' },
+
+  // Printing
+  PRINTED_ON: { en: 'Printed {date}', he: 'הודפס ב-{date}' },
+  PAGE_OF: { en: 'Page {page} of {pages}', he: 'עמוד {page} מתוך {pages}' },
+  REPORT_FAILED: { en: 'The report could not be produced', he: 'הפקת הדוח נכשלה' },
+  REPORT_FORMAT_UNSUPPORTED: { en: 'Reports cannot be exported as {format}', he: 'לא ניתן לייצא דוח בפורמט {format}' },
+  REPORT_FONT_MISSING: { en: 'The report server has no font for PDF', he: 'לשרת הדוחות אין גופן ל-PDF' },
+
+  // Buttons and headings
+  OK: { en: 'OK', he: 'אישור' },
+  YES: { en: 'Yes', he: 'כן' },
+  NO: { en: 'No', he: 'לא' },
+  REQUERY: { en: 'Re-query', he: 'שאילתה מחדש' },
+  OVERWRITE: { en: 'Overwrite', he: 'דרוס' },
+  CANCEL: { en: 'Cancel', he: 'ביטול' },
+  CLOSE: { en: 'Close', he: 'סגירה' },
+  PRINT: { en: 'Print', he: 'הדפסה' },
+  EXPORT_PDF: { en: 'PDF', he: 'PDF' },
+  EXPORT_CSV: { en: 'CSV', he: 'CSV' },
+  FIELD: { en: 'Field', he: 'שדה' },
+  YOUR_VALUE: { en: 'Your value', he: 'הערך שלך' },
+  QUERIED_VALUE: { en: 'Queried value', he: 'הערך שנשלף' },
+  DATABASE_VALUE: { en: 'Database value', he: 'הערך במסד הנתונים' },
+
+  // Application messages raised by the forms' PL/SQL. The extraction has
+  // only their numbers, not the message table they are read from, so these
+  // texts are placeholders written from the code around each call; replace
+  // them with the table's texts when it is exported. errors2(10735) shows
+  // the text it is given.
+  1: { en: 'Action not allowed', he: 'פעולה לא חוקית', placeholder: true },
+  2: { en: 'Code does not exist', he: 'קוד לא קיים', placeholder: true },
+  12: { en: 'Table does not exist', he: 'טבלה לא קיימת', placeholder: true },
+  108: { en: 'Date must be later than today', he: 'התאריך חייב להיות מאוחר מהיום', placeholder: true },
+  184: { en: 'Table number must be entered', he: 'יש להזין מספר טבלה', placeholder: true },
+  220: { en: 'Maximum quantity is less than minimum quantity', he: 'כמות מקסימום קטנה מכמות מינימום', placeholder: true },
+  239: { en: 'Supplier does not exist', he: 'ספק לא קיים', placeholder: true },
+  1612: { en: 'Code does not exist in this table', he: 'הקוד לא קיים בטבלה', placeholder: true },
+  10231: { en: 'Do you want to save the changes?', he: 'האם לשמור את השינויים?', placeholder: true },
+  10735: { en: '{0}', he: '{0}' }
+};
@@ -0,0 +1,49 @@
+// Message Line Class
+// The form's single message and status line, the equivalent of the Forms
+// console: the last message stays until the next one replaces it. With
+// messageStyle 'alert' errors and warnings also open an alert dialog.
+class MessageLine {
+  constructor(options = {}) {
+    this.style = options.style || 'line';
+    this.element = document.getElementById('message-line') || this.create();
+    this.severity = null;
+    this.dialog = null;
+  }
+
+  create() {
+    const element = document.createElement('div');
+    element.id = 'message-line';
+    element.className = 'message-line';
+    element.setAttribute('role', 'status');
+    element.setAttribute('aria-live', 'polite');
+    document.body.appendChild(element);
+    return element;
+  }
+
+  // severity: 'error', 'warning' or 'info'.
+  show(text, severity = 'info') {
+    this.element.textContent = text;
+    this.element.className = `message-line message-${severity}`;
+    this.element.setAttribute('role', severity === 'error' ? 'alert' : 'status');
+    this.severity = severity;
+
+    if (this.style === 'alert' && severity !== 'info') {
+      if (this.dialog) this.dialog.choose(1);
+      const dialog = new AlertDialog({ message: text, style: severity === 'error' ? 'stop' : 'caution' });
+      this.dialog = dialog;
+      dialog.open().then(() => {
+        if (this.dialog === dialog) this.dialog = null;
+      });
+    }
+  }
+
+  get text() {
+    return this.element.textContent;
+  }
+
+  clear() {
+    this.element.textContent = '';
+    this.element.className = 'message-line';
+    this.severity = null;
+  }
+}
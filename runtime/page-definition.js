@@ -0,0 +1,73 @@
+// Page Definition
+// A page rendered by tools/render-form.js carries the form's definition, as
+// JSON, in script#form-definition. JSON cannot hold functions, so its
+// triggers and item formulas name handlers that app.js passes to
+// FormsController.start:
+//
+// FormsController.start({ handlers: { executeQuery: (form) => form.doKey('execute_query') } });
+//
+// Anything else app.js gives is merged over the page's definition.
+class PageDefinition {
+  static read(doc = document) {
+    const script = doc.getElementById('form-definition');
+    return script ? JSON.parse(script.textContent) : null;
+  }
+
+  // The definition to start the controller with: app.js's alone on a page
+  // without one.
+  static merge(definition = {}, page = PageDefinition.read()) {
+    if (!page) return definition;
+
+    const merged = Object.assign({}, page, definition);
+    ['options', 'canvases', 'lovs', 'alerts', 'parameters', 'messages', 'reports'].forEach(key => {
+      merged[key] = Object.assign({}, page[key], definition[key]);
+    });
+    // Blocks and fields are merged one by one, so app.js can add an option
+    // to an item without repeating it.
+    ['blocks', 'fields'].forEach(key => {
+      merged[key] = Object.assign({}, page[key]);
+      Object.entries(definition[key] || {}).forEach(([name, options]) => {
+        merged[key][name] = Object.assign({}, merged[key][name], options);
+      });
+    });
+    // An item's formula names its handler as well.
+    Object.entries(merged.fields).forEach(([name, options]) => {
+      if (typeof options.formula !== 'string') return;
+      const handler = (definition.handlers || {})[options.formula];
+      if (typeof handler !== 'function') console.warn(`No handler ${options.formula} for the formula of ${name}`);
+      merged.fields[name] = Object.assign({}, options, { formula: typeof handler === 'function' ? handler : null });
+    });
+    merged.relations = (page.relations || []).concat(definition.relations || []);
+    merged.triggers = PageDefinition.resolve(page.triggers || {}, definition.handlers || {});
+    Object.entries(definition.triggers || {}).forEach(([key, value]) => {
+      merged.triggers[key] = typeof value === 'function' ? value : Object.assign({}, merged.triggers[key], value);
+    });
+    delete merged.handlers;
+    return merged;
+  }
+
+  // Replaces handler names by app.js's functions; a missing one is reported
+  // and its trigger left out.
+  static resolve(triggers, handlers) {
+    const handler = (name, trigger) => {
+      if (typeof handlers[name] === 'function') return handlers[name];
+      console.warn(`No handler ${name} for ${trigger}`);
+      return null;
+    };
+
+    const resolved = {};
+    Object.entries(triggers).forEach(([key, value]) => {
+      if (typeof value === 'string') {
+        const fn = handler(value, key);
+        if (fn) resolved[key] = fn;
+        return;
+      }
+      resolved[key] = {};
+      Object.entries(value).forEach(([trigger, name]) => {
+        const fn = handler(name, `${key} ${trigger}`);
+        if (fn) resolved[key][trigger] = fn;
+      });
+    });
+    return resolved;
+  }
+}
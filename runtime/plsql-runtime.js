@@ -0,0 +1,599 @@
+// PL/SQL Error Class
+// An exception raised by translated PL/SQL: a predefined one (NO_DATA_FOUND,
+// TOO_MANY_ROWS) or one the trigger declares. Handlers match it by code.
+class PlsqlError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'PlsqlError';
+    this.code = String(code).toUpperCase();
+  }
+}
+
+// PL/SQL Cursor Class
+// An explicit cursor of a translated trigger. The statement is the id of
+// its query in the form's plsql-statements.json; the rows are fetched when
+// the cursor opens.
+class PlsqlCursor {
+  constructor(form, statement) {
+    this.form = form;
+    this.statement = statement;
+    this.rows = null;
+    this.position = 0;
+    this.lastFetch = null;
+  }
+
+  get isOpen() {
+    return this.rows !== null;
+  }
+
+  // %FOUND and %NOTFOUND are null until the first fetch.
+  get found() {
+    return this.lastFetch;
+  }
+
+  get notFound() {
+    return this.lastFetch === null ? null : !this.lastFetch;
+  }
+
+  get rowCount() {
+    return this.position;
+  }
+
+  async open(binds = {}) {
+    if (this.isOpen) throw new PlsqlError('CURSOR_ALREADY_OPEN');
+    const result = await Plsql.query(this.form, this.statement, binds);
+    this.columns = result.columns;
+    this.rows = result.rows;
+    this.position = 0;
+    this.lastFetch = null;
+  }
+
+  // FETCH ... INTO: the callback assigns the row's values, in select order.
+  fetch(assign) {
+    if (!this.isOpen) throw new PlsqlError('INVALID_CURSOR');
+    this.lastFetch = this.position < this.rows.length;
+    if (this.lastFetch) {
+      assign(this.rows[this.position]);
+      this.position++;
+    }
+  }
+
+  close() {
+    if (!this.isOpen) throw new PlsqlError('INVALID_CURSOR');
+    this.rows = null;
+  }
+
+  // The rows of a cursor FOR loop, keyed by lower-case column name.
+  async records(binds = {}) {
+    return Plsql.records(this.form, this.statement, binds);
+  }
+}
+
+// PL/SQL Runtime
+// Helpers the code generated by tools/transpile-plsql.js calls: SQL
+// through options.sqlUrl, Oracle's NULL semantics, the SQL functions and
+// the :SYSTEM variables.
+class Plsql {
+  // Posts { form, statement, binds } and expects { columns, rows }, rows
+  // being arrays of values in select order. DML answers { rowCount }.
+  static async query(form, statement, binds = {}) {
+    const response = await ApiClient.fetch(form.options.sqlUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ form: form.name, statement: statement, binds: binds })
+    });
+
+    if (!response.ok) {
+      throw new PlsqlError('SQL_FAILED', `Statement ${statement} of ${form.name} failed`);
+    }
+    const data = await response.json();
+    return Object.assign({ columns: [], rows: [], rowCount: 0 }, data);
+  }
+
+  // SELECT ... INTO: exactly one row, or NO_DATA_FOUND / TOO_MANY_ROWS.
+  static async selectInto(form, statement, binds) {
+    const { rows } = await Plsql.query(form, statement, binds);
+    if (!rows.length) throw new PlsqlError('NO_DATA_FOUND');
+    if (rows.length > 1) throw new PlsqlError('TOO_MANY_ROWS');
+    return rows[0];
+  }
+
+  static async records(form, statement, binds) {
+    const { columns, rows } = await Plsql.query(form, statement, binds);
+    return rows.map(row => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column.toLowerCase()] = row[index];
+      });
+      return record;
+    });
+  }
+
+  // INSERT, UPDATE and DELETE; the result backs SQL%ROWCOUNT.
+  static async execute(form, statement, binds) {
+    const { rowCount } = await Plsql.query(form, statement, binds);
+    return { rowCount: Number(rowCount) || 0 };
+  }
+
+  // SQL% attributes of the last DML statement (null before any).
+  static implicit(result) {
+    const rowCount = result ? result.rowCount : null;
+    return {
+      found: result ? rowCount > 0 : null,
+      notFound: result ? rowCount === 0 : null,
+      rowCount: rowCount,
+      isOpen: false
+    };
+  }
+
+  // Whether an EXCEPTION WHEN clause catches the error.
+  static matches(error, ...names) {
+    return names.some(name => {
+      const upper = name.toUpperCase();
+      if (upper === 'FORM_TRIGGER_FAILURE') return error instanceof FormTriggerFailure;
+      return error && error.code === upper;
+    });
+  }
+
+  static sqlerrm(error) {
+    return error && error.message ? error.message : null;
+  }
+
+  // Oracle reports user-defined exceptions as 1; there is no ORA- number
+  // for errors raised in the browser.
+  static sqlcode(error) {
+    if (!error) return 0;
+    return typeof error.sqlcode === 'number' ? error.sqlcode : 1;
+  }
+
+  // Code the transpiler could not translate; the warning names the trigger.
+  static untranslated(label, reason) {
+    console.warn(`PL/SQL not translated in ${label}: ${reason}`);
+    return null;
+  }
+
+  // NULL semantics
+
+  static isNull(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  static not(value) {
+    return value === null ? null : !value;
+  }
+
+  // Numbers compare as numbers, dates and the rest as strings; a NULL on
+  // either side makes the result NULL.
+  static compare(a, b) {
+    if (Plsql.isNull(a) || Plsql.isNull(b)) return null;
+    if (a instanceof Date) a = Plsql.dateString(a);
+    if (b instanceof Date) b = Plsql.dateString(b);
+    if (Plsql.isNumeric(a) && Plsql.isNumeric(b)) return Number(a) - Number(b);
+    a = String(a);
+    b = String(b);
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  static eq(a, b) {
+    const result = Plsql.compare(a, b);
+    return result === null ? null : result === 0;
+  }
+
+  static ne(a, b) {
+    const result = Plsql.compare(a, b);
+    return result === null ? null : result !== 0;
+  }
+
+  static lt(a, b) {
+    const result = Plsql.compare(a, b);
+    return result === null ? null : result < 0;
+  }
+
+  static gt(a, b) {
+    const result = Plsql.compare(a, b);
+    return result === null ? null : result > 0;
+  }
+
+  static le(a, b) {
+    const result = Plsql.compare(a, b);
+    return result === null ? null : result <= 0;
+  }
+
+  static ge(a, b) {
+    const result = Plsql.compare(a, b);
+    return result === null ? null : result >= 0;
+  }
+
+  // LIKE with % and _ wildcards.
+  static like(value, pattern) {
+    if (Plsql.isNull(value) || Plsql.isNull(pattern)) return null;
+    const source = String(pattern)
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/%/g, '.*')
+      .replace(/_/g, '.');
+    return new RegExp(`^${source}$`, 's').test(String(value));
+  }
+
+  static isIn(value, list) {
+    if (Plsql.isNull(value)) return null;
+    return list.some(item => Plsql.eq(value, item) === true);
+  }
+
+  static between(value, low, high) {
+    const above = Plsql.ge(value, low);
+    const below = Plsql.le(value, high);
+    if (above === false || below === false) return false;
+    return above === null || below === null ? null : true;
+  }
+
+  // Arithmetic; a date plus or minus a number moves it by days, and a date
+  // minus a date is the number of days between them.
+
+  static add(a, b) {
+    if (Plsql.isNull(a) || Plsql.isNull(b)) return null;
+    if (Plsql.isDate(a)) return Plsql.addDays(a, Number(b));
+    if (Plsql.isDate(b)) return Plsql.addDays(b, Number(a));
+    return Plsql.number(a) + Plsql.number(b);
+  }
+
+  static subtract(a, b) {
+    if (Plsql.isNull(a) || Plsql.isNull(b)) return null;
+    if (Plsql.isDate(a) && Plsql.isDate(b)) {
+      return (Plsql.parseDate(a) - Plsql.parseDate(b)) / Plsql.DAY;
+    }
+    if (Plsql.isDate(a)) return Plsql.addDays(a, -Number(b));
+    return Plsql.number(a) - Plsql.number(b);
+  }
+
+  static multiply(a, b) {
+    if (Plsql.isNull(a) || Plsql.isNull(b)) return null;
+    return Plsql.number(a) * Plsql.number(b);
+  }
+
+  static divide(a, b) {
+    if (Plsql.isNull(a) || Plsql.isNull(b)) return null;
+    if (Plsql.number(b) === 0) throw new PlsqlError('ZERO_DIVIDE');
+    return Plsql.number(a) / Plsql.number(b);
+  }
+
+  // || treats NULL as ''; an all-NULL result is NULL.
+  static concat(...values) {
+    const text = values.map(value => (Plsql.isNull(value) ? '' : String(value))).join('');
+    return text === '' ? null : text;
+  }
+
+  // Conversions
+
+  static isNumeric(value) {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+  }
+
+  // Implicit conversion of an operand; raises VALUE_ERROR like Oracle.
+  static number(value) {
+    if (!Plsql.isNumeric(value)) throw new PlsqlError('VALUE_ERROR', `${value} is not a number`);
+    return Number(value);
+  }
+
+  static toNumber(value) {
+    if (Plsql.isNull(value)) return null;
+    return Plsql.number(typeof value === 'string' ? value.trim() : value);
+  }
+
+  // TO_CHAR of a date with DD, MM, YYYY, YY, HH24, HH, MI and SS, or of a
+  // number with a 9/0 format, whose decimals are kept.
+  static toChar(value, format = null) {
+    if (Plsql.isNull(value)) return null;
+    if (Plsql.isDate(value)) {
+      return Plsql.formatDate(Plsql.parseDate(value), format || Plsql.DATE_FORMAT);
+    }
+    if (format && Plsql.isNumeric(value)) {
+      const decimals = format.includes('.') ? format.split('.')[1].replace(/[^09]/g, '').length : 0;
+      const text = Number(value).toFixed(decimals);
+      const zeros = (format.split('.')[0].match(/0/g) || []).length;
+      return text.replace(/^(-?)(\d+)/, (match, sign, digits) => sign + digits.padStart(zeros, '0'));
+    }
+    return String(value);
+  }
+
+  // TO_DATE returns the ISO form the runtime keeps dates in.
+  static toDate(value, format = Plsql.DATE_FORMAT) {
+    if (Plsql.isNull(value)) return null;
+    if (value instanceof Date) return Plsql.dateString(value);
+    const text = String(value);
+    const parts = { YYYY: null, MM: 1, DD: 1, HH24: 0, MI: 0, SS: 0 };
+    let position = 0;
+    let pattern = String(format).toUpperCase();
+    while (pattern) {
+      const token = Plsql.DATE_TOKENS.find(name => pattern.startsWith(name));
+      if (token) {
+        const digits = text.slice(position).match(token === 'YYYY' ? /^\d{1,4}/ : /^\d{1,2}/);
+        if (!digits) throw new PlsqlError('VALUE_ERROR', `${text} does not match ${format}`);
+        let number = Number(digits[0]);
+        if (token === 'YY') number += 2000;
+        parts[token === 'YY' ? 'YYYY' : (token === 'HH' ? 'HH24' : token)] = number;
+        position += digits[0].length;
+        pattern = pattern.slice(token.length);
+      } else {
+        position++;
+        pattern = pattern.slice(1);
+      }
+    }
+    if (parts.YYYY === null) throw new PlsqlError('VALUE_ERROR', `${text} does not match ${format}`);
+    const date = new Date(parts.YYYY, parts.MM - 1, parts.DD, parts.HH24, parts.MI, parts.SS);
+    if (date.getMonth() !== parts.MM - 1 || date.getDate() !== parts.DD) {
+      throw new PlsqlError('VALUE_ERROR', `${text} is not a valid date`);
+    }
+    return /HH|MI|SS/.test(String(format).toUpperCase()) ? Plsql.dateTimeString(date) : Plsql.dateString(date);
+  }
+
+  // Dates are Date objects or ISO strings (YYYY-MM-DD, optionally with a
+  // time), as the query service returns them.
+  static isDate(value) {
+    return value instanceof Date || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(value));
+  }
+
+  static parseDate(value) {
+    if (value instanceof Date) return value;
+    const [date, time = '00:00:00'] = value.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+
+  static addDays(value, days) {
+    const date = new Date(Plsql.parseDate(value).getTime() + days * Plsql.DAY);
+    const hasTime = value instanceof Date || value.includes('T') || days % 1 !== 0;
+    return hasTime ? Plsql.dateTimeString(date) : Plsql.dateString(date);
+  }
+
+  static dateString(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  static dateTimeString(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${Plsql.dateString(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  static formatDate(date, format) {
+    const pad = number => String(number).padStart(2, '0');
+    const values = {
+      YYYY: String(date.getFullYear()),
+      YY: pad(date.getFullYear() % 100),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH24: pad(date.getHours()),
+      HH: pad(date.getHours() % 12 || 12),
+      MI: pad(date.getMinutes()),
+      SS: pad(date.getSeconds())
+    };
+    return String(format).replace(/YYYY|YY|MM|DD|HH24|HH|MI|SS/gi, token => values[token.toUpperCase()]);
+  }
+
+  static sysdate() {
+    return Plsql.dateTimeString(new Date());
+  }
+
+  // SQL functions
+
+  static nvl(value, replacement) {
+    return Plsql.isNull(value) ? replacement : value;
+  }
+
+  static nvl2(value, notNull, whenNull) {
+    return Plsql.isNull(value) ? whenNull : notNull;
+  }
+
+  // DECODE(value, search1, result1, ..., default); NULL matches NULL.
+  static decode(value, ...pairs) {
+    for (let i = 0; i + 1 < pairs.length; i += 2) {
+      const search = pairs[i];
+      if ((Plsql.isNull(value) && Plsql.isNull(search)) || Plsql.eq(value, search) === true) return pairs[i + 1];
+    }
+    return pairs.length % 2 ? pairs[pairs.length - 1] : null;
+  }
+
+  static greatest(...values) {
+    if (values.some(Plsql.isNull)) return null;
+    return values.reduce((best, value) => (Plsql.gt(value, best) ? value : best));
+  }
+
+  static least(...values) {
+    if (values.some(Plsql.isNull)) return null;
+    return values.reduce((best, value) => (Plsql.lt(value, best) ? value : best));
+  }
+
+  static abs(value) {
+    return Plsql.isNull(value) ? null : Math.abs(Plsql.number(value));
+  }
+
+  static ceil(value) {
+    return Plsql.isNull(value) ? null : Math.ceil(Plsql.number(value));
+  }
+
+  static floor(value) {
+    return Plsql.isNull(value) ? null : Math.floor(Plsql.number(value));
+  }
+
+  static sign(value) {
+    return Plsql.isNull(value) ? null : Math.sign(Plsql.number(value));
+  }
+
+  // MOD(a, 0) is a in Oracle.
+  static mod(a, b) {
+    if (Plsql.isNull(a) || Plsql.isNull(b)) return null;
+    return Plsql.number(b) === 0 ? Plsql.number(a) : Plsql.number(a) % Plsql.number(b);
+  }
+
+  static round(value, places = 0) {
+    if (Plsql.isNull(value)) return null;
+    if (Plsql.isDate(value)) return Plsql.dateString(Plsql.parseDate(Plsql.addDays(value, 0.5)));
+    const factor = Math.pow(10, Plsql.number(places));
+    const number = Plsql.number(value);
+    return Math.sign(number) * Math.round(Math.abs(number) * factor) / factor;
+  }
+
+  // TRUNC of a date drops the time; of a number, the decimals past places.
+  static trunc(value, places = 0) {
+    if (Plsql.isNull(value)) return null;
+    if (Plsql.isDate(value)) return Plsql.dateString(Plsql.parseDate(value));
+    const factor = Math.pow(10, Plsql.number(places));
+    return Math.trunc(Plsql.number(value) * factor) / factor;
+  }
+
+  static length(value) {
+    return Plsql.isNull(value) ? null : String(value).length;
+  }
+
+  static lower(value) {
+    return Plsql.isNull(value) ? null : String(value).toLowerCase();
+  }
+
+  static upper(value) {
+    return Plsql.isNull(value) ? null : String(value).toUpperCase();
+  }
+
+  static initcap(value) {
+    if (Plsql.isNull(value)) return null;
+    return String(value).toLowerCase().replace(/(^|[^\p{L}\d])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+  }
+
+  // SUBSTR is 1-based; a negative start counts from the end.
+  static substr(value, start, length = null) {
+    if (Plsql.isNull(value) || Plsql.isNull(start)) return null;
+    const text = String(value);
+    let from = Plsql.number(start);
+    from = from > 0 ? from - 1 : (from === 0 ? 0 : text.length + from);
+    if (from < 0 || from >= text.length) return null;
+    if (length === null) return text.slice(from);
+    if (Plsql.number(length) < 1) return null;
+    return text.substr(from, Plsql.number(length));
+  }
+
+  // INSTR(value, search, start, occurrence); 0 when not found.
+  static instr(value, search, start = 1, occurrence = 1) {
+    if (Plsql.isNull(value) || Plsql.isNull(search)) return null;
+    const text = String(value);
+    let position = Plsql.number(start) - 1;
+    for (let found = 0; ;) {
+      const index = text.indexOf(String(search), position);
+      if (index === -1) return 0;
+      if (++found === Plsql.number(occurrence)) return index + 1;
+      position = index + 1;
+    }
+  }
+
+  static lpad(value, length, pad = ' ') {
+    if (Plsql.isNull(value)) return null;
+    const text = String(value);
+    const size = Plsql.number(length);
+    return text.length >= size ? text.slice(0, size) : text.padStart(size, pad);
+  }
+
+  static rpad(value, length, pad = ' ') {
+    if (Plsql.isNull(value)) return null;
+    const text = String(value);
+    const size = Plsql.number(length);
+    return text.length >= size ? text.slice(0, size) : text.padEnd(size, pad);
+  }
+
+  static ltrim(value, set = ' ') {
+    if (Plsql.isNull(value)) return null;
+    const text = String(value);
+    let index = 0;
+    while (index < text.length && set.includes(text[index])) index++;
+    return text.slice(index) || null;
+  }
+
+  static rtrim(value, set = ' ') {
+    if (Plsql.isNull(value)) return null;
+    const text = String(value);
+    let index = text.length;
+    while (index > 0 && set.includes(text[index - 1])) index--;
+    return text.slice(0, index) || null;
+  }
+
+  static trim(value) {
+    return Plsql.isNull(value) ? null : (String(value).trim() || null);
+  }
+
+  static replace(value, search, replacement = null) {
+    if (Plsql.isNull(value)) return null;
+    if (Plsql.isNull(search)) return String(value);
+    return String(value).split(String(search)).join(Plsql.isNull(replacement) ? '' : String(replacement)) || null;
+  }
+
+  // Forms
+
+  // NAME_IN('block.item'), NAME_IN('global.x') or NAME_IN('system.x').
+  static nameIn(form, name) {
+    const text = String(name);
+    if (/^system\./i.test(text)) return Plsql.system(form, text.slice(text.indexOf('.') + 1).toUpperCase());
+    return form.getFieldValue(text);
+  }
+
+  // DEFAULT_VALUE assigns a global that does not exist yet, or an item
+  // that is NULL.
+  static defaultValue(form, value, name) {
+    const text = String(name);
+    if (/^global\./i.test(text)) {
+      form.globals.defaultValue(value, text.slice(text.indexOf('.') + 1));
+    } else if (Plsql.isNull(form.getFieldValue(text))) {
+      form.setFieldValue(text, value);
+    }
+  }
+
+  static erase(form, name) {
+    const text = String(name);
+    form.globals.erase(text.replace(/^global\./i, ''));
+  }
+
+  // GET_*_PROPERTY answers in the strings Forms uses.
+  static property(value) {
+    if (value === true) return 'TRUE';
+    if (value === false) return 'FALSE';
+    return value === undefined ? null : value;
+  }
+
+  // :SYSTEM variables.
+  static system(form, name) {
+    const field = form.currentField;
+    const block = form.currentBlock;
+    switch (name) {
+      case 'CURSOR_RECORD':
+      case 'TRIGGER_RECORD':
+        return block ? String(block.currentIndex + 1) : null;
+      case 'CURSOR_BLOCK':
+      case 'CURRENT_BLOCK':
+      case 'TRIGGER_BLOCK':
+        return block ? block.name.toUpperCase() : null;
+      case 'CURSOR_ITEM':
+      case 'CURRENT_ITEM':
+      case 'TRIGGER_ITEM':
+        return field ? `${field.block}.${field.name.toUpperCase()}` : null;
+      case 'CURSOR_FIELD':
+        return field ? field.name.toUpperCase() : null;
+      case 'CURSOR_VALUE':
+        return field ? Plsql.nvl(field.value, null) : null;
+      case 'LAST_RECORD':
+        return block && block.isLastRecord ? 'TRUE' : 'FALSE';
+      case 'FORM_STATUS':
+        if (form.isDirty) return 'CHANGED';
+        return Array.from(form.blocks.values()).some(each => !each.isEmpty) ? 'QUERY' : 'NEW';
+      case 'MODE':
+        return form.queryMode ? 'ENTER-QUERY' : 'NORMAL';
+      case 'CURRENT_FORM':
+        return form.name;
+      default:
+        console.warn(`:SYSTEM.${name} is not supported`);
+        return null;
+    }
+  }
+}
+
+Plsql.DAY = 24 * 60 * 60 * 1000;
+Plsql.DATE_FORMAT = 'DD/MM/YYYY';
+Plsql.DATE_TOKENS = ['YYYY', 'YY', 'MM', 'DD', 'HH24', 'HH', 'MI', 'SS'];
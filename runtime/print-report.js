@@ -0,0 +1,265 @@
+// Print Report Class
+// What KEY-PRINT prints: the records of a block, or of a report the form
+// names, as an RTL document with the form's title, the query's criteria and
+// a page break every rowsPerPage records. The preview window prints it or
+// exports it as PDF or CSV through options.reportUrl, which answers the file
+// for { form, report, title, formTitle, printed, format: 'pdf' | 'csv',
+// criteria, columns, rows, rowsPerPage, orientation }.
+//
+// reports: { codes: { title: 'Codes', block: 'CODES',
+//                     columns: ['code', { name: 'code_desc', label: 'Description' }],
+//                     rowsPerPage: 30, orientation: 'landscape' } }
+// columns default to the block's items; an item's label is its prompt.
+class PrintReport {
+  // columns: [{ name, label }]; rows: arrays of values in column order;
+  // criteria: [{ label, value }].
+  constructor(options) {
+    this.form = options.form;
+    this.formTitle = options.formTitle || options.form;
+    this.name = options.name || null;
+    this.title = options.title || '';
+    this.columns = options.columns;
+    this.rows = options.rows;
+    this.criteria = options.criteria || [];
+    this.rowsPerPage = options.rowsPerPage || 40;
+    this.orientation = options.orientation || 'portrait';
+    this.printed = new Date();
+    this.window = null;
+  }
+
+  // A report of a block's records (plain values, or Records). query is the
+  // block's { criteria, binds }, shown as the report's criteria.
+  static forBlock(form, block, report, query, records) {
+    const items = Array.from(block.items.keys());
+    const columns = (report.columns || items).map(column => {
+      const name = typeof column === 'string' ? column : column.name;
+      const field = block.items.get(name);
+      return { name: name, label: column.label || (field ? field.label : name.toUpperCase()) };
+    });
+    const rows = records
+      .map(record => record.values || record)
+      .map(values => columns.map(column => PrintReport.valueOf(values, column.name)));
+
+    return new PrintReport({
+      form: form.name,
+      formTitle: PrintReport.formTitle(),
+      name: report.name || block.name,
+      title: report.title || block.name,
+      columns: columns,
+      rows: rows,
+      criteria: PrintReport.criteriaOf(form, block, query || {}),
+      rowsPerPage: report.rowsPerPage,
+      orientation: report.orientation
+    });
+  }
+
+  static formTitle() {
+    const heading = document.querySelector('.dashboard-title');
+    return heading ? heading.textContent.trim() : document.title;
+  }
+
+  static valueOf(values, name) {
+    const key = Object.keys(values).find(candidate => candidate.toUpperCase() === name.toUpperCase());
+    const value = key === undefined ? null : values[key];
+    return value === undefined || value === '' ? null : value;
+  }
+
+  // The items the where clause binds, then the query-by-example conditions.
+  static criteriaOf(form, block, { criteria = {}, binds = {} }) {
+    const label = (name, fallback) => {
+      const field = form.findField(name);
+      return field ? field.label : fallback;
+    };
+    const result = [];
+    Object.entries(binds).forEach(([reference, value]) => {
+      if (value !== null) result.push({ label: label(reference, reference), value: value });
+    });
+    Object.entries(criteria).forEach(([column, condition]) => {
+      const field = block.items.get(column);
+      result.push({ label: field ? field.label : column.toUpperCase(), value: PrintReport.conditionText(condition) });
+    });
+    return result;
+  }
+
+  static conditionText({ operator, value }) {
+    if (operator === '=') return String(value);
+    if (operator === 'BETWEEN') return `${value[0]} - ${value[1]}`;
+    return value === undefined ? operator : `${operator} ${value}`;
+  }
+
+  static escape(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  get pages() {
+    const pages = [];
+    for (let start = 0; start < this.rows.length; start += this.rowsPerPage) {
+      pages.push(this.rows.slice(start, start + this.rowsPerPage));
+    }
+    return pages.length ? pages : [[]];
+  }
+
+  // The printable document; every page repeats the titles and the column
+  // headings, the first one lists the criteria.
+  html() {
+    const e = PrintReport.escape;
+    const lang = document.documentElement.lang || MessageCatalog.language;
+    const dir = document.documentElement.dir || 'rtl';
+    const printed = this.printedText(lang);
+    const pages = this.pages;
+    const headings = this.columns.map(column => `<th>${e(column.label)}</th>`).join('');
+    const criteria = this.criteria.length
+      ? `<dl class="report-criteria">${this.criteria.map(({ label, value }) => `<dt>${e(label)}</dt><dd>${e(value)}</dd>`).join('')}</dl>`
+      : '';
+
+    const body = pages.map((rows, index) => [
+      '<section class="report-page">',
+      `<header class="report-header"><h1>${e(this.formTitle)}</h1><h2>${e(this.title)}</h2><div>${e(printed)}</div></header>`,
+      index === 0 ? criteria : '',
+      `<table class="report-table"><thead><tr>${headings}</tr></thead><tbody>`,
+      rows.map(row => `<tr>${row.map(value => `<td>${e(value)}</td>`).join('')}</tr>`).join(''),
+      '</tbody></table>',
+      `<footer class="report-footer">${e(MessageCatalog.text('PAGE_OF', { page: index + 1, pages: pages.length }))}</footer>`,
+      '</section>'
+    ].join('')).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${e(lang)}" dir="${e(dir)}">
+<head>
+<meta charset="UTF-8">
+<title>${e(this.title)}</title>
+<style>${PrintReport.style(this.orientation)}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  printedText(lang) {
+    return MessageCatalog.text('PRINTED_ON', { date: this.printed.toLocaleString(lang === 'he' ? 'he-IL' : 'en-GB') });
+  }
+
+  static style(orientation) {
+    return `@page { size: A4 ${orientation}; margin: 15mm; }
+body { font-family: Arial, sans-serif; font-size: 10pt; margin: 0; }
+.report-page + .report-page { break-before: page; }
+.report-header { display: flex; justify-content: space-between; align-items: baseline; gap: 1em; border-bottom: 1px solid #000; margin-bottom: 0.5em; }
+.report-header h1 { font-size: 14pt; margin: 0; }
+.report-header h2 { font-size: 12pt; margin: 0; }
+.report-criteria { display: grid; grid-template-columns: max-content 1fr; gap: 0.25em 1em; margin: 0 0 0.75em; }
+.report-criteria dt { font-weight: bold; }
+.report-criteria dd { margin: 0; }
+.report-table { width: 100%; border-collapse: collapse; }
+.report-table th, .report-table td { border: 1px solid #999; padding: 0.2em 0.4em; text-align: start; }
+.report-table th { background: #eee; }
+.report-footer { text-align: center; margin-top: 0.5em; font-size: 9pt; }`;
+  }
+
+  // What options.reportUrl is sent to export the report; a PDF is laid out
+  // as the preview, with its headings.
+  request(format) {
+    return {
+      form: this.form,
+      report: this.name,
+      title: this.title,
+      formTitle: this.formTitle,
+      printed: this.printedText(document.documentElement.lang || MessageCatalog.language),
+      format: format,
+      criteria: this.criteria.map(({ label, value }) => ({ label: label, value: value })),
+      columns: this.columns,
+      rows: this.rows,
+      rowsPerPage: this.rowsPerPage,
+      orientation: this.orientation
+    };
+  }
+
+  // Downloads the report as the server renders it.
+  async export(url, format) {
+    const response = await ApiClient.fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(this.request(format))
+    });
+    if (!response.ok) {
+      const result = await response.json().catch(() => null);
+      throw new Error(MessageCatalog.text(result && result.message ? result.message : 'REPORT_FAILED', result && result.params));
+    }
+
+    const disposition = /filename="?([^";]+)"?/.exec(response.headers.get('Content-Disposition') || '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = disposition ? disposition[1] : `${this.name || 'report'}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // Shows the document with Print, PDF, CSV and Close buttons; resolves
+  // when it is closed. onError gets the errors of an export.
+  preview({ exportUrl, onError }) {
+    return new Promise(resolve => {
+      this.window = document.createElement('div');
+      this.window.className = 'lov-window print-preview';
+      this.window.setAttribute('role', 'dialog');
+
+      const header = document.createElement('div');
+      header.className = 'lov-header';
+      header.textContent = this.title;
+
+      const frame = document.createElement('iframe');
+      frame.className = 'print-document';
+      frame.title = this.title;
+
+      const buttons = document.createElement('div');
+      buttons.className = 'dashboard-button-group';
+      const close = () => {
+        this.close();
+        resolve();
+      };
+      const actions = [
+        ['PRINT', () => frame.contentWindow.print()],
+        ['EXPORT_PDF', () => this.export(exportUrl, 'pdf').catch(onError)],
+        ['EXPORT_CSV', () => this.export(exportUrl, 'csv').catch(onError)],
+        ['CLOSE', close]
+      ];
+      actions.forEach(([label, action]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'dashboard-btn dashboard-btn-secondary';
+        button.textContent = MessageCatalog.text(label);
+        button.onclick = action;
+        buttons.appendChild(button);
+      });
+
+      this.window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          close();
+        }
+      });
+
+      this.window.appendChild(header);
+      this.window.appendChild(frame);
+      this.window.appendChild(buttons);
+      document.body.appendChild(this.window);
+
+      const doc = frame.contentDocument;
+      doc.open();
+      doc.write(this.html());
+      doc.close();
+      buttons.firstChild.focus();
+    });
+  }
+
+  close() {
+    if (this.window && this.window.parentNode) {
+      this.window.parentNode.removeChild(this.window);
+    }
+  }
+}
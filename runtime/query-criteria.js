@@ -0,0 +1,81 @@
+// Query Criteria
+// Turns what the user typed into an item in Enter Query mode into a
+// structured condition, the way Forms query-by-example reads it:
+//
+//   ABC        { operator: '=', value: 'ABC' }
+//   AB%        { operator: 'LIKE', value: 'AB%' }
+//   >10  <=10  { operator: '>', value: 10 }  (also <, >=, !=, <>)
+//   10..20     { operator: 'BETWEEN', value: [10, 20] }  (number and date items)
+//   #BETWEEN 10 AND 20
+//   #NULL      { operator: 'IS NULL' }
+//   #NOT NULL  { operator: 'IS NOT NULL' }
+//
+// Values are read by the item's DataType, so they come out as the records
+// keep them: '>1,000' on a NUMBER is { operator: '>', value: 1000 } and
+// '01/05/2026..31/05/2026' on a DATE is BETWEEN '2026-05-01' and '2026-05-31'.
+class QueryCriteria {
+  static equals(value) {
+    return { operator: '=', value: value };
+  }
+
+  // Returns the condition for the text, or null when it is empty. Throws
+  // when the text is not a valid condition for the item's data type, a
+  // DataType or its name.
+  static parse(text, type = 'string') {
+    const dataType = DataType.of(type);
+    const input = String(text === null || text === undefined ? '' : text).trim();
+    if (!input) return null;
+
+    if (input.startsWith('#')) {
+      return QueryCriteria.parseSql(input.slice(1).trim(), dataType);
+    }
+
+    const comparison = input.match(/^(>=|<=|!=|<>|>|<|=)\s*(.*)$/);
+    if (comparison) {
+      const operator = comparison[1] === '<>' ? '!=' : comparison[1];
+      return { operator: operator, value: QueryCriteria.checkValue(comparison[2], dataType) };
+    }
+
+    const range = dataType.kind !== 'string' && input.match(/^(.+?)\s*\.\.\s*(.+)$/);
+    if (range) {
+      return QueryCriteria.between(range[1], range[2], dataType);
+    }
+
+    if (dataType.kind === 'string' && /[%_]/.test(input)) {
+      return { operator: 'LIKE', value: input };
+    }
+    return QueryCriteria.equals(QueryCriteria.checkValue(input, dataType));
+  }
+
+  // The '#' forms: #NULL, #NOT NULL, #IS [NOT] NULL, #BETWEEN a AND b.
+  static parseSql(text, dataType) {
+    const upper = text.toUpperCase();
+    if (upper === 'NULL' || upper === 'IS NULL') {
+      return { operator: 'IS NULL' };
+    }
+    if (upper === 'NOT NULL' || upper === 'IS NOT NULL') {
+      return { operator: 'IS NOT NULL' };
+    }
+
+    const between = text.match(/^BETWEEN\s+(.+?)\s+AND\s+(.+)$/i);
+    if (between) {
+      return QueryCriteria.between(between[1], between[2], dataType);
+    }
+    throw new Error(MessageCatalog.text('INVALID_CONDITION', { condition: `#${text}` }));
+  }
+
+  static between(from, to, dataType) {
+    return {
+      operator: 'BETWEEN',
+      value: [QueryCriteria.checkValue(from, dataType), QueryCriteria.checkValue(to, dataType)]
+    };
+  }
+
+  static checkValue(value, dataType) {
+    const text = value.trim().replace(/^'(.*)'$/, '$1');
+    if (!text) {
+      throw new Error(MessageCatalog.text('MISSING_CONDITION_VALUE'));
+    }
+    return dataType.parse(text);
+  }
+}
@@ -0,0 +1,82 @@
+// Record Table Class
+// Renders a multi-record block into a dashboard-table. The first body row
+// of the table is the template; it is cloned once per displayed record and
+// its controls are bound, in order, to the block's columns.
+class RecordTable {
+  constructor(block, table, options = {}) {
+    this.block = block;
+    this.columns = options.columns || [];
+    this.tbody = table.tBodies[0] || table;
+
+    const template = this.tbody.rows[0];
+    const headers = table.tHead ? Array.from(table.tHead.rows[0].cells).map(th => th.textContent.trim()) : [];
+    this.tbody.innerHTML = '';
+    this.rows = [];
+
+    for (let row = 0; row < (options.recordsDisplayed || 5); row++) {
+      const tr = template.cloneNode(true);
+      tr.dataset.row = row;
+      tr.querySelectorAll('input, select, textarea').forEach((el, column) => {
+        const item = this.columns[column];
+        if (!item) return;
+        el.removeAttribute('id');
+        el.dataset.item = item;
+        el.dataset.row = row;
+        if (headers[column]) {
+          el.setAttribute('data-label', headers[column]);
+          el.setAttribute('aria-label', headers[column]);
+        }
+      });
+      this.tbody.appendChild(tr);
+      this.rows.push(tr);
+    }
+  }
+
+  instancesOf(item) {
+    return this.rows.map(tr => tr.querySelector(`[data-item="${item}"]`));
+  }
+
+  // Record index shown by a control, from its row.
+  recordIndexOf(element) {
+    return this.block.topIndex + Number(element.dataset.row);
+  }
+
+  // Writes every visible record into its row and points each item at the
+  // current record's row.
+  render() {
+    const block = this.block;
+
+    this.rows.forEach((tr, row) => {
+      const index = block.topIndex + row;
+      const record = block.records[index];
+      tr.classList.toggle('current-record', index === block.currentIndex);
+      tr.classList.toggle('empty-record', !record);
+      tr.dataset.status = record ? record.status : '';
+
+      this.columns.forEach(item => {
+        const el = tr.querySelector(`[data-item="${item}"]`);
+        if (el) {
+          const field = block.items.get(item);
+          const value = record ? record.values[item] : '';
+          FormField.writeControl(el, field ? field.type.format(value) : value);
+        }
+      });
+    });
+
+    // Items outside the table show the current record, as in a
+    // single-record block.
+    const currentRow = Math.max(block.currentIndex - block.topIndex, 0);
+    const current = block.currentRecord;
+    block.items.forEach((field, name) => {
+      if (field.instances) {
+        field.element = field.instances[currentRow];
+      } else {
+        field.show(current && current.values[name] !== undefined ? current.values[name] : '');
+      }
+      field.errorMsg = '';
+      field.needsValidation = false;
+      block.form.setFieldError(field, '');
+      block.form.renderItem(field);
+    });
+  }
+}
@@ -0,0 +1,86 @@
+// Relation Class
+// Master-detail relation between two blocks. join maps each detail column to
+// the master item it is copied from, e.g. { item_no: 'item_no' }.
+//
+// coordination 'immediate' re-queries the detail as soon as the master
+// record changes; 'deferred' only marks the detail non-coordinated, and it is
+// queried when the cursor enters it (autoQuery) or on an explicit query.
+// deleteBehavior 'non-isolated' refuses to delete a master record that still
+// has details; 'cascading' deletes them with it, in the same commit and
+// before it; 'isolated' ignores them.
+class Relation {
+  constructor(form, definition) {
+    this.form = form;
+    this.master = definition.master.toUpperCase();
+    this.detail = definition.detail.toUpperCase();
+    this.name = (definition.name || `${this.master}_${this.detail}`).toUpperCase();
+    this.join = definition.join || {};
+    this.deferred = definition.coordination === 'deferred';
+    this.autoQuery = definition.autoQuery !== false;
+    this.deleteBehavior = definition.deleteBehavior || 'non-isolated';
+  }
+
+  get masterBlock() {
+    return this.form.blocks.get(this.master);
+  }
+
+  get detailBlock() {
+    return this.form.blocks.get(this.detail);
+  }
+
+  // Detail query criteria taken from the master's current record, or null
+  // when the master has no record to join to.
+  joinCriteria() {
+    const master = this.masterBlock;
+    if (!master.currentRecord) return null;
+
+    const criteria = {};
+    for (const [detailColumn, masterItem] of Object.entries(this.join)) {
+      const value = master.getValue(masterItem);
+      if (value === null || value === '') return null;
+      criteria[detailColumn] = QueryCriteria.equals(value);
+    }
+    return criteria;
+  }
+
+  async clearDetails() {
+    this.detailBlock.clear();
+    this.detailBlock.coordinated = true;
+    return this.form.coordinateDetails(this.detailBlock);
+  }
+
+  async populateDetails() {
+    if (this.deferred) {
+      this.detailBlock.coordinated = false;
+      return true;
+    }
+    return this.form.queryBlock(this.detailBlock);
+  }
+
+  // The detail rows of a master record in the database, as queried records
+  // to delete with it. The join is read from the record as it was queried.
+  async detailRecords(record) {
+    const values = record.original || record.values;
+    const criteria = {};
+    for (const [detailColumn, masterItem] of Object.entries(this.join)) {
+      const value = values[masterItem];
+      if (value === null || value === undefined || value === '') return [];
+      criteria[detailColumn] = QueryCriteria.equals(value);
+    }
+    const rows = await this.form.fetchRecords(this.detailBlock, criteria);
+    return rows.map(row => new Record(row, 'QUERIED'));
+  }
+
+  // Whether the master's current record has detail rows, either on screen
+  // or, for a detail not yet coordinated, in the database.
+  async hasDetails() {
+    const detail = this.detailBlock;
+    if (detail.coordinated) {
+      return !detail.isEmpty;
+    }
+    const criteria = this.joinCriteria();
+    if (!criteria) return false;
+    const rows = await this.form.fetchRecords(detail, criteria);
+    return rows.length > 0;
+  }
+}
@@ -0,0 +1,94 @@
+// Raised by a trigger handler to fail the trigger, the equivalent of
+// RAISE FORM_TRIGGER_FAILURE. The action that fired the trigger (navigation,
+// commit, query) is cancelled.
+class FormTriggerFailure extends Error {
+  constructor(message = 'FORM_TRIGGER_FAILURE') {
+    super(message);
+    this.name = 'FormTriggerFailure';
+  }
+}
+
+// Trigger Dispatcher Class
+// Holds trigger handlers registered at form, block ('CODES') or item
+// ('CODES.CODE') scope and fires them with Oracle Forms precedence: the most
+// specific handler wins, and its executionStyle ('override', 'before' or
+// 'after') decides whether the enclosing scope's handler also runs.
+class TriggerDispatcher {
+  constructor(form) {
+    this.form = form;
+    this.handlers = new Map();
+  }
+
+  static key(trigger, scope) {
+    return `${trigger.toUpperCase()}@${(scope || '').toUpperCase()}`;
+  }
+
+  static scopesFor(block, item) {
+    const scopes = [];
+    if (block && item) scopes.push(`${block}.${item}`);
+    if (block) scopes.push(block);
+    scopes.push('');
+    return scopes;
+  }
+
+  register(trigger, scope, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Trigger ${trigger} handler must be a function`);
+    }
+    this.handlers.set(TriggerDispatcher.key(trigger, scope), {
+      trigger: trigger.toUpperCase(),
+      scope: (scope || '').toUpperCase(),
+      handler: handler,
+      executionStyle: options.executionStyle || 'override'
+    });
+  }
+
+  unregister(trigger, scope) {
+    this.handlers.delete(TriggerDispatcher.key(trigger, scope));
+  }
+
+  // Handlers to run for the trigger, in execution order.
+  resolve(trigger, block, item) {
+    const chain = [];
+    let style = null;
+
+    for (const scope of TriggerDispatcher.scopesFor(block, item)) {
+      const entry = this.handlers.get(TriggerDispatcher.key(trigger, scope));
+      if (!entry) continue;
+
+      if (chain.length === 0 || style === 'before') {
+        chain.push(entry);
+      } else {
+        chain.unshift(entry);
+      }
+
+      style = entry.executionStyle;
+      if (style === 'override') break;
+    }
+
+    return chain;
+  }
+
+  has(trigger, block, item) {
+    return this.resolve(trigger, block, item).length > 0;
+  }
+
+  // Resolves to false when a handler raised FormTriggerFailure or threw.
+  async fire(trigger, context = {}) {
+    const chain = this.resolve(trigger, context.block, context.item);
+    const event = Object.assign({ trigger: trigger.toUpperCase(), form: this.form }, context);
+
+    for (const entry of chain) {
+      try {
+        await entry.handler(this.form, event);
+      } catch (error) {
+        if (!(error instanceof FormTriggerFailure)) {
+          this.form.showError('TRIGGER_FAILED', { trigger: entry.trigger, scope: entry.scope || this.form.name, error: error.message });
+        }
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
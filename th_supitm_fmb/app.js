@@ -1,276 +1,245 @@
-// Form Controller Class
-class FormsController {
-  constructor() {
-    this.fields = new Map();
-    this.currentField = null;
-    this.queryMode = false;
-    this.modified = false;
-    this.initializeKeyHandlers();
-  }
-
-  initializeField(fieldName, required = false, lovId = null) {
-    const field = {
-      name: fieldName,
-      required: required,
-      value: '',
-      lovId: lovId,
-      valid: true,
-      errorMsg: ''
-    };
-    this.fields.set(fieldName, field);
-  }
-
-  initializeKeyHandlers() {
-    document.addEventListener('keydown', (e) => {
-      switch(e.key) {
-        case 'Tab':
-          this.handleTabNavigation(e.shiftKey);
-          break;
-        case 'Enter':
-          this.handleEnterKey();
-          break;
-        case 'F7':
-          if (e.preventDefault) e.preventDefault();
-          this.enterQuery();
-          break;
-        case 'F8':
-          if (e.preventDefault) e.preventDefault();
-          this.executeQuery();
-          break;
-        case 'F10':
-          if (e.preventDefault) e.preventDefault();
-          this.saveRecord();
-          break;
-        case 'F6':
-          if (e.preventDefault) e.preventDefault();
-          this.clearRecord();
-          break;
-      }
-    });
+// TH_SUPITM form definition
+
+// The bonus and general information pages open over the items list; their
+// button turns into a back button and hides the other one meanwhile.
+const BUTTON_LABELS = { PUSH_BONUS: 'בונוס כספים', PUSH_GENERAL: 'מידע כללי' };
+
+async function toggleInfoPage(form, page, button, otherButton) {
+  if (!form.getViewProperty(page, 'VISIBLE')) {
+    form.showView(page);
+    form.setItemProperty(button, 'LABEL', 'חזור');
+    form.setItemProperty(otherButton, 'VISIBLE', false);
+  } else {
+    await form.goItem('SUPP_ITEMS.ITEM_NO');
+    form.showView('PAGE_2');
+    form.showView('PAGE_2A');
+    await form.hideView(page);
+    form.setItemProperty(button, 'LABEL', BUTTON_LABELS[button]);
+    form.setItemProperty(otherButton, 'VISIBLE', true);
+    form.setItemProperty(otherButton, 'ENABLED', true);
   }
+}
 
-  handleTabNavigation(isShiftKey) {
-    const fields = Array.from(this.fields.keys());
-    const currentIndex = fields.indexOf(this.currentField);
-    let nextIndex;
-    
-    if (isShiftKey) {
-      nextIndex = currentIndex > 0 ? currentIndex - 1 : fields.length - 1;
-    } else {
-      nextIndex = currentIndex < fields.length - 1 ? currentIndex + 1 : 0;
-    }
-    
-    this.setFocus(fields[nextIndex]);
+// LO_CHECK_FILE: the server checks the chosen file line by line. The lines
+// with errors are listed on PAGE_5 (HASHLAMA_TEMP2, by tmp_pid); a clean file
+// can be applied to the supplier's items.
+async function checkFile(form) {
+  form.setItemProperty('A1.BUT_APPLY_FILE', 'ENABLED', false);
+  const result = await form.importFile('SUPP_ITEMS_BONUS', 'A1.FILE_NAME');
+  if (!result) return;
+  form.setFieldValue('A1.TMP_PID', result.id);
+  if (result.errors.length) {
+    await form.hideView('PAGE_2A');
+    form.showView('PAGE_5');
+    await form.goBlock('HASHLAMA_TEMP2');
+    await form.executeQuery();
+  } else {
+    form.setItemProperty('A1.BUT_APPLY_FILE', 'ENABLED', true);
   }
+}
 
-  handleEnterKey() {
-    const field = this.fields.get(this.currentField);
-    if (field && field.lovId) {
-      this.showLOV(field.lovId);
-    } else {
-      this.handleTabNavigation(false);
-    }
+// LO_UPD_QUANTITY
+async function applyFile(form) {
+  const result = await form.applyImport(form.getFieldValue('A1.TMP_PID'));
+  if (!result) return;
+  form.setItemProperty('A1.BUT_APPLY_FILE', 'ENABLED', false);
+  if (form.getFieldValue('A1.SUPP_NO')) {
+    await form.queryBlock(form.getBlock('SUPP_ITEMS'));
   }
+}
 
-  validateField(fieldName) {
-    const field = this.fields.get(fieldName);
-    if (!field) return false;
-
-    field.valid = true;
-    field.errorMsg = '';
+// מחיר אחרי הנחה: the unit price less the discount, to the agora.
+function netPrice(values) {
+  if (values.unit_price === null || values.unit_price === undefined || values.unit_price === '') return null;
+  return Math.round(values.unit_price * (100 - (Number(values.discount_pct) || 0))) / 100;
+}
 
-    if (field.required && !field.value) {
-      field.valid = false;
-      field.errorMsg = 'Field is required';
-      return false;
+FormsController.start({
+  name: 'TH_SUPITM',
+  options: {
+    queryUrl: '/api/query',
+    saveMode: 'record',
+    messageStyle: 'alert',
+    enterShowsLov: true,
+    defaultBlock: 'CTRL'
+  },
+  blocks: {
+    A1: {
+      items: [
+        'item_from', 'item_from_desc', 'item_to', 'item_to_desc', 'supp_no', 'd_name', 'file_name', 'tmp_pid',
+        'but_check_file', 'but_apply_file'
+      ],
+      database: false
+    },
+    SUPP_ITEMS: {
+      table: '#supp_items_table',
+      columns: ['item_no', 'item_desc', 'si_unit', 'si_no', 'si_qut_pack', 'si_mark', 'si_mark_confirm'],
+      items: ['total_items'],
+      recordsDisplayed: 10,
+      primaryKey: ['supplier_no', 'item_no']
+    },
+    SUPP_PRICES: {
+      table: '#supp_prices_table',
+      columns: ['unit_price', 'discount_pct', 'net_price', 'min_price', 'valid_to', 'min_qty', 'lead_time'],
+      recordsDisplayed: 3
+    },
+    SUPP_BONUS: {
+      table: '#supp_bonus_table',
+      columns: ['bonus_type', 'bonus_pct', 'bonus_amount', 'bonus_from', 'bonus_to', 'bonus_remark'],
+      recordsDisplayed: 3
+    },
+    ITEMS: {},
+    HASHLAMA_TEMP2: {
+      table: '#hashlama_temp2_table',
+      columns: ['val1', 'rem1', 'rem2', 'rem3'],
+      items: ['but_errors_back'],
+      recordsDisplayed: 10,
+      binds: ['A1.TMP_PID'],
+      insertAllowed: false,
+      updateAllowed: false,
+      deleteAllowed: false
+    },
+    CTRL: { items: ['push_price', 'push_bonus', 'push_general'], database: false }
+  },
+  canvases: {
+    PAGE_2: { element: '#page_2' },
+    PAGE_2A: { element: '#page_2a', type: 'stacked' },
+    PAGE_3: { element: '#page_3', type: 'stacked', visible: false },
+    PAGE_4: { element: '#page_4', type: 'stacked', visible: false },
+    PAGE_5: { element: '#page_5', type: 'stacked', visible: false }
+  },
+  parameters: {
+    PARAM_SUPP_NO: {},
+    PARAM_ITEM_FROM: {},
+    PARAM_NUM: {},
+    PARAM_REC_NO: { type: 'number' }
+  },
+  relations: [
+    { master: 'A1', detail: 'SUPP_ITEMS', join: { supplier_no: 'supp_no' }, coordination: 'deferred', autoQuery: false },
+    { master: 'SUPP_ITEMS', detail: 'ITEMS', join: { item_no: 'item_no' }, coordination: 'deferred' },
+    { master: 'SUPP_ITEMS', detail: 'SUPP_PRICES', join: { supplier_no: 'supplier_no', item_no: 'item_no' } },
+    { master: 'SUPP_ITEMS', detail: 'SUPP_BONUS', join: { supplier_no: 'supplier_no', item_no: 'item_no' } }
+  ],
+  lovs: {
+    supp_no: {
+      url: '/api/lov/suppliers',
+      title: 'Suppliers',
+      columns: [{ field: 'supplier_no', header: 'Supplier' }, { field: 's_name', header: 'Name' }],
+      returnItems: { supplier_no: 'supp_no', s_name: 'd_name' },
+      validateFromList: true
+    },
+    item_from: {
+      url: '/api/lov/items',
+      title: 'Items',
+      columns: [{ field: 'item_no', header: 'Item' }, { field: 'i_hname', header: 'Description' }],
+      returnItems: { item_no: 'item_from', i_hname: 'item_from_desc' },
+      validateFromList: true
+    },
+    item_to: {
+      url: '/api/lov/items',
+      title: 'Items',
+      columns: [{ field: 'item_no', header: 'Item' }, { field: 'i_hname', header: 'Description' }],
+      returnItems: { item_no: 'item_to', i_hname: 'item_to_desc' },
+      validateFromList: true
     }
-
-    return true;
-  }
-
-  validateForm() {
-    let isValid = true;
-    this.fields.forEach((field) => {
-      if (!this.validateField(field.name)) {
-        isValid = false;
+  },
+  alerts: {
+    AL_CAUTION_3A: { title: 'אזהרה', style: 'caution', buttons: ['ביטול', 'כן', 'לא'], defaultButton: 2 }
+  },
+  fields: {
+    supp_no: { required: true, lovId: 'supp_no' },
+    item_from: { lovId: 'item_from' },
+    item_to: { lovId: 'item_to' },
+    net_price: { dataType: 'NUMBER(12,2)', formula: netPrice },
+    total_items: { summary: { function: 'COUNT', block: 'SUPP_ITEMS', item: 'item_no' } }
+  },
+  triggers: {
+    // Called with a supplier or an item, the form opens on its items.
+    'WHEN-NEW-FORM-INSTANCE': async (form) => {
+      form.globals.defaultValue('0', 'ITEM_NUM');
+      form.globals.defaultValue('0', 'SUPP_NUM');
+
+      const suppNo = form.getFieldValue('PARAMETER.PARAM_SUPP_NO');
+      const itemFrom = form.getFieldValue('PARAMETER.PARAM_ITEM_FROM');
+      if (suppNo) {
+        form.setFieldValue('A1.SUPP_NO', suppNo);
       }
-    });
-    return isValid;
-  }
-
-  setFieldValue(fieldName, value) {
-    const field = this.fields.get(fieldName);
-    if (field) {
-      field.value = value;
-      this.modified = true;
-      this.validateField(fieldName);
-      this.triggerFieldChange(fieldName);
-    }
-  }
-
-  getFieldValue(fieldName) {
-    const field = this.fields.get(fieldName);
-    return field ? field.value : null;
-  }
-
-  setFocus(fieldName) {
-    this.currentField = fieldName;
-    const element = document.getElementById(fieldName);
-    if (element) {
-      element.focus();
-    }
-  }
-
-  showLOV(lovId) {
-    // Implementation for List of Values dialog
-    const lovDialog = new LOVDialog(lovId, (selectedValue) => {
-      this.setFieldValue(this.currentField, selectedValue);
-    });
-    lovDialog.show();
-  }
-
-  enterQuery() {
-    this.queryMode = true;
-    this.clearRecord(true);
-    this.setFocus(Array.from(this.fields.keys())[0]);
-  }
-
-  executeQuery() {
-    if (!this.queryMode) return;
-    
-    const queryParams = {};
-    this.fields.forEach((field, fieldName) => {
-      if (field.value) {
-        queryParams[fieldName] = field.value;
+      if (itemFrom) {
+        form.setFieldValue('A1.ITEM_FROM', itemFrom);
+        form.setFieldValue('A1.ITEM_TO', itemFrom);
       }
-    });
-
-    this.performQuery(queryParams);
-    this.queryMode = false;
-  }
-
-  async performQuery(params) {
-    try {
-      const response = await fetch('/api/query', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(params)
-      });
-      
-      if (!response.ok) throw new Error('Query failed');
-      
-      const data = await response.json();
-      this.loadRecord(data);
-    } catch (error) {
-      this.showError('Query Error', error.message);
-    }
-  }
-
-  async saveRecord() {
-    if (!this.validateForm()) {
-      this.showError('Validation Error', 'Please correct invalid fields');
-      return;
-    }
-
-    const record = {};
-    this.fields.forEach((field, fieldName) => {
-      record[fieldName] = field.value;
-    });
-
-    try {
-      const response = await fetch('/api/save', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(record)
-      });
-
-      if (!response.ok) throw new Error('Save failed');
-
-      this.modified = false;
-      this.showMessage('Success', 'Record saved successfully');
-    } catch (error) {
-      this.showError('Save Error', error.message);
-    }
-  }
-
-  clearRecord(keepFocus = false) {
-    const currentField = this.currentField;
-    this.fields.forEach(field => {
-      field.value = '';
-      field.valid = true;
-      field.errorMsg = '';
-    });
-    this.modified = false;
-    
-    if (!keepFocus) {
-      this.setFocus(Array.from(this.fields.keys())[0]);
-    } else if (currentField) {
-      this.setFocus(currentField);
-    }
-  }
-
-  loadRecord(data) {
-    this.clearRecord();
-    Object.entries(data).forEach(([fieldName, value]) => {
-      this.setFieldValue(fieldName, value);
-    });
-    this.modified = false;
-  }
-
-  triggerFieldChange(fieldName) {
-    const event = new CustomEvent('fieldChange', {
-      detail: {
-        fieldName: fieldName,
-        value: this.getFieldValue(fieldName)
+      if (suppNo || itemFrom) {
+        await form.doKey('execute_query');
       }
-    });
-    document.dispatchEvent(event);
-  }
-
-  showError(title, message) {
-    // Implementation for error dialog
-    console.error(`${title}: ${message}`);
-    alert(`${title}\n${message}`);
-  }
 
-  showMessage(title, message) {
-    // Implementation for message dialog
-    console.log(`${title}: ${message}`);
-    alert(`${title}\n${message}`);
-  }
-}
-
-// List of Values Dialog Class
-class LOVDialog {
-  constructor(lovId, callback) {
-    this.lovId = lovId;
-    this.callback = callback;
-  }
-
-  async show() {
-    try {
-      const response = await fetch(`/api/lov/${this.lovId}`);
-      if (!response.ok) throw new Error('Failed to fetch LOV data');
-      
-      const data = await response.json();
-      this.displayLOVDialog(data);
-    } catch (error) {
-      console.error('LOV Error:', error);
-    }
-  }
-
-  displayLOVDialog(data) {
-    // Implementation for LOV dialog display
-    const selected = prompt('Select value:', data.join('\n'));
-    if (selected && this.callback) {
-      this.callback(selected);
+      const itemNum = form.getFieldValue('PARAMETER.PARAM_NUM');
+      if (itemNum) {
+        form.setFieldValue('A1.ITEM_FROM', itemNum);
+        form.setFieldValue('A1.ITEM_TO', itemNum);
+      }
+    },
+    'A1.SUPP_NO': {
+      'KEY-NEXT-ITEM': (form) => {
+        if (!form.getFieldValue('A1.SUPP_NO')) {
+          form.errors2(10735, 'e', 'יש להזין מספר ספק');
+        }
+        return form.doKey('execute_query');
+      }
+    },
+    'A1': {
+      'KEY-EXEQRY': async (form) => {
+        if (form.isDirty && await form.raiseAlert(10231, 'AL_CAUTION_3A') === FormsController.ALERT_BUTTON2) {
+          await form.save();
+        }
+        return form.queryBlock(form.getBlock('SUPP_ITEMS'));
+      }
+    },
+    // WEBUTIL_FILE.FILE_OPEN_DIALOG('Select File', '$DAT$')
+    'A1.FILE_NAME': {
+      'KEY-LISTVAL': async (form) => {
+        if (await form.fileOpenDialog('A1.FILE_NAME', '.dat,.csv,.txt')) {
+          await form.goItem('A1.BUT_CHECK_FILE');
+        }
+      }
+    },
+    'A1.BUT_CHECK_FILE': {
+      'WHEN-BUTTON-PRESSED': checkFile
+    },
+    'A1.BUT_APPLY_FILE': {
+      'WHEN-BUTTON-PRESSED': applyFile
+    },
+    'HASHLAMA_TEMP2.BUT_ERRORS_BACK': {
+      'WHEN-BUTTON-PRESSED': async (form) => {
+        form.showView('PAGE_2A');
+        await form.goItem('A1.FILE_NAME');
+        await form.hideView('PAGE_5');
+      }
+    },
+    'CTRL.PUSH_PRICE': {
+      'WHEN-BUTTON-PRESSED': async (form) => {
+        if (form.isDirty && !(await form.save())) return;
+        form.setFieldValue('PARAMETER.PARAM_REC_NO', form.getBlock('SUPP_ITEMS').currentIndex + 1);
+        await form.callForm('TH_SUPPRI_N', {
+          PARAM_SUPP_NO: form.getFieldValue('A1.SUPP_NO'),
+          PARAM_ITEM_FROM: form.getFieldValue('SUPP_ITEMS.ITEM_NO'),
+          PARAM_SI_NO: form.getFieldValue('SUPP_ITEMS.SI_NO')
+        });
+        form.showView('PAGE_2A');
+      }
+    },
+    'CTRL.PUSH_BONUS': {
+      'WHEN-BUTTON-PRESSED': (form) => toggleInfoPage(form, 'PAGE_3', 'PUSH_BONUS', 'PUSH_GENERAL')
+    },
+    'CTRL.PUSH_GENERAL': {
+      'WHEN-BUTTON-PRESSED': (form) => toggleInfoPage(form, 'PAGE_4', 'PUSH_GENERAL', 'PUSH_BONUS')
+    },
+    'SUPP_ITEMS': {
+      'PRE-INSERT': (form, event) => {
+        if (!event.record.values.item_no) {
+          form.errors2(10735, 'e', 'יש להזין מספר פריט');
+        }
+        event.record.values.si_no = (event.record.values.si_no || '').trim();
+      }
     }
   }
-}
-
-// Initialize form controller
-const formsController = new FormsController();
\ No newline at end of file
+});
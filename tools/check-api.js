@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+'use strict';
+
+// Checks a backend against the API contract.
+//
+//   node tools/check-api.js [--save] <base url>
+//
+// Sends each endpoint's example request from tools/dev-server/contract.json
+// to the backend, with the contract's version in X-Api-Version, and checks
+// the status against the example's, the X-Api-Version header and the
+// response body against the contract; a file is checked by its type. The
+// examples of endpoints that change data (save and the file import) are only
+// sent with --save, in contract order. The exit status is 1 when a check
+// fails.
+
+const { Contract } = require('./dev-server/contract');
+
+const USAGE = 'Usage: node tools/check-api.js [--save] <base url>';
+
+async function checkEndpoint(contract, baseUrl, name) {
+  const endpoint = contract.endpoints[name];
+  const example = endpoint.example;
+  const request = endpoint.method === 'GET'
+    ? fetch(new URL(example.request, baseUrl), { headers: { 'X-Api-Version': contract.version } })
+    : fetch(new URL(example.path || endpoint.path, baseUrl), {
+      method: endpoint.method,
+      headers: { 'Content-Type': 'application/json', 'X-Api-Version': contract.version },
+      body: JSON.stringify(example.request)
+    });
+
+  const response = await request;
+  const problems = [];
+  if (response.status !== example.status) {
+    problems.push(`status is ${response.status}, expected ${example.status}`);
+  }
+  const version = response.headers.get('x-api-version');
+  if (version !== contract.version) {
+    problems.push(`X-Api-Version is ${version === null ? 'missing' : version}, expected ${contract.version}`);
+  }
+  // A file answers with one of the types the endpoint produces.
+  if (endpoint.produces && response.ok) {
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!endpoint.produces.includes(type)) {
+      problems.push(`Content-Type is ${type || 'missing'}, expected ${endpoint.produces.join(' or ')}`);
+    }
+    problems.push(...contract.checkStatus(name, response.status));
+    await response.arrayBuffer();
+    return { status: response.status, problems: problems };
+  }
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (error) {
+    problems.push('the response is not JSON');
+  }
+  if (body !== null) problems.push(...contract.checkResponse(name, response.status, body));
+  return { status: response.status, problems: problems };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const save = args.includes('--save');
+  const rest = args.filter(arg => arg !== '--save');
+  if (rest.length !== 1 || rest[0].startsWith('-')) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const contract = Contract.load();
+  let failed = false;
+  for (const name of Object.keys(contract.endpoints)) {
+    if (contract.endpoints[name].modifies && !save) {
+      console.log(`skip  ${name} (needs --save)`);
+      continue;
+    }
+    try {
+      const { status, problems } = await checkEndpoint(contract, rest[0], name);
+      console.log(`${problems.length ? 'FAIL' : 'ok  '}  ${name} (${status})`);
+      problems.forEach(problem => console.log(`        ${problem}`));
+      if (problems.length) failed = true;
+    } catch (error) {
+      console.log(`FAIL  ${name}: ${error.message}`);
+      failed = true;
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checkEndpoint };
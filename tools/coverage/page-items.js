@@ -0,0 +1,101 @@
+'use strict';
+
+// Page Items
+// The items a converted form renders: the controls in index.html, by id
+// (radio groups by name), and the columns of the multi-record blocks app.js,
+// or the definition a page rendered from form.json embeds, maps onto table
+// rows. Also lists the ids index.html declares more than once.
+
+const vm = require('vm');
+
+const CONTROL = /<(input|select|textarea|button)\b([^>]*)>/gi;
+const ID = /\bid\s*=\s*(["'])(.*?)\1/gi;
+const PAGE_DEFINITION = /<script\b[^>]*\bid\s*=\s*["']form-definition["'][^>]*>([\s\S]*?)<\/script>/i;
+
+function attribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`, 'i').exec(attributes);
+  return match ? match[2] : null;
+}
+
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+// The definition app.js passes to FormsController.start. Only the
+// definition is wanted, so the controller is a stub and nothing runs.
+function formDefinition(appSource) {
+  let definition = null;
+  const sandbox = {
+    FormsController: { start: value => { definition = value; } },
+    console: { log() {}, warn() {}, error() {} }
+  };
+  vm.runInNewContext(appSource, sandbox, { timeout: 1000 });
+  return definition;
+}
+
+class PageItems {
+  constructor() {
+    // upper-case item name -> { name, kind, line }
+    this.items = new Map();
+    this.duplicateIds = [];
+  }
+
+  static fromSources(html, appSource = null) {
+    const page = new PageItems();
+    page.scanHtml(html);
+    const embedded = PAGE_DEFINITION.exec(html);
+    if (embedded) page.scanDefinition(JSON.parse(embedded[1]));
+    if (appSource) page.scanDefinition(formDefinition(appSource));
+    return page;
+  }
+
+  scanHtml(html) {
+    const ids = new Map();
+    let match;
+    ID.lastIndex = 0;
+    while ((match = ID.exec(html))) {
+      const id = match[2];
+      if (!ids.has(id)) ids.set(id, []);
+      ids.get(id).push(lineAt(html, match.index));
+    }
+    ids.forEach((lines, id) => {
+      if (lines.length > 1) this.duplicateIds.push({ id: id, lines: lines });
+    });
+
+    CONTROL.lastIndex = 0;
+    while ((match = CONTROL.exec(html))) {
+      const tag = match[1].toLowerCase();
+      const attributes = match[2];
+      const type = (attribute(attributes, 'type') || '').toLowerCase();
+      const name = type === 'radio' ? attribute(attributes, 'name') : attribute(attributes, 'id');
+      if (!name) continue;
+      // A control's LOV button is part of the item, not an item of its own.
+      if (tag === 'button' && /_lov$/i.test(name) && ids.has(name.replace(/_lov$/i, ''))) continue;
+      this.add(name, tag, lineAt(html, match.index));
+    }
+  }
+
+  scanDefinition(definition) {
+    if (!definition || !definition.blocks) return;
+    Object.values(definition.blocks).forEach(block => {
+      (block.columns || []).forEach(column => {
+        this.add(typeof column === 'string' ? column : column.name, 'column', null);
+      });
+    });
+  }
+
+  add(name, kind, line) {
+    const key = name.toUpperCase();
+    if (!this.items.has(key)) this.items.set(key, { name: key, kind: kind, line: line });
+  }
+
+  has(name) {
+    return this.items.has(name.toUpperCase());
+  }
+
+  get all() {
+    return Array.from(this.items.values());
+  }
+}
+
+module.exports = { PageItems, formDefinition };
@@ -0,0 +1,125 @@
+'use strict';
+
+// Item References
+// The items a form's plsql_extracted.json refers to: :block.item bind
+// variables in triggers, program units and block where clauses, and the
+// item names passed as strings to the item built-ins. Trigger source the
+// extraction removed cannot be searched and is counted as unavailable.
+
+const { Lexer, LexError } = require('../plsql/lexer');
+
+// Built-in -> position of its item name argument.
+const ITEM_ARGUMENTS = {
+  go_item: 0,
+  go_field: 0,
+  find_item: 0,
+  name_in: 0,
+  set_item_property: 0,
+  get_item_property: 0,
+  set_item_instance_property: 0,
+  get_item_instance_property: 0,
+  copy: 1,
+  default_value: 1
+};
+
+// :SYSTEM, :GLOBAL and :PARAMETER are variables, not items.
+const VARIABLES = /^(system|global|parameter)\./i;
+
+const REMOVED_SOURCE = /^\s*\[PL\/SQL removed[^\]]*\]\s*$/i;
+
+// Arguments of the call whose '(' is at tokens[open], as token ranges.
+function callArguments(tokens, open) {
+  const args = [];
+  let depth = 0;
+  let start = open + 1;
+  for (let i = open; i < tokens.length && tokens[i].type !== 'eof'; i++) {
+    const value = tokens[i].type === 'op' ? tokens[i].value : null;
+    if (value === '(') depth++;
+    if (value === ')') depth--;
+    if ((value === ',' && depth === 1) || depth === 0) {
+      args.push(tokens.slice(start, i));
+      start = i + 1;
+    }
+    if (depth === 0) break;
+  }
+  return args;
+}
+
+class ItemReferences {
+  constructor() {
+    // 'BLOCK.ITEM' or 'ITEM' -> { name, block, item, sources }
+    this.references = new Map();
+    this.unavailable = [];
+    this.unreadable = [];
+  }
+
+  static fromExtraction(extracted) {
+    const references = new ItemReferences();
+    (extracted.triggers || []).forEach((trigger, index) => {
+      references.scan(trigger.code, `trigger ${trigger.name} #${index}`);
+    });
+    (extracted.program_units || []).forEach(unit => {
+      references.scan(unit.code, `unit ${unit.name}`);
+    });
+    (extracted.sql_clauses || []).forEach(clause => {
+      const text = [clause.where_clause, clause.order_by].filter(Boolean).join('\n');
+      references.scan(text, `block ${clause.block} query`);
+    });
+    return references;
+  }
+
+  scan(source, label) {
+    if (!source || REMOVED_SOURCE.test(source)) {
+      this.unavailable.push(label);
+      return;
+    }
+    let tokens;
+    try {
+      tokens = Lexer.tokenize(source);
+    } catch (error) {
+      if (!(error instanceof LexError)) throw error;
+      this.unreadable.push({ source: label, reason: error.message });
+      return;
+    }
+
+    tokens.forEach((token, index) => {
+      if (token.type === 'bind') {
+        this.add(token.value, label, token.line);
+        return;
+      }
+      const position = token.type === 'word' ? ITEM_ARGUMENTS[token.value.toLowerCase()] : undefined;
+      const next = tokens[index + 1];
+      if (position === undefined || !next || next.value !== '(') return;
+      const argument = callArguments(tokens, index + 1)[position];
+      // Only a literal names the item; anything else is computed at run time.
+      if (argument && argument.length === 1 && argument[0].type === 'string') {
+        this.add(argument[0].value, label, token.line);
+      }
+    });
+  }
+
+  add(reference, label, line) {
+    const text = reference.trim();
+    if (!text || VARIABLES.test(text) || !/^[\w$#]+(\.[\w$#]+)?$/.test(text)) return;
+    const name = text.toUpperCase();
+    const [block, item] = name.includes('.') ? name.split('.') : [null, name];
+    if (!this.references.has(name)) {
+      this.references.set(name, { name: name, block: block, item: item, sources: [] });
+    }
+    const sources = this.references.get(name).sources;
+    if (!sources.some(source => source.source === label && source.line === line)) {
+      sources.push({ source: label, line: line });
+    }
+  }
+
+  get all() {
+    return Array.from(this.references.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Upper-case item names, whatever block they were qualified with.
+  get itemNames() {
+    return new Set(this.all.map(reference => reference.item));
+  }
+}
+
+module.exports = { ItemReferences };
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+'use strict';
+
+// Serves the converted forms for offline development.
+//
+//   node tools/dev-server.js [--port <n>] [--host <name>] [--fixtures <file>] [--font <file>] [--quiet]
+//
+// Every file of the repository is served as is, so a form opens at
+// http://localhost:8080/g_codes_fmb/index.html, and / lists the forms. The
+// /api endpoints of tools/dev-server/contract.json answer from the
+// fixtures file (tools/dev-server/fixtures.json by default), held in memory:
+// saves last until the server stops. /api/sql runs the statements of a
+// form's plsql-statements.json (see tools/transpile-plsql.js; a form not
+// transpiled yet is transpiled in memory) when they are simple enough for
+// tools/dev-server/sql-subset.js, and answers 501 otherwise. /api/import checks an uploaded file against the fixtures'
+// imports (see tools/dev-server/file-import.js), and /api/report exports
+// reports as CSV or PDF. PDF needs a TrueType font with Hebrew: --font, or
+// the first of tools/dev-server/pdf.js's FONT_FILES that is installed. GET
+// /api/contract returns the contract itself.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Contract } = require('./dev-server/contract');
+const { FixtureStore, StoreError } = require('./dev-server/fixture-store');
+const { TrueTypeFont } = require('./dev-server/pdf');
+const { renderReport } = require('./dev-server/report');
+const { UnsupportedSql } = require('./dev-server/sql-subset');
+const { formName, generate } = require('./transpile-plsql');
+
+const USAGE = 'Usage: node tools/dev-server.js [--port <n>] [--host <name>] [--fixtures <file>] [--font <file>] [--quiet]';
+
+const ROOT = path.resolve(__dirname, '..');
+// Room for an uploaded file, base64 encoded.
+const MAX_BODY = 8 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+function parseArguments(argv) {
+  const options = {
+    port: 8080,
+    host: '127.0.0.1',
+    fixtures: path.join(__dirname, 'dev-server', 'fixtures.json'),
+    font: null,
+    quiet: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port' || arg === '--host' || arg === '--fixtures' || arg === '--font') {
+      if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--quiet') {
+      options.quiet = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  options.port = Number(options.port);
+  if (!Number.isInteger(options.port) || options.port < 0) throw new Error('--port needs a number');
+  return options;
+}
+
+// Form directories: those with an index.html and an app.js.
+function findForms(root) {
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() &&
+      fs.existsSync(path.join(root, entry.name, 'index.html')) &&
+      fs.existsSync(path.join(root, entry.name, 'app.js')))
+    .map(entry => ({ name: formName(path.join(root, entry.name)), directory: entry.name }));
+}
+
+class DevServer {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.contract = options.contract || Contract.load();
+    this.root = options.root || ROOT;
+    this.forms = findForms(this.root);
+    this.font = options.font || null;
+    this.log = options.quiet ? () => {} : message => console.log(message);
+  }
+
+  listen(port, host) {
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        console.error(error);
+        if (!response.headersSent) this.sendJson(response, 500, { message: 'Internal error' });
+      });
+    });
+    return new Promise(resolve => this.server.listen(port, host, () => resolve(this.server.address())));
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    response.on('finish', () => this.log(`${request.method} ${url.pathname}${url.search} ${response.statusCode}`));
+
+    if (url.pathname === '/api/contract' && request.method === 'GET') {
+      return this.sendJson(response, 200, this.contract.document);
+    }
+    if (url.pathname.startsWith('/api/')) {
+      return this.handleApi(request, response, url);
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return this.sendText(response, 405, 'Method not allowed');
+    }
+    return url.pathname === '/' ? this.sendIndex(response) : this.sendFile(response, url.pathname);
+  }
+
+  async handleApi(request, response, url) {
+    const match = this.contract.match(request.method, url.pathname);
+    if (!match) return this.sendJson(response, 404, { message: `No endpoint ${request.method} ${url.pathname}` });
+    const version = request.headers['x-api-version'];
+    if (!this.contract.accepts(version)) {
+      return this.sendJson(response, 400, { message: `The client speaks API ${version}; this server serves ${this.contract.version}` });
+    }
+
+    let body = null;
+    if (request.method === 'POST') {
+      try {
+        body = JSON.parse(await DevServer.readBody(request));
+      } catch (error) {
+        return this.sendJson(response, 400, { message: `Invalid JSON body: ${error.message}` });
+      }
+    }
+    const problems = body === null
+      ? this.contract.checkQuery(match.name, url.searchParams)
+      : this.contract.checkRequest(match.name, body);
+    if (problems.length) {
+      return this.sendJson(response, 400, { message: 'The request does not match the API contract', problems: problems });
+    }
+
+    try {
+      const result = this.dispatch(match, body, url.searchParams);
+      return match.endpoint.produces ? this.sendDownload(response, result) : this.sendJson(response, 200, result);
+    } catch (error) {
+      if (error instanceof StoreError) {
+        return this.sendJson(response, error.status, Object.assign({ message: error.message }, error.details));
+      }
+      if (error instanceof UnsupportedSql) {
+        return this.sendJson(response, 501, { message: `The dev server cannot run this SQL: ${error.message}` });
+      }
+      throw error;
+    }
+  }
+
+  dispatch(match, body, searchParams) {
+    switch (match.name) {
+      case 'query':
+        return this.store.query(body, this.clauses(body));
+      case 'save':
+        return this.store.save(body);
+      case 'lov': {
+        const filters = {};
+        searchParams.forEach((value, name) => {
+          if (!['search', 'offset', 'limit'].includes(name)) filters[name] = value;
+        });
+        return this.store.lov(match.params.name, {
+          search: searchParams.get('search') || '',
+          offset: searchParams.get('offset') || 0,
+          limit: searchParams.has('limit') ? searchParams.get('limit') : null,
+          filters: filters
+        });
+      }
+      case 'params':
+        return this.store.formParameters(searchParams.get('form'));
+      case 'sql':
+        return this.store.sql(this.statement(body.form, body.statement), body.binds || {});
+      case 'import':
+        return this.store.importFile(body);
+      case 'applyImport':
+        return this.store.applyImport(match.params.id);
+      case 'report':
+        return renderReport(body, { font: this.font });
+      default:
+        throw new StoreError(`${match.name} is not implemented`, 501);
+    }
+  }
+
+  // A form's { statements, clauses }. Read on every call, so a regenerated
+  // catalog needs no restart.
+  catalog(form) {
+    const entry = this.forms.find(candidate => candidate.name === String(form).toUpperCase());
+    if (!entry) throw new StoreError(`Unknown form ${form}`, 404);
+    const directory = path.join(this.root, entry.directory);
+    const file = path.join(directory, 'plsql-statements.json');
+    if (fs.existsSync(file)) {
+      return Object.assign({ statements: {}, clauses: {} }, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    if (fs.existsSync(path.join(directory, 'plsql_extracted.json'))) {
+      return generate(directory);
+    }
+    throw new StoreError(`${entry.directory} has no PL/SQL`, 404);
+  }
+
+  statement(form, id) {
+    const statement = this.catalog(form).statements[id];
+    if (!statement) throw new StoreError(`Unknown statement ${id} of ${String(form).toUpperCase()}`, 404);
+    return statement.sql;
+  }
+
+  // The { sql, binds } of the clauses a query names, by property; each must
+  // be declared for the query's block.
+  clauses({ form, block, clauses = {} }) {
+    const result = {};
+    Object.entries(clauses).forEach(([property, { id, binds }]) => {
+      if (!form) throw new StoreError(`A query with a ${property} clause names no form`);
+      const clause = this.catalog(form).clauses[id];
+      if (!clause || clause.block !== block.toUpperCase() || clause.property !== property) {
+        throw new StoreError(`${id} is not declared for ${property} of block ${block.toUpperCase()}`, 404);
+      }
+      result[property] = { sql: clause.sql, binds: binds || {} };
+    });
+    return result;
+  }
+
+  static readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      request.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+          reject(new Error('body too large'));
+          request.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      request.on('error', reject);
+    });
+  }
+
+  sendJson(response, status, body) {
+    response.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'X-Api-Version': this.contract.version,
+      'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+  }
+
+  // A file of an endpoint that produces one: { contentType, fileName, content }.
+  sendDownload(response, { contentType, fileName, content }) {
+    response.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-Api-Version': this.contract.version,
+      'Cache-Control': 'no-store'
+    });
+    response.end(content);
+  }
+
+  sendText(response, status, text) {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end(text);
+  }
+
+  sendIndex(response) {
+    const links = this.forms
+      .map(form => `<li><a href="/${encodeURI(form.directory)}/index.html">${form.name}</a></li>`)
+      .join('\n');
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end(`<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>Forms</title></head>\n<body><ul>\n${links}\n</ul></body></html>\n`);
+  }
+
+  sendFile(response, pathname) {
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname);
+    } catch (error) {
+      return this.sendText(response, 400, 'Bad path');
+    }
+    const file = path.resolve(this.root, `.${relative}`);
+    if (file !== this.root && !file.startsWith(this.root + path.sep)) {
+      return this.sendText(response, 403, 'Forbidden');
+    }
+    fs.stat(file, (error, stats) => {
+      if (error || !stats.isFile()) {
+        this.sendText(response, 404, 'Not found');
+        return;
+      }
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stats.size,
+        'Cache-Control': 'no-cache'
+      });
+      fs.createReadStream(file).pipe(response);
+    });
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let font;
+  try {
+    font = options.font ? TrueTypeFont.load(options.font) : TrueTypeFont.find();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+  const server = new DevServer(FixtureStore.load(options.fixtures), { quiet: options.quiet, font: font });
+  const address = await server.listen(options.port, options.host);
+  console.log(`Serving ${server.forms.map(form => form.name).join(', ')} at http://${options.host}:${address.port}/ ` +
+    `(API contract ${server.contract.version}; ${font ? `PDF reports in ${font.file}` : 'no font for PDF reports'})`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { DevServer };
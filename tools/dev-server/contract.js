@@ -0,0 +1,126 @@
+'use strict';
+
+// API Contract
+// contract.json describes every endpoint the runtime calls. The dev server
+// checks requests against it and tools/check-api.js checks a backend's
+// responses, so both are held to the same document.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACT_FILE = path.join(__dirname, 'contract.json');
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+class Contract {
+  constructor(document) {
+    this.document = document;
+    this.version = document.version;
+    this.endpoints = document.endpoints;
+  }
+
+  static load(file = CONTRACT_FILE) {
+    return new Contract(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  // The endpoint a request path belongs to, with its {name} parameters.
+  match(method, pathname) {
+    for (const [name, endpoint] of Object.entries(this.endpoints)) {
+      if (endpoint.method !== method) continue;
+      for (const pattern of [endpoint.path].concat(endpoint.aliases || [])) {
+        const names = [];
+        const source = pattern.replace(/\{(\w+)\}/g, (match, param) => {
+          names.push(param);
+          return '([^/]+)';
+        });
+        const found = new RegExp(`^${source}$`).exec(pathname);
+        if (found) {
+          const params = {};
+          names.forEach((param, index) => {
+            params[param] = decodeURIComponent(found[index + 1]);
+          });
+          return { name: name, endpoint: endpoint, params: params };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Returns the problems with a value, as 'path: problem' strings.
+  check(schema, value, where = 'body') {
+    if (schema.$ref) return this.check(this.document.definitions[schema.$ref], value, where);
+
+    if (schema.oneOf) {
+      const matching = schema.oneOf.filter(option => this.check(option, value, where).length === 0);
+      return matching.length ? [] : [`${where}: does not match any of the allowed forms`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [`${where}: must be one of ${schema.enum.join(', ')}`];
+    }
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.includes(typeOf(value))) return [`${where}: must be ${types.join(' or ')}`];
+    }
+
+    const problems = [];
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(name => {
+        if (value[name] === undefined) problems.push(`${where}.${name}: is required`);
+      });
+      Object.entries(value).forEach(([name, member]) => {
+        const memberSchema = (schema.properties || {})[name] || schema.additionalProperties;
+        if (memberSchema) {
+          problems.push(...this.check(memberSchema, member, `${where}.${name}`));
+        } else if (memberSchema === false) {
+          problems.push(`${where}.${name}: is not allowed`);
+        }
+      });
+    }
+    if (typeOf(value) === 'array' && schema.items) {
+      value.forEach((item, index) => problems.push(...this.check(schema.items, item, `${where}[${index}]`)));
+    }
+    return problems;
+  }
+
+  checkRequest(name, body) {
+    const endpoint = this.endpoints[name];
+    return endpoint.request ? this.check(endpoint.request, body) : [];
+  }
+
+  // Query string values arrive as text; a number parameter must parse.
+  checkQuery(name, searchParams) {
+    const problems = [];
+    Object.entries(this.endpoints[name].query || {}).forEach(([param, definition]) => {
+      const value = searchParams.get(param);
+      if (value === null) {
+        if (definition.required) problems.push(`query.${param}: is required`);
+      } else if (definition.type === 'number' && (value.trim() === '' || isNaN(value))) {
+        problems.push(`query.${param}: must be a number`);
+      }
+    });
+    return problems;
+  }
+
+  checkStatus(name, status) {
+    return this.endpoints[name].responses[String(status)]
+      ? []
+      : [`response: status ${status} is not one the endpoint answers`];
+  }
+
+  checkResponse(name, status, body) {
+    const schema = this.endpoints[name].responses[String(status)];
+    return schema ? this.check(schema, body, 'response') : this.checkStatus(name, status);
+  }
+
+  // Whether a client that speaks version is served: the major versions
+  // must match. A request without a version is served.
+  accepts(version) {
+    return !version || String(version).split('.')[0] === String(this.version).split('.')[0];
+  }
+}
+
+module.exports = { Contract };
@@ -0,0 +1,116 @@
+'use strict';
+
+// File Import
+// Reads an uploaded data file for POST /api/import, the way the forms'
+// CLIENT_TEXT_IO loops did: one record per line, the first line a header
+// when the import says so, the fields separated by commas (.csv, and files
+// whose columns have no widths) or in fixed-width columns (.dat and the
+// like). Each line is checked column by column and stops at its first
+// error, as LO_CHECK_FILE does. An import is defined in the fixtures:
+//
+//   imports: { SUPP_ITEMS_BONUS: {
+//     header: true,
+//     columns: [{ name: 'item_no', width: 10, required: 'message',
+//                 lookup: { table: 'ITEMS', column: 'item_no', message: '...' },
+//                 active: { where: "i_status != 'L'", message: '...' } }],
+//     errors: 'HASHLAMA_TEMP2', staging: 'HASHLAMA_TEMP',
+//     apply: { table: 'SUPP_ITEMS', key: ['item_no', 'supplier_no'],
+//              set: ['si_bonus_category'] } } }
+//
+// lookup.where and active.where are conditions on the looked-up row.
+
+const { SqlSubset, columnValue, compare } = require('./sql-subset');
+
+function formatOf(fileName, definition) {
+  if (/\.csv$/i.test(fileName || '')) return 'csv';
+  return definition.columns.every(column => column.width) ? 'fixed' : 'csv';
+}
+
+// Splits a CSV line; a quoted field may hold commas and doubled quotes.
+function splitCsv(line, separator = ',') {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === separator) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function splitFixed(line, columns) {
+  let start = 0;
+  return columns.map(column => {
+    const field = line.substr(start, column.width);
+    start += column.width;
+    return field;
+  });
+}
+
+// [{ line, values: { column: value } }], line being the line number in the
+// file; blank lines are skipped.
+function parseLines(text, definition, format) {
+  const lines = text.split(/\r\n|\r|\n/);
+  const records = [];
+  lines.forEach((line, index) => {
+    if (index === 0 && definition.header) return;
+    if (!line.trim()) return;
+    const fields = format === 'fixed' ? splitFixed(line, definition.columns) : splitCsv(line, definition.separator);
+    const values = {};
+    definition.columns.forEach((column, position) => {
+      const value = (fields[position] || '').trim();
+      values[column.name] = value === '' ? null : value;
+    });
+    records.push({ line: index + 1, values: values });
+  });
+  return records;
+}
+
+function findRow(store, check, value) {
+  const condition = SqlSubset.condition(check.where || null);
+  return store.table(check.table).find(row =>
+    compare(columnValue(row, check.column), value) === 0 && condition(row, {}) === true) || null;
+}
+
+// The line's first error, { column, message, value }, or null.
+function checkLine(values, definition, store) {
+  for (const column of definition.columns) {
+    const value = values[column.name];
+    const error = message => ({ column: column.name.toUpperCase(), message: message, value: value });
+    if (value === null) {
+      if (column.required) return error(column.required);
+      continue;
+    }
+    if (column.type === 'number' && isNaN(value)) {
+      return error(column.invalid || `${value} is not a number`);
+    }
+    if (column.lookup) {
+      const row = findRow(store, column.lookup, value);
+      if (!row) return error(column.lookup.message);
+      if (column.active && SqlSubset.condition(column.active.where)(row, {}) !== true) {
+        return error(column.active.message);
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { formatOf, parseLines, checkLine, splitCsv };
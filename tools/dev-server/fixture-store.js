@@ -0,0 +1,287 @@
+'use strict';
+
+// Fixture Store
+// The dev server's database: the tables of a fixtures file, held in memory
+// and reset when the server restarts. The file also maps blocks to tables,
+// with their DEFAULT_WHERE (binding the items the form sends), ORDER BY and
+// primary key, which an inserted row must have, defines the lists of values
+// and sets the forms' parameters:
+//
+//   { tables: { CODES: [{ tab_no: '12', code: '1', ... }] },
+//     blocks: { CODES: { table: 'CODES', versionColumn: null, key: ['tab_no', 'code'],
+//                        where: 'tab_no = :header.tab_no', orderBy: 'code' } },
+//     lovs: { tab_no: { table: 'CODES', where: 'code is null',
+//                       columns: { tab_no: 'tab_no', tab_desc: 'code_desc' },
+//                       filters: { tab_no: 'tab_no' } } },
+//     parameters: { AST_BOOKING: { CRM_UPDATE: '1' } },
+//     imports: { SUPP_ITEMS_BONUS: { see file-import.js } } }
+//
+// Table and column names are matched whatever their case.
+
+const fs = require('fs');
+const hebrew = require('../extraction/hebrew');
+const { SqlSubset, run, columnKey, columnValue, compare, like } = require('./sql-subset');
+const { formatOf, parseLines, checkLine } = require('./file-import');
+
+class StoreError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function clone(value) {
+  return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function sameValue(a, b) {
+  const x = a === undefined || a === '' ? null : a;
+  const y = b === undefined || b === '' ? null : b;
+  return x === null || y === null ? x === y : compare(x, y) === 0;
+}
+
+class FixtureStore {
+  constructor(fixtures = {}) {
+    this.tables = new Map();
+    Object.entries(fixtures.tables || {}).forEach(([name, rows]) => {
+      this.tables.set(name.toUpperCase(), clone(rows));
+    });
+    this.blocks = fixtures.blocks || {};
+    this.lovs = fixtures.lovs || {};
+    this.parameters = fixtures.parameters || {};
+    this.importDefinitions = fixtures.imports || {};
+    this.imports = new Map();
+    this.sequences = new Map();
+  }
+
+  static load(file) {
+    return new FixtureStore(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  table(name) {
+    const rows = this.tables.get(name.toUpperCase());
+    if (!rows) throw new StoreError(`Table ${name.toUpperCase()} is not in the fixtures`, 404);
+    return rows;
+  }
+
+  nextValue(sequence) {
+    const name = sequence.toUpperCase();
+    const value = (this.sequences.get(name) || 0) + 1;
+    this.sequences.set(name, value);
+    return value;
+  }
+
+  // A block's table, by default the table of its name, and its where
+  // clause and order.
+  block(name) {
+    const entry = Object.entries(this.blocks).find(([block]) => block.toUpperCase() === name.toUpperCase());
+    const definition = entry ? entry[1] : {};
+    return {
+      table: definition.table || name,
+      versionColumn: definition.versionColumn || null,
+      key: definition.key || [],
+      where: definition.where || null,
+      orderBy: definition.orderBy || null
+    };
+  }
+
+  // POST /api/query. clauses: { DEFAULT_WHERE, ORDER_BY } as { sql, binds },
+  // in place of the block's own.
+  query({ block, criteria = {}, binds = {} }, clauses = {}) {
+    const { table, where, orderBy } = this.block(block);
+    const rows = this.table(table);
+    const whereClause = clauses.DEFAULT_WHERE || { sql: where, binds: binds };
+    const orderClause = clauses.ORDER_BY ? clauses.ORDER_BY.sql : orderBy;
+    const condition = SqlSubset.condition(whereClause.sql);
+    const order = orderClause ? SqlSubset.orderBy(orderClause) : null;
+    const matching = rows.filter(row => condition(row, whereClause.binds) === true &&
+      Object.entries(criteria).every(([column, test]) => FixtureStore.matches(columnValue(row, column), test)));
+    return clone(order ? matching.slice().sort(order) : matching);
+  }
+
+  // A query-by-example condition; see runtime/query-criteria.js.
+  static matches(value, { operator, value: expected }) {
+    switch (operator) {
+      case 'IS NULL': return value === null;
+      case 'IS NOT NULL': return value !== null;
+      case 'LIKE': return like(value, expected) === true;
+      case 'BETWEEN': return compare(value, expected[0]) >= 0 && compare(value, expected[1]) <= 0;
+      case '=': return compare(value, expected) === 0;
+      case '!=': return value !== null && compare(value, expected) !== 0;
+      case '<': return compare(value, expected) < 0;
+      case '>': return compare(value, expected) > 0;
+      case '<=': return compare(value, expected) <= 0;
+      case '>=': return compare(value, expected) >= 0;
+      default: throw new StoreError(`Unknown operator ${operator}`);
+    }
+  }
+
+  // POST /api/save. Every lock is checked before anything is written, so a
+  // refused set leaves the tables as they were.
+  save({ changes }) {
+    const conflicts = [];
+    const targets = changes.map((change, index) => {
+      const block = this.block(change.block);
+      const rows = this.table(block.table);
+      if (change.operation === 'INSERT') {
+        const missing = block.key.filter(column => columnValue(change.values || {}, column) === null);
+        if (missing.length) throw new StoreError(`Change ${index} inserts a row without ${missing.join(', ')}`);
+        return { rows: rows, row: null };
+      }
+
+      const key = change.key || {};
+      if (!Object.keys(key).length) throw new StoreError(`Change ${index} has no key`);
+      const row = rows.find(candidate => Object.entries(key).every(([column, value]) => sameValue(columnValue(candidate, column), value)));
+      if (!row) {
+        conflicts.push({ index: index, current: null });
+      } else if (FixtureStore.changedSince(row, change, block)) {
+        conflicts.push({ index: index, current: clone(row) });
+      }
+      return { rows: rows, row: row };
+    });
+    if (conflicts.length) {
+      throw new StoreError('Records were changed by another user', 409, { conflicts: conflicts });
+    }
+
+    const records = changes.map((change, index) => {
+      const { rows, row } = targets[index];
+      if (change.operation === 'DELETE') {
+        rows.splice(rows.indexOf(row), 1);
+        return null;
+      }
+      if (change.operation === 'INSERT') {
+        const inserted = clone(change.values || {});
+        rows.push(inserted);
+        return clone(inserted);
+      }
+      Object.entries(change.values || {}).forEach(([column, value]) => {
+        row[columnKey(row, column) || column] = value;
+      });
+      const block = this.block(change.block);
+      if (block.versionColumn) {
+        const column = columnKey(row, block.versionColumn) || block.versionColumn;
+        row[column] = (Number(row[column]) || 0) + 1;
+      }
+      return clone(row);
+    });
+    return { records: records };
+  }
+
+  // The lock: the version column when the block has one, otherwise the
+  // values the row had when it was queried.
+  static changedSince(row, change, block) {
+    if (change.version !== undefined && block.versionColumn) {
+      return !sameValue(columnValue(row, block.versionColumn), change.version);
+    }
+    return Object.entries(change.original || {}).some(([column, value]) => !sameValue(columnValue(row, column), value));
+  }
+
+  // GET /api/lov/:name
+  lov(name, { search = '', offset = 0, limit = null, filters = {} }) {
+    const definition = this.lovs[name];
+    if (!definition) throw new StoreError(`List of values ${name} is not in the fixtures`, 404);
+    const condition = SqlSubset.condition(definition.where);
+    const columns = definition.columns || null;
+    const pattern = search ? new RegExp(`^${search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}`, 'i') : null;
+
+    let rows = this.table(definition.table).filter(row => condition(row, {}) === true);
+    if (definition.orderBy) rows.sort(SqlSubset.orderBy(definition.orderBy));
+    rows = rows
+      .filter(row => Object.entries(filters).every(([param, value]) => {
+        const column = (definition.filters || {})[param];
+        return !column || sameValue(columnValue(row, column), value);
+      }))
+      .map(row => {
+        if (!columns) return clone(row);
+        const result = {};
+        Object.entries(columns).forEach(([field, column]) => {
+          result[field] = columnValue(row, column);
+        });
+        return result;
+      });
+    if (pattern) {
+      rows = rows.filter(row => Object.values(row).some(value => pattern.test(value === null ? '' : String(value))));
+    }
+
+    const start = Number(offset) || 0;
+    const page = limit === null ? rows.slice(start) : rows.slice(start, start + Number(limit));
+    return { rows: page, total: rows.length };
+  }
+
+  // GET /api/params?form=
+  formParameters(form) {
+    const entry = Object.entries(this.parameters).find(([name]) => name.toUpperCase() === form.toUpperCase());
+    return entry ? clone(entry[1]) : {};
+  }
+
+  // POST /api/sql, with the statement's SQL from plsql-statements.json.
+  sql(source, binds = {}) {
+    return run(SqlSubset.statement(source), this, binds);
+  }
+
+  importDefinition(name) {
+    const entry = Object.entries(this.importDefinitions).find(([key]) => key.toUpperCase() === String(name).toUpperCase());
+    if (!entry) throw new StoreError(`Import ${name} is not in the fixtures`, 404);
+    return entry[1];
+  }
+
+  // POST /api/import. Every line is checked; its errors go to the errors
+  // table and the clean lines to the staging table, both under a new
+  // import id (the forms' tmp_pid), which the form's error block queries.
+  importFile({ import: name, fileName, content, format }) {
+    const definition = this.importDefinition(name);
+    const decoded = hebrew.decode(Buffer.from(content, 'base64'));
+    const lines = parseLines(decoded.text, definition, format || formatOf(fileName, definition));
+    const id = this.nextValue('SESSION_ID');
+    const errors = [];
+    const staged = [];
+    lines.forEach(({ line, values }) => {
+      const error = checkLine(values, definition, this);
+      if (error) {
+        errors.push(Object.assign({ line: line }, error));
+      } else {
+        staged.push(Object.assign({ tmp_pid: id, line: line }, values));
+      }
+    });
+
+    const errorRows = this.table(definition.errors);
+    errors.forEach(error => {
+      errorRows.push({ tmp_pid: id, val1: error.line, rem1: error.column, rem2: error.message, rem3: error.value });
+    });
+    this.table(definition.staging).push(...staged);
+    this.imports.set(id, { name: name, errors: errors.length, applied: false });
+    return { id: id, encoding: decoded.encoding, lines: lines.length, staged: staged.length, errors: errors };
+  }
+
+  // POST /api/import/:id/apply: writes the staged rows, only for a file
+  // with no errors and only once.
+  applyImport(id) {
+    const entry = this.imports.get(Number(id));
+    if (!entry) throw new StoreError(`Unknown import ${id}`, 404);
+    if (entry.errors) {
+      throw new StoreError(`Import ${id} has ${entry.errors} errors`, 409, { errors: entry.errors });
+    }
+    if (entry.applied) throw new StoreError(`Import ${id} was already applied`, 409, { errors: 0 });
+
+    const { apply, staging } = this.importDefinition(entry.name);
+    const stagingRows = this.table(staging);
+    const rows = stagingRows.filter(row => sameValue(row.tmp_pid, Number(id)));
+    const target = this.table(apply.table);
+    let applied = 0;
+    rows.forEach(staged => {
+      const row = target.find(candidate => apply.key.every(column => sameValue(columnValue(candidate, column), staged[column])));
+      if (!row) return;
+      apply.set.forEach(column => {
+        row[columnKey(row, column) || column] = staged[column];
+      });
+      applied++;
+    });
+    rows.forEach(row => stagingRows.splice(stagingRows.indexOf(row), 1));
+    entry.applied = true;
+    return { applied: applied, unmatched: rows.length - applied };
+  }
+}
+
+module.exports = { FixtureStore, StoreError };
@@ -0,0 +1,469 @@
+'use strict';
+
+// PDF Report
+// Lays out a report of POST /api/report as PDF, with Node's built-ins only:
+// A4 pages in the print preview's layout (runtime/print-report.js), right to
+// left, in a TrueType font embedded whole. Hebrew needs no shaping, so every
+// character is one glyph; a line is put in visual order by reversing its
+// right-to-left runs, while runs of Latin letters and digits read left to
+// right (see visualOrder).
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Fonts with Hebrew, tried in order when tools/dev-server.js has no --font.
+const FONT_FILES = [
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/TTF/DejaVuSans.ttf',
+  '/System/Library/Fonts/Supplemental/Arial.ttf',
+  '/Library/Fonts/Arial Unicode.ttf',
+  'C:\\Windows\\Fonts\\arial.ttf'
+];
+
+// Points; the margin is the preview's 15mm.
+const PAGE_SIZES = { portrait: [595.28, 841.89], landscape: [841.89, 595.28] };
+const MARGIN = 42.5;
+const CELL_PADDING = 4;
+const ROW_HEIGHT = 14;
+const TEXT_SIZE = 9;
+
+const RIGHT_TO_LEFT = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LETTER = /[\p{L}\p{M}]/u;
+const DIGIT = /\p{N}/u;
+const SEPARATOR = /[.,:/-]/;
+const SIGN = /[%+#$\u00B0\u20AA\u20AC]/;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+// The tables of a TrueType font that the PDF needs: the character map, the
+// advance widths and the font's box, in 1/1000 of the em.
+class TrueTypeFont {
+  constructor(file, data) {
+    this.file = file;
+    this.data = data;
+    this.name = path.basename(file, path.extname(file)).replace(/[^A-Za-z0-9-]/g, '') || 'Font';
+    const signature = data.length >= 12 ? data.readUInt32BE(0) : 0;
+    if (signature !== 0x00010000 && signature !== 0x74727565) {
+      throw new Error(`${file} is not a TrueType font`);
+    }
+    this.tables = {};
+    for (let i = 0; i < data.readUInt16BE(4); i++) {
+      const record = 12 + i * 16;
+      this.tables[data.toString('latin1', record, record + 4)] = data.readUInt32BE(record + 8);
+    }
+    ['head', 'hhea', 'hmtx', 'cmap'].forEach(tag => {
+      if (this.tables[tag] === undefined) throw new Error(`${file} has no ${tag} table`);
+    });
+
+    this.unitsPerEm = data.readUInt16BE(this.tables.head + 18);
+    this.box = [36, 38, 40, 42].map(offset => this.scale(data.readInt16BE(this.tables.head + offset)));
+    this.ascent = this.scale(data.readInt16BE(this.tables.hhea + 4));
+    this.descent = this.scale(data.readInt16BE(this.tables.hhea + 6));
+    this.horizontalMetrics = data.readUInt16BE(this.tables.hhea + 34);
+    this.lookup = this.characterMap();
+    this.glyphs = new Map();
+    this.compressed = null;
+  }
+
+  static load(file) {
+    return new TrueTypeFont(file, fs.readFileSync(file));
+  }
+
+  // The first of files that exists, or null.
+  static find(files = FONT_FILES) {
+    const file = files.find(candidate => fs.existsSync(candidate));
+    return file ? TrueTypeFont.load(file) : null;
+  }
+
+  scale(units) {
+    return Math.round(units * 1000 / this.unitsPerEm);
+  }
+
+  // A Unicode subtable of cmap: format 12 covers every plane, format 4 the
+  // basic one.
+  characterMap() {
+    const data = this.data;
+    const table = this.tables.cmap;
+    const subtables = [];
+    for (let i = 0; i < data.readUInt16BE(table + 2); i++) {
+      const record = table + 4 + i * 8;
+      const platform = data.readUInt16BE(record);
+      const encoding = data.readUInt16BE(record + 2);
+      const offset = table + data.readUInt32BE(record + 4);
+      if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+        subtables.push({ format: data.readUInt16BE(offset), offset: offset });
+      }
+    }
+    const full = subtables.find(subtable => subtable.format === 12);
+    if (full) return TrueTypeFont.format12(data, full.offset);
+    const basic = subtables.find(subtable => subtable.format === 4);
+    if (basic) return TrueTypeFont.format4(data, basic.offset);
+    throw new Error(`${this.file} has no Unicode character map`);
+  }
+
+  static format4(data, offset) {
+    const segments = data.readUInt16BE(offset + 6) / 2;
+    const ends = offset + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const ranges = deltas + segments * 2;
+    return code => {
+      if (code > 0xFFFF) return 0;
+      for (let i = 0; i < segments; i++) {
+        if (data.readUInt16BE(ends + i * 2) < code) continue;
+        const start = data.readUInt16BE(starts + i * 2);
+        if (start > code) return 0;
+        const delta = data.readUInt16BE(deltas + i * 2);
+        const range = data.readUInt16BE(ranges + i * 2);
+        if (range === 0) return (code + delta) & 0xFFFF;
+        const glyph = data.readUInt16BE(ranges + i * 2 + range + (code - start) * 2);
+        return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+      }
+      return 0;
+    };
+  }
+
+  static format12(data, offset) {
+    const groups = data.readUInt32BE(offset + 12);
+    return code => {
+      for (let i = 0; i < groups; i++) {
+        const group = offset + 16 + i * 12;
+        if (code < data.readUInt32BE(group)) return 0;
+        if (code <= data.readUInt32BE(group + 4)) {
+          return data.readUInt32BE(group + 8) + code - data.readUInt32BE(group);
+        }
+      }
+      return 0;
+    };
+  }
+
+  // 0, the font's missing glyph box, for a character it does not have.
+  glyph(code) {
+    if (!this.glyphs.has(code)) this.glyphs.set(code, this.lookup(code));
+    return this.glyphs.get(code);
+  }
+
+  advance(glyph) {
+    const index = Math.min(glyph, this.horizontalMetrics - 1);
+    return this.scale(this.data.readUInt16BE(this.tables.hmtx + index * 4));
+  }
+
+  width(text, size) {
+    let total = 0;
+    for (const char of text) total += this.advance(this.glyph(char.codePointAt(0)));
+    return total * size / 1000;
+  }
+
+  // The font file, compressed once for every PDF.
+  get stream() {
+    if (!this.compressed) this.compressed = zlib.deflateSync(this.data);
+    return this.compressed;
+  }
+}
+
+// A line of a right-to-left paragraph in drawing order, by a short form of
+// the Unicode bidirectional algorithm: digits after Latin letters read with
+// them, separators between digits (12.50, 2024-01-31) and signs next to
+// them (50%) join the number, neutral characters between Latin letters join
+// them, and the rest read right to left, brackets mirrored.
+function visualOrder(text) {
+  const chars = Array.from(text);
+  const types = chars.map(char => {
+    if (RIGHT_TO_LEFT.test(char)) return 'R';
+    if (DIGIT.test(char)) return 'D';
+    return LETTER.test(char) ? 'L' : 'N';
+  });
+  let strong = 'R';
+  types.forEach((type, index) => {
+    if (type === 'R' || type === 'L') strong = type;
+    else if (type === 'D' && strong === 'L') types[index] = 'L';
+  });
+  types.forEach((type, index) => {
+    if (type !== 'N') return;
+    const before = types[index - 1];
+    const after = types[index + 1];
+    if (SEPARATOR.test(chars[index]) && before === 'D' && after === 'D') types[index] = 'D';
+  });
+  for (let start = 0; start < types.length; start++) {
+    if (types[start] !== 'N') continue;
+    let end = start;
+    while (end < types.length && types[end] === 'N') end++;
+    const before = types[start - 1];
+    const after = types[end];
+    const signs = chars.slice(start, end).every(char => SIGN.test(char));
+    let type = 'R';
+    if (before === 'L' && after === 'L') type = 'L';
+    else if (signs && (before === 'D' || after === 'D')) type = 'D';
+    types.fill(type, start, end);
+    start = end - 1;
+  }
+
+  // Latin and number runs next to each other read left to right as one.
+  const runs = [];
+  chars.forEach((char, index) => {
+    const rightToLeft = types[index] === 'R';
+    const last = runs[runs.length - 1];
+    if (last && last.rightToLeft === rightToLeft) {
+      last.chars.push(char);
+    } else {
+      runs.push({ rightToLeft: rightToLeft, chars: [char] });
+    }
+  });
+  return runs.reverse()
+    .map(run => run.rightToLeft ? run.chars.reverse().map(char => MIRRORED[char] || char).join('') : run.chars.join(''))
+    .join('');
+}
+
+function hex(number, digits) {
+  return number.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+// A string for the document information, in UTF-16.
+function textString(text) {
+  let result = 'FEFF';
+  for (let i = 0; i < text.length; i++) result += hex(text.charCodeAt(i), 4);
+  return `<${result}>`;
+}
+
+// The drawing operators of a page, in points from the bottom left corner.
+class PdfPage {
+  constructor(font, used) {
+    this.font = font;
+    this.used = used;
+    this.operators = [];
+  }
+
+  // align: the x the text ends at ('right'), starts at ('left') or is
+  // centred on.
+  text(value, x, y, size, align = 'right') {
+    const line = visualOrder(value);
+    const width = this.font.width(line, size);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    let glyphs = '';
+    for (const char of line) {
+      const code = char.codePointAt(0);
+      const glyph = this.font.glyph(code);
+      if (!this.used.has(glyph)) this.used.set(glyph, code);
+      glyphs += hex(glyph, 4);
+    }
+    this.operators.push(`BT /F1 ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td <${glyphs}> Tj ET`);
+  }
+
+  line(x1, y1, x2, y2, gray = 0) {
+    this.operators.push(`${gray} G ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+  }
+
+  fill(x, y, width, height, gray) {
+    this.operators.push(`${gray} g ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f 0 g`);
+  }
+
+  get content() {
+    return Buffer.from(`0.5 w\n${this.operators.join('\n')}\n`, 'latin1');
+  }
+}
+
+// The longest start of text that fits width, with an ellipsis when cut.
+function fit(font, text, width, size) {
+  if (font.width(text, size) <= width) return text;
+  const chars = Array.from(text);
+  while (chars.length && font.width(`${chars.join('')}\u2026`, size) > width) chars.pop();
+  return `${chars.join('')}\u2026`;
+}
+
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Column widths in points: each as wide as its longest text, then scaled
+// together to the width of the page, as the preview's table is.
+function columnWidths(font, columns, rows, available) {
+  const natural = columns.map((column, index) => {
+    const texts = [column.label || column.name].concat(rows.map(row => cellText(row[index])));
+    return Math.max(1, ...texts.map(text => font.width(text, TEXT_SIZE))) + CELL_PADDING * 2;
+  });
+  const total = natural.reduce((sum, width) => sum + width, 0);
+  return natural.map(width => width * available / total);
+}
+
+// The pages of the report: every one repeats the titles and the column
+// headings, the first one lists the criteria. A page breaks after
+// rowsPerPage records, or earlier when the next one does not fit.
+function layOut(report, font) {
+  const { title = '', formTitle = '', printed = '', criteria = [], columns, rows } = report;
+  const [pageWidth, pageHeight] = PAGE_SIZES[report.orientation] || PAGE_SIZES.portrait;
+  const rowsPerPage = report.rowsPerPage > 0 ? Math.floor(report.rowsPerPage) : 40;
+  const right = pageWidth - MARGIN;
+  const available = pageWidth - MARGIN * 2;
+  const widths = columnWidths(font, columns, rows, available);
+  const bottom = MARGIN + ROW_HEIGHT * 2;
+  const used = new Map();
+  const pages = [];
+
+  const row = (page, values, top, heading) => {
+    if (heading) page.fill(MARGIN, top - ROW_HEIGHT, available, ROW_HEIGHT, 0.93);
+    let edge = right;
+    values.forEach((value, index) => {
+      const text = fit(font, cellText(value), widths[index] - CELL_PADDING * 2, TEXT_SIZE);
+      page.text(text, edge - CELL_PADDING, top - ROW_HEIGHT + 4, TEXT_SIZE);
+      page.line(edge, top, edge, top - ROW_HEIGHT, 0.6);
+      edge -= widths[index];
+    });
+    page.line(MARGIN, top, MARGIN, top - ROW_HEIGHT, 0.6);
+    page.line(MARGIN, top, right, top, 0.6);
+    page.line(MARGIN, top - ROW_HEIGHT, right, top - ROW_HEIGHT, 0.6);
+    return top - ROW_HEIGHT;
+  };
+
+  const newPage = () => {
+    const page = new PdfPage(font, used);
+    let top = pageHeight - MARGIN;
+    page.text(fit(font, formTitle, available / 2, 14), right, top - 14, 14);
+    page.text(fit(font, title, available / 3, 12), pageWidth / 2, top - 14, 12, 'center');
+    page.text(printed, MARGIN, top - 14, 8, 'left');
+    top -= 20;
+    page.line(MARGIN, top, right, top);
+    top -= 6;
+    if (!pages.length && criteria.length) {
+      const labelWidth = Math.min(available / 3,
+        Math.max(...criteria.map(({ label }) => font.width(label, TEXT_SIZE))) + CELL_PADDING * 3);
+      criteria.forEach(({ label, value }) => {
+        top -= 12;
+        page.text(fit(font, label, labelWidth, TEXT_SIZE), right, top, TEXT_SIZE);
+        page.text(fit(font, cellText(value), available - labelWidth, TEXT_SIZE), right - labelWidth, top, TEXT_SIZE);
+      });
+      top -= 8;
+    }
+    pages.push(page);
+    return { page: page, top: row(page, columns.map(column => column.label || column.name), top, true), count: 0 };
+  };
+
+  let current = newPage();
+  rows.forEach(values => {
+    if (current.count === rowsPerPage || current.top - ROW_HEIGHT < bottom) current = newPage();
+    current.top = row(current.page, values, current.top, false);
+    current.count++;
+  });
+  pages.forEach((page, index) => page.text(`${index + 1} / ${pages.length}`, pageWidth / 2, MARGIN, 8, 'center'));
+  return { pages: pages, used: used, size: [pageWidth, pageHeight] };
+}
+
+// Numbered objects, written out with their cross-reference table.
+class PdfFile {
+  constructor() {
+    this.objects = [];
+  }
+
+  reserve() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  add(body) {
+    this.objects.push(body);
+    return this.objects.length;
+  }
+
+  set(number, body) {
+    this.objects[number - 1] = body;
+  }
+
+  static stream(dictionary, data) {
+    return PdfFile.compressedStream(dictionary, zlib.deflateSync(data));
+  }
+
+  static compressedStream(dictionary, compressed) {
+    return Buffer.concat([
+      Buffer.from(`<< ${dictionary} /Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`, 'latin1'),
+      compressed,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+  }
+
+  toBuffer(root, info) {
+    const parts = [Buffer.from('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let length = parts[0].length;
+    const offsets = this.objects.map((body, index) => {
+      const offset = length;
+      const object = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      parts.push(object);
+      length += object.length;
+      return offset;
+    });
+    const table = [`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`]
+      .concat(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`))
+      .join('');
+    parts.push(Buffer.from(`${table}trailer\n<< /Size ${this.objects.length + 1} /Root ${root} 0 R /Info ${info} 0 R >>\n` +
+      `startxref\n${length}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(parts);
+  }
+}
+
+// Maps the glyphs back to their characters, so the text can be searched
+// and copied.
+function toUnicode(used) {
+  const entries = Array.from(used.entries()).sort((a, b) => a[0] - b[0]);
+  const blocks = [];
+  for (let start = 0; start < entries.length; start += 100) {
+    const chunk = entries.slice(start, start + 100);
+    const lines = chunk.map(([glyph, code]) => {
+      const units = String.fromCodePoint(code);
+      let target = '';
+      for (let i = 0; i < units.length; i++) target += hex(units.charCodeAt(i), 4);
+      return `<${hex(glyph, 4)}> <${target}>`;
+    });
+    blocks.push(`${chunk.length} beginbfchar\n${lines.join('\n')}\nendbfchar`);
+  }
+  return Buffer.from([
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange'
+  ].concat(blocks, [
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ]).join('\n'), 'latin1');
+}
+
+// { title, formTitle, printed, criteria, columns, rows, rowsPerPage,
+// orientation } as the report endpoint receives them; returns the file.
+function renderPdf(report, font) {
+  const { pages, used, size } = layOut(report, font);
+  const pdf = new PdfFile();
+  const catalog = pdf.reserve();
+  const pageTree = pdf.reserve();
+
+  const fontFile = pdf.add(PdfFile.compressedStream(`/Length1 ${font.data.length}`, font.stream));
+  const descriptor = pdf.add(`<< /Type /FontDescriptor /FontName /${font.name} /Flags 32 ` +
+    `/FontBBox [${font.box.join(' ')}] /ItalicAngle 0 /Ascent ${font.ascent} /Descent ${font.descent} ` +
+    `/CapHeight ${font.ascent} /StemV 80 /FontFile2 ${fontFile} 0 R >>`);
+  const widths = Array.from(used.keys()).sort((a, b) => a - b)
+    .map(glyph => `${glyph} [${font.advance(glyph)}]`).join(' ');
+  const descendant = pdf.add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${font.name} ` +
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+    `/FontDescriptor ${descriptor} 0 R /CIDToGIDMap /Identity /DW 1000 /W [${widths}] >>`);
+  const unicode = pdf.add(PdfFile.stream('', toUnicode(used)));
+  const type0 = pdf.add(`<< /Type /Font /Subtype /Type0 /BaseFont /${font.name} /Encoding /Identity-H ` +
+    `/DescendantFonts [${descendant} 0 R] /ToUnicode ${unicode} 0 R >>`);
+
+  const kids = pages.map(page => {
+    const content = pdf.add(PdfFile.stream('', page.content));
+    return pdf.add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${size.join(' ')}] ` +
+      `/Resources << /Font << /F1 ${type0} 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+  pdf.set(pageTree, `<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`);
+  pdf.set(catalog, `<< /Type /Catalog /Pages ${pageTree} 0 R /ViewerPreferences << /Direction /R2L >> >>`);
+  const info = pdf.add(`<< /Title ${textString(report.title || report.report || '')} /Producer (forms dev server) >>`);
+  return pdf.toBuffer(catalog, info);
+}
+
+module.exports = { renderPdf, TrueTypeFont, visualOrder, FONT_FILES };
@@ -0,0 +1,38 @@
+'use strict';
+
+// Report Export
+// Renders POST /api/report for the dev server. CSV comes out in UTF-8 with a
+// byte order mark, so that Excel shows the Hebrew: a row of the column
+// labels, then a row per record. PDF is laid out as the print preview by
+// tools/dev-server/pdf.js, in the font the server was started with; without
+// one it is answered with 501.
+
+const { StoreError } = require('./fixture-store');
+const { renderPdf } = require('./pdf');
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv({ columns, rows }) {
+  const lines = [columns.map(column => column.label || column.name)].concat(rows)
+    .map(row => row.map(csvField).join(','));
+  return Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+// { contentType, fileName, content }; font is a TrueTypeFont, or null.
+function renderReport(request, { font = null } = {}) {
+  const fileName = `${String(request.report || 'report').replace(/[^\w.-]/g, '_')}.${request.format}`;
+  switch (request.format) {
+    case 'csv':
+      return { contentType: 'text/csv; charset=utf-8', fileName: fileName, content: renderCsv(request) };
+    case 'pdf':
+      if (!font) throw new StoreError('REPORT_FONT_MISSING', 501);
+      return { contentType: 'application/pdf', fileName: fileName, content: renderPdf(request, font) };
+    default:
+      throw new StoreError('REPORT_FORMAT_UNSUPPORTED', 400, { params: { format: request.format } });
+  }
+}
+
+module.exports = { renderReport, csvField };
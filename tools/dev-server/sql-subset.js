@@ -0,0 +1,439 @@
+'use strict';
+
+// SQL Subset
+// Just enough SQL for the dev server to answer from its fixture tables:
+// where clauses of =, !=, <, >, <=, >=, LIKE, IS [NOT] NULL and IN between
+// columns, binds and literals, joined by AND, OR, NOT and parentheses;
+// order by columns (a function's first column argument sorts in its
+// place); single-table SELECT, INSERT, UPDATE and DELETE; COUNT(*);
+// sequence.NEXTVAL from DUAL. Anything else raises UnsupportedSql, which
+// the server reports instead of guessing.
+
+const { Lexer, LexError } = require('../plsql/lexer');
+
+const COMPARISONS = ['=', '!=', '<>', '^=', '~=', '<', '>', '<=', '>='];
+
+class UnsupportedSql extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedSql';
+  }
+}
+
+// Row values are looked up whatever the case of the fixture's keys.
+function columnKey(row, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(row).find(key => key.toLowerCase() === lower);
+}
+
+function columnValue(row, name) {
+  const key = columnKey(row, name);
+  const value = key === undefined ? null : row[key];
+  return value === undefined || value === '' ? null : value;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+}
+
+// Oracle comparison: null when either side is null.
+function compare(a, b) {
+  if (a === null || b === null) return null;
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  a = String(a);
+  b = String(b);
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function like(value, pattern) {
+  if (value === null || pattern === null) return null;
+  const source = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 's').test(String(value));
+}
+
+class SqlSubset {
+  constructor(source) {
+    this.source = source;
+    this.position = 0;
+    try {
+      this.tokens = Lexer.tokenize(source);
+    } catch (error) {
+      if (!(error instanceof LexError)) throw error;
+      throw new UnsupportedSql(error.message);
+    }
+  }
+
+  // (row, binds) => true, false or null. An empty clause matches every row.
+  static condition(source) {
+    const parser = new SqlSubset(source || '');
+    parser.accept('WHERE');
+    if (parser.atEnd()) return () => true;
+    const condition = parser.parseOr();
+    parser.expectEnd();
+    return condition;
+  }
+
+  // A comparator of rows for an order by clause.
+  static orderBy(source) {
+    const parser = new SqlSubset(source || '');
+    if (parser.accept('ORDER')) parser.expect('BY');
+    const terms = [];
+    while (!parser.atEnd()) {
+      terms.push({ column: parser.sortColumn(), descending: false });
+      if (parser.accept('DESC')) terms[terms.length - 1].descending = true;
+      else parser.accept('ASC');
+      if (!parser.acceptOp(',')) break;
+    }
+    parser.expectEnd();
+    return (a, b) => {
+      for (const term of terms) {
+        const x = columnValue(a, term.column);
+        const y = columnValue(b, term.column);
+        // Nulls sort last, as in Oracle.
+        const result = x === null ? (y === null ? 0 : 1) : (y === null ? -1 : compare(x, y));
+        if (result) return term.descending ? -result : result;
+      }
+      return 0;
+    };
+  }
+
+  // A statement to run against a store; see run().
+  static statement(source) {
+    const parser = new SqlSubset(source);
+    const statement = parser.parseStatement();
+    parser.acceptOp(';');
+    parser.expectEnd();
+    return statement;
+  }
+
+  // Tokens
+
+  get token() {
+    return this.tokens[this.position];
+  }
+
+  atEnd() {
+    return this.token.type === 'eof';
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.tokens[this.position + offset];
+    return token.type === 'word' && token.upper === word;
+  }
+
+  isOp(op, offset = 0) {
+    const token = this.tokens[this.position + offset];
+    return token.type === 'op' && token.value === op;
+  }
+
+  accept(word) {
+    if (!this.isWord(word)) return false;
+    this.position++;
+    return true;
+  }
+
+  acceptOp(op) {
+    if (!this.isOp(op)) return false;
+    this.position++;
+    return true;
+  }
+
+  expect(word) {
+    if (!this.accept(word)) this.fail(`expected ${word}`);
+  }
+
+  expectOp(op) {
+    if (!this.acceptOp(op)) this.fail(`expected ${op}`);
+  }
+
+  expectEnd() {
+    if (!this.atEnd()) this.fail('unexpected text');
+  }
+
+  name() {
+    if (this.token.type !== 'word') this.fail('expected a name');
+    return this.tokens[this.position++].value;
+  }
+
+  fail(message) {
+    const near = this.atEnd() ? 'end of statement' : `"${this.source.slice(this.token.start, this.token.start + 30)}"`;
+    throw new UnsupportedSql(`${message} near ${near}`);
+  }
+
+  // Conditions
+
+  parseOr() {
+    const terms = [this.parseAnd()];
+    while (this.accept('OR')) terms.push(this.parseAnd());
+    if (terms.length === 1) return terms[0];
+    return (row, binds) => {
+      const results = terms.map(term => term(row, binds));
+      if (results.includes(true)) return true;
+      return results.includes(null) ? null : false;
+    };
+  }
+
+  parseAnd() {
+    const terms = [this.parseNot()];
+    while (this.accept('AND')) terms.push(this.parseNot());
+    if (terms.length === 1) return terms[0];
+    return (row, binds) => {
+      const results = terms.map(term => term(row, binds));
+      if (results.includes(false)) return false;
+      return results.includes(null) ? null : true;
+    };
+  }
+
+  parseNot() {
+    if (this.accept('NOT')) {
+      const condition = this.parseNot();
+      return (row, binds) => {
+        const result = condition(row, binds);
+        return result === null ? null : !result;
+      };
+    }
+    // A parenthesised condition, unless it is a parenthesised operand.
+    if (this.isOp('(') && !this.isWord('SELECT', 1)) {
+      const start = this.position;
+      this.position++;
+      try {
+        const condition = this.parseOr();
+        this.expectOp(')');
+        return condition;
+      } catch (error) {
+        this.position = start;
+      }
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    if (this.accept('IS')) {
+      const negated = this.accept('NOT');
+      this.expect('NULL');
+      return (row, binds) => (left(row, binds) === null) !== negated;
+    }
+    const negated = this.accept('NOT');
+    if (this.accept('LIKE')) {
+      const pattern = this.parseOperand();
+      return (row, binds) => {
+        const result = like(left(row, binds), pattern(row, binds));
+        return result === null ? null : result !== negated;
+      };
+    }
+    if (this.accept('IN')) {
+      this.expectOp('(');
+      const list = [this.parseOperand()];
+      while (this.acceptOp(',')) list.push(this.parseOperand());
+      this.expectOp(')');
+      return (row, binds) => {
+        const value = left(row, binds);
+        if (value === null) return null;
+        const found = list.some(item => compare(value, item(row, binds)) === 0);
+        return found !== negated;
+      };
+    }
+    if (negated) this.fail('expected LIKE or IN');
+
+    const op = this.token.type === 'op' && COMPARISONS.includes(this.token.value) ? this.token.value : null;
+    if (!op) this.fail('expected a comparison');
+    this.position++;
+    const right = this.parseOperand();
+    return (row, binds) => {
+      const result = compare(left(row, binds), right(row, binds));
+      if (result === null) return null;
+      switch (op) {
+        case '=': return result === 0;
+        case '<': return result < 0;
+        case '>': return result > 0;
+        case '<=': return result <= 0;
+        case '>=': return result >= 0;
+        default: return result !== 0;
+      }
+    };
+  }
+
+  // A column (optionally alias.column), a bind, a literal or NULL.
+  parseOperand() {
+    const token = this.token;
+    if (token.type === 'bind') {
+      this.position++;
+      const key = token.value.toUpperCase();
+      return (row, binds) => {
+        const value = binds[key];
+        return value === undefined || value === '' ? null : value;
+      };
+    }
+    if (token.type === 'string') {
+      this.position++;
+      const value = token.value === '' ? null : token.value;
+      return () => value;
+    }
+    if (token.type === 'number') {
+      this.position++;
+      const value = Number(token.value);
+      return () => value;
+    }
+    if (this.isOp('-') && this.tokens[this.position + 1].type === 'number') {
+      this.position += 2;
+      const value = -Number(this.tokens[this.position - 1].value);
+      return () => value;
+    }
+    if (this.accept('NULL')) return () => null;
+    if (token.type === 'word' && !this.isOp('(', 1)) {
+      let column = this.name();
+      if (this.acceptOp('.')) column = this.name();
+      return row => columnValue(row, column);
+    }
+    return this.fail('unsupported expression');
+  }
+
+  // lpad(code, 4, '0') sorts by code.
+  sortColumn() {
+    if (this.token.type === 'word' && this.isOp('(', 1)) {
+      this.position += 2;
+      const column = this.sortColumn();
+      let depth = 1;
+      while (depth && !this.atEnd()) {
+        if (this.isOp('(')) depth++;
+        if (this.isOp(')')) depth--;
+        this.position++;
+      }
+      return column;
+    }
+    let column = this.name();
+    if (this.acceptOp('.')) column = this.name();
+    return column;
+  }
+
+  // Statements
+
+  parseStatement() {
+    if (this.accept('SELECT')) return this.parseSelect();
+    if (this.accept('INSERT')) return this.parseInsert();
+    if (this.accept('UPDATE')) return this.parseUpdate();
+    if (this.accept('DELETE')) return this.parseDelete();
+    return this.fail('expected SELECT, INSERT, UPDATE or DELETE');
+  }
+
+  parseSelect() {
+    this.accept('DISTINCT');
+    const items = [];
+    do {
+      items.push(this.selectItem());
+    } while (this.acceptOp(','));
+    this.expect('FROM');
+    const table = this.name();
+    if (this.token.type === 'word' && !['WHERE', 'ORDER'].includes(this.token.upper)) this.position++;
+    const condition = this.accept('WHERE') ? this.parseOr() : () => true;
+    let order = null;
+    if (this.isWord('ORDER')) {
+      const start = this.token.start;
+      while (!this.atEnd() && !this.isOp(';')) this.position++;
+      order = SqlSubset.orderBy(this.source.slice(start, this.token.start));
+    }
+    return { type: 'select', items: items, table: table, condition: condition, order: order };
+  }
+
+  // { label, value(row, binds, store) } or { label, count: true }.
+  selectItem() {
+    const start = this.token.start;
+    let item;
+    if (this.isWord('COUNT') && this.isOp('(', 1) && this.isOp('*', 2) && this.isOp(')', 3)) {
+      this.position += 4;
+      item = { count: true };
+    } else if (this.token.type === 'word' && this.isOp('.', 1) && this.tokens[this.position + 2].upper === 'NEXTVAL') {
+      const sequence = this.name();
+      this.position += 2;
+      item = { value: (row, binds, store) => store.nextValue(sequence) };
+    } else {
+      item = { value: this.parseOperand() };
+    }
+    item.label = this.source.slice(start, this.tokens[this.position - 1].end).toUpperCase();
+    if (this.accept('AS') || (this.token.type === 'word' && this.token.upper !== 'FROM')) {
+      item.label = this.name().toUpperCase();
+    }
+    return item;
+  }
+
+  parseInsert() {
+    this.expect('INTO');
+    const table = this.name();
+    this.expectOp('(');
+    const columns = [this.name()];
+    while (this.acceptOp(',')) columns.push(this.name());
+    this.expectOp(')');
+    this.expect('VALUES');
+    this.expectOp('(');
+    const values = [this.parseOperand()];
+    while (this.acceptOp(',')) values.push(this.parseOperand());
+    this.expectOp(')');
+    if (values.length !== columns.length) this.fail('the column and value lists differ in length');
+    return { type: 'insert', table: table, columns: columns, values: values };
+  }
+
+  parseUpdate() {
+    const table = this.name();
+    if (this.token.type === 'word' && this.token.upper !== 'SET') this.position++;
+    this.expect('SET');
+    const assignments = [];
+    do {
+      let column = this.name();
+      if (this.acceptOp('.')) column = this.name();
+      this.expectOp('=');
+      assignments.push({ column: column, value: this.parseOperand() });
+    } while (this.acceptOp(','));
+    const condition = this.accept('WHERE') ? this.parseOr() : () => true;
+    return { type: 'update', table: table, assignments: assignments, condition: condition };
+  }
+
+  parseDelete() {
+    this.accept('FROM');
+    const table = this.name();
+    if (this.token.type === 'word' && this.token.upper !== 'WHERE') this.position++;
+    const condition = this.accept('WHERE') ? this.parseOr() : () => true;
+    return { type: 'delete', table: table, condition: condition };
+  }
+}
+
+// Runs a statement against a store with table(name) and nextValue(name):
+// { columns, rows } for a query, { rowCount } for DML.
+function run(statement, store, binds = {}) {
+  if (statement.type === 'select') {
+    const source = statement.table.toUpperCase() === 'DUAL' ? [{}] : store.table(statement.table);
+    let rows = source.filter(row => statement.condition(row, binds) === true);
+    if (statement.order) rows = rows.slice().sort(statement.order);
+    const columns = statement.items.map(item => item.label);
+    if (statement.items.some(item => item.count)) {
+      const first = rows[0] || {};
+      return { columns: columns, rows: [statement.items.map(item => (item.count ? rows.length : item.value(first, binds, store)))] };
+    }
+    return { columns: columns, rows: rows.map(row => statement.items.map(item => item.value(row, binds, store))) };
+  }
+
+  const rows = store.table(statement.table);
+  if (statement.type === 'insert') {
+    const row = {};
+    statement.columns.forEach((column, index) => {
+      row[column.toLowerCase()] = statement.values[index]({}, binds);
+    });
+    rows.push(row);
+    return { rowCount: 1 };
+  }
+
+  const matching = rows.filter(row => statement.condition(row, binds) === true);
+  if (statement.type === 'update') {
+    matching.forEach(row => {
+      const values = statement.assignments.map(assignment => assignment.value(row, binds));
+      statement.assignments.forEach((assignment, index) => {
+        row[columnKey(row, assignment.column) || assignment.column.toLowerCase()] = values[index];
+      });
+    });
+  } else {
+    matching.forEach(row => rows.splice(rows.indexOf(row), 1));
+  }
+  return { rowCount: matching.length };
+}
+
+module.exports = { SqlSubset, UnsupportedSql, run, columnKey, columnValue, compare, like };
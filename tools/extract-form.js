@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+'use strict';
+
+// Writes a converted form's extraction files.
+//
+//   node tools/extract-form.js [--xml <forms xml>] [--check] [--allow-lost] <form dir>...
+//
+// With --xml (one form dir only) plsql_extracted.json is extracted again
+// from the XML frmf2xml writes for the FMB. Its encoding is detected from
+// the bytes (Windows-1255 and ISO-8859-8 are what Hebrew Forms modules use)
+// and the result is written as UTF-8, with the block and item of every
+// trigger. Without it, the existing plsql_extracted.json is repaired where
+// its Hebrew was read as Latin-1; text already turned into U+FFFD cannot be
+// repaired, and the form needs re-extracting from its XML.
+//
+// Either way raw_output.json is rewritten: the form's index.html, styles.css,
+// app.js, metadata.json and plsql_extracted.json, and a record of what was
+// produced (the encoding, each file's size and SHA-256, the PL/SQL counts).
+// A form whose PL/SQL still has U+FFFD is an error: nothing is written for
+// it and the exit status is 1. --allow-lost writes it anyway, with the count
+// in raw_output.json, for a form whose XML is not available; --check writes
+// nothing.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const hebrew = require('./extraction/hebrew');
+const { extractPlsql } = require('./extraction/forms-xml');
+
+const USAGE = 'Usage: node tools/extract-form.js [--xml <forms xml>] [--check] [--allow-lost] <form dir>...';
+
+const SOURCES = { html: 'index.html', css: 'styles.css', javascript: 'app.js' };
+
+function parseArguments(argv) {
+  const options = { xml: null, check: false, allowLost: false, forms: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--xml') {
+      if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+      options.xml = argv[++i];
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--allow-lost') {
+      options.allowLost = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.forms.push(arg);
+    }
+  }
+  if (options.xml && options.forms.length > 1) throw new Error('--xml takes a single form dir');
+  return options;
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function fileRecord(content) {
+  return {
+    bytes: Buffer.byteLength(content),
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
+function extract(directory, xmlFile) {
+  const extractedFile = path.join(directory, 'plsql_extracted.json');
+  let encoding;
+  let extracted;
+  if (xmlFile) {
+    const decoded = hebrew.decode(fs.readFileSync(xmlFile));
+    encoding = { source: path.basename(xmlFile), detected: decoded.encoding, declared: decoded.declared, reason: decoded.reason };
+    extracted = extractPlsql(decoded.text).extracted;
+  } else {
+    encoding = { source: 'plsql_extracted.json', detected: 'utf-8', declared: null, reason: 'repaired in place' };
+    extracted = readJson(extractedFile) || { triggers: [], program_units: [], sql_clauses: [], summary: {} };
+  }
+
+  const { value, stats } = hebrew.repairValue(extracted);
+  const plsqlJson = JSON.stringify(value, null, 2);
+  const files = {};
+  const output = {};
+  Object.entries(SOURCES).forEach(([key, name]) => {
+    const file = path.join(directory, name);
+    output[key] = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (output[key] !== null) files[name] = fileRecord(output[key]);
+  });
+  const metadataFile = path.join(directory, 'metadata.json');
+  output.metadata = readJson(metadataFile);
+  if (output.metadata) files['metadata.json'] = fileRecord(fs.readFileSync(metadataFile, 'utf8'));
+  output.plsql_extracted = value;
+  files['plsql_extracted.json'] = fileRecord(plsqlJson);
+  output.produced = {
+    encoding: encoding,
+    files: files,
+    plsql: {
+      triggers: value.triggers.length,
+      program_units: value.program_units.length,
+      sql_clauses: value.sql_clauses.length,
+      repaired_strings: stats.repaired,
+      replacement_characters: stats.lost
+    }
+  };
+
+  return {
+    form: path.basename(path.resolve(directory)),
+    fromXml: Boolean(xmlFile),
+    stats: stats,
+    plsqlJson: plsqlJson,
+    output: output
+  };
+}
+
+function write(directory, result) {
+  fs.writeFileSync(path.join(directory, 'plsql_extracted.json'), result.plsqlJson);
+  fs.writeFileSync(path.join(directory, 'raw_output.json'), JSON.stringify(result.output, null, 2));
+}
+
+function printResult(result, options) {
+  const produced = result.output.produced;
+  console.log(`${result.form}: ${produced.plsql.triggers} triggers, ${produced.plsql.program_units} program units ` +
+    `(${produced.encoding.source}, ${produced.encoding.detected}: ${produced.encoding.reason})`);
+  if (result.stats.repaired) console.log(`  ${result.stats.repaired} strings decoded to Hebrew`);
+  if (result.stats.lost) {
+    const message = `  ${result.stats.lost} characters are U+FFFD and cannot be recovered; ` +
+      're-extract with --xml from the FMB converted by frmf2xml';
+    if (options.allowLost) console.log(`${message} (written anyway: --allow-lost)`);
+    else console.error(`${message}${options.check ? '' : '; nothing written'}`);
+  }
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help || !options.forms.length) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  let failed = false;
+  options.forms.forEach(directory => {
+    try {
+      const result = extract(directory, options.xml);
+      printResult(result, options);
+      const lost = result.stats.lost && !options.allowLost;
+      if (!options.check && !lost) write(directory, result);
+      if (lost) failed = true;
+    } catch (error) {
+      console.error(`${directory}: ${error.message}`);
+      failed = true;
+    }
+  });
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { extract };
@@ -0,0 +1,118 @@
+'use strict';
+
+// Forms XML
+// Reads the XML Oracle's frmf2xml writes for a form module and extracts its
+// PL/SQL in the layout of plsql_extracted.json: triggers (now with the block
+// and item they are defined on), program units and the blocks' where and
+// order by clauses. Only start tags and their attributes matter, so a small
+// tag scanner does instead of a full XML parser.
+
+const TAG = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function unescape(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+function attributes(text) {
+  const result = {};
+  let match;
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(text))) {
+    result[match[1]] = unescape(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return result;
+}
+
+// Forms writes line breaks in attribute text as &#10;, sometimes &#13;&#10;.
+function code(text) {
+  return (text || '').replace(/\r\n?/g, '\n');
+}
+
+// A block without a where or order by clause has null, as in the older
+// extractions.
+function clause(text) {
+  return text ? code(text) : null;
+}
+
+function extractPlsql(xml) {
+  const triggers = [];
+  const units = [];
+  const clauses = [];
+  const stack = [];
+  let formName = null;
+
+  let match;
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(xml))) {
+    if (!match[2]) continue;
+    const [, closing, name, text, selfClosing] = match;
+    if (closing) {
+      while (stack.length && stack.pop().name !== name);
+      continue;
+    }
+    const element = { name: name, attributes: attributes(text || '') };
+    const within = type => {
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i].name === type) return stack[i].attributes.Name || null;
+      }
+      return null;
+    };
+
+    switch (name) {
+      case 'FormModule':
+        formName = element.attributes.Name || null;
+        break;
+      case 'Trigger':
+        triggers.push({
+          name: element.attributes.Name,
+          code: code(element.attributes.TriggerText),
+          block: within('Block'),
+          item: within('Item')
+        });
+        break;
+      case 'ProgramUnit':
+        units.push({
+          name: element.attributes.Name,
+          type: element.attributes.ProgramUnitType || 'Procedure',
+          code: code(element.attributes.ProgramUnitText)
+        });
+        break;
+      case 'Block':
+        if (element.attributes.WhereClause || element.attributes.OrderByClause) {
+          clauses.push({
+            block: element.attributes.Name,
+            where_clause: clause(element.attributes.WhereClause),
+            order_by: clause(element.attributes.OrderByClause)
+          });
+        }
+        break;
+      default:
+    }
+    if (!selfClosing) stack.push(element);
+  }
+
+  return {
+    form: formName,
+    extracted: {
+      triggers: triggers,
+      program_units: units,
+      sql_clauses: clauses,
+      summary: {
+        total_triggers: triggers.length,
+        total_program_units: units.length,
+        total_sql_clauses: clauses.length
+      }
+    }
+  };
+}
+
+module.exports = { extractPlsql };
@@ -0,0 +1,115 @@
+'use strict';
+
+// Hebrew Text
+// Forms modules written on Hebrew Windows store text in Windows-1255 (or
+// ISO-8859-8, its subset for the letters). Reading those bytes as UTF-8
+// turns every letter into U+FFFD, which nothing can undo; reading them as
+// Latin-1 gives letters like ùìåí, which can be mapped back. These helpers
+// pick the right decoding for raw bytes and repair text already decoded as
+// Latin-1.
+
+const REPLACEMENT = '\uFFFD';
+const HEBREW = /[\u0590-\u05FF]/;
+
+// Bytes Windows-1255 uses and ISO-8859-8 leaves undefined or for controls:
+// punctuation at 0x80-0x9F and points at 0xC0-0xDF.
+const WINDOWS_ONLY = byte => (byte >= 0x80 && byte <= 0x9F) || (byte >= 0xC0 && byte <= 0xDF);
+
+const ALIASES = {
+  'utf8': 'utf-8',
+  'utf-8': 'utf-8',
+  'cp1255': 'windows-1255',
+  'windows-1255': 'windows-1255',
+  'iso-8859-8': 'iso-8859-8',
+  'iso-8859-8-i': 'iso-8859-8',
+  'iso8859-8': 'iso-8859-8',
+  'hebrew': 'iso-8859-8'
+};
+
+function isUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The encoding named by an XML declaration, if it is one we know.
+function declaredEncoding(buffer) {
+  const head = buffer.slice(0, 200).toString('latin1');
+  const match = /^\s*<\?xml[^>]*\bencoding\s*=\s*["']([^"']+)["']/i.exec(head);
+  return match ? ALIASES[match[1].toLowerCase()] || match[1].toLowerCase() : null;
+}
+
+// { encoding, declared, reason }. The bytes decide: a declaration that
+// does not fit them (UTF-8 declared over Windows-1255 bytes, say) is
+// reported and ignored.
+function detectEncoding(buffer) {
+  const declared = declaredEncoding(buffer);
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { encoding: 'utf-8', declared: declared, reason: 'byte order mark' };
+  }
+  const high = buffer.some(byte => byte >= 0x80);
+  if (!high || isUtf8(buffer)) {
+    return { encoding: 'utf-8', declared: declared, reason: high ? 'valid UTF-8' : 'ASCII only' };
+  }
+  if (declared === 'windows-1255' || declared === 'iso-8859-8') {
+    return { encoding: declared, declared: declared, reason: 'XML declaration' };
+  }
+  const encoding = buffer.some(WINDOWS_ONLY) ? 'windows-1255' : 'iso-8859-8';
+  return { encoding: encoding, declared: declared, reason: declared ? `declared ${declared} but not valid UTF-8` : 'not valid UTF-8' };
+}
+
+function decode(buffer) {
+  const detected = detectEncoding(buffer);
+  let text = new TextDecoder(detected.encoding).decode(buffer);
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  return Object.assign({ text: text }, detected);
+}
+
+// Undoes a Latin-1 reading of UTF-8 or Windows-1255 text. Only text that
+// looks like one is touched: UTF-8 Hebrew shows as × followed by a
+// continuation byte, Windows-1255 Hebrew as runs of à-ú. Text with real
+// Hebrew or characters past U+00FF is left alone.
+function repairText(text) {
+  if (HEBREW.test(text) || /[^\u0000-\u00FF]/.test(text)) return { text: text, repaired: false };
+  const bytes = Buffer.from(text, 'latin1');
+  if (/\u00D7[\u0080-\u00BF]/.test(text) && isUtf8(bytes)) {
+    return { text: bytes.toString('utf8'), repaired: true };
+  }
+  const high = text.match(/[\u0080-\u00FF]/g) || [];
+  const letters = text.match(/[\u00E0-\u00FA]/g) || [];
+  if (/[\u00E0-\u00FA]{2}/.test(text) && letters.length >= high.length * 0.8) {
+    return { text: new TextDecoder('windows-1255').decode(bytes), repaired: true };
+  }
+  return { text: text, repaired: false };
+}
+
+function countReplacements(text) {
+  return text.split(REPLACEMENT).length - 1;
+}
+
+// Repairs every string in a JSON value; counts what was repaired and the
+// U+FFFD characters that cannot be.
+function repairValue(value, stats = { repaired: 0, lost: 0 }) {
+  if (typeof value === 'string') {
+    const result = repairText(value);
+    if (result.repaired) stats.repaired++;
+    stats.lost += countReplacements(result.text);
+    return { value: result.text, stats: stats };
+  }
+  if (Array.isArray(value)) {
+    return { value: value.map(item => repairValue(item, stats).value), stats: stats };
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, member]) => {
+      result[key] = repairValue(member, stats).value;
+    });
+    return { value: result, stats: stats };
+  }
+  return { value: value, stats: stats };
+}
+
+module.exports = { detectEncoding, decode, repairText, repairValue, countReplacements, REPLACEMENT };
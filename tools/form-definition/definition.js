@@ -0,0 +1,258 @@
+'use strict';
+
+// Form Definition
+// A form's form.json: its blocks and their items, canvases, LOVs and the
+// trigger handlers app.js supplies, in one place. tools/render-form.js
+// renders the page from it and embeds the controller's part, so every item
+// on the page is an item of the runtime and the other way round.
+//
+// { name: 'G_CODES', title, heading, lang, dir, options: {...},
+//   canvases: { PAGE_3: { type: 'stacked', visible: false },
+//               TABS: { type: 'tab', pages: { PAGE_A: { label: 'General' } } } },
+//   blocks: { HEADER: { title, style: 'header', canvas: 'PAGE_3', records: 1,
+//                       database: false, ...other Block options,
+//                       items: [{ name: 'tab_no', type: 'text', prompt: 'Table',
+//                                 maxLength: 4, required: true, lov: 'tab_no' }] } },
+//   (an item's element id is its name; one whose name another block's item
+//   already has gives an id of its own: { name: 'code', id: 'codes_code' }).
+//   (an item's dataType is 'NUMBER(6,2)', 'VARCHAR2(80)', 'DATE', 'DATETIME'
+//   and the like, with a formatMask; see runtime/data-types.js. A calculated
+//   item has a formula, naming a handler, or a summary: { function: 'SUM',
+//   block: 'LINES', item: 'qty' }; see runtime/form-field.js)
+//   lovs, alerts, parameters, relations, messages, reports: as in app.js,
+//   triggers: { 'WHEN-NEW-FORM-INSTANCE': 'startUp',
+//               'HEADER.BUT_QUERY': { 'WHEN-BUTTON-PRESSED': 'executeQuery' } } }
+//
+// A block with records > 1 is shown as a table, one row per record. Trigger
+// values name the functions app.js passes to FormsController.start as
+// handlers; see runtime/page-definition.js.
+
+const fs = require('fs');
+
+const DATA_TYPE = /^(NUMBER|INTEGER|VARCHAR2|VARCHAR|CHAR|STRING|DATE|DATETIME)\s*(\(\s*\d+\s*(,\s*-?\d+\s*)?\))?$/i;
+const SUMMARIES = ['SUM', 'AVG', 'COUNT', 'MIN', 'MAX'];
+const ITEM_TYPES = ['text', 'number', 'date', 'display', 'textarea', 'select', 'radio', 'checkbox', 'button', 'hidden'];
+const CANVAS_TYPES = ['content', 'stacked', 'tab'];
+
+// Block keys the renderer uses; the others are passed to the runtime's Block.
+const LAYOUT_KEYS = ['title', 'style', 'canvas', 'records', 'items'];
+const PASSED_THROUGH = ['lovs', 'alerts', 'parameters', 'relations', 'messages', 'reports'];
+
+const NAME = /^[A-Za-z][\w$#]*$/;
+
+class DefinitionError extends Error {
+  constructor(file, problems) {
+    super(`${file}: ${problems.join('; ')}`);
+    this.name = 'DefinitionError';
+    this.problems = problems;
+  }
+}
+
+class FormDefinition {
+  constructor(source, file = 'form.json') {
+    this.source = source;
+    this.file = file;
+    this.name = source.name;
+    this.canvases = source.canvases || {};
+    this.blocks = Object.entries(source.blocks || {}).map(([name, block]) => ({
+      name: name.toUpperCase(),
+      title: block.title || null,
+      style: block.style || 'data',
+      canvas: block.canvas ? block.canvas.toUpperCase() : null,
+      records: block.records || 1,
+      items: (block.items || []).map(item => Object.assign({ type: 'text', id: item.name }, item)),
+      options: FormDefinition.without(block, LAYOUT_KEYS)
+    }));
+
+    const problems = this.check();
+    if (problems.length) throw new DefinitionError(file, problems);
+  }
+
+  static load(file) {
+    return new FormDefinition(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+  }
+
+  static without(object, keys) {
+    const result = {};
+    Object.keys(object).forEach(key => {
+      if (!keys.includes(key)) result[key] = object[key];
+    });
+    return result;
+  }
+
+  get items() {
+    return this.blocks.reduce((items, block) => items.concat(block.items), []);
+  }
+
+  // Tab page name -> the tab canvas holding it.
+  get tabPages() {
+    const pages = new Map();
+    Object.entries(this.canvases).forEach(([name, canvas]) => {
+      Object.keys(canvas.pages || {}).forEach(page => pages.set(page.toUpperCase(), name.toUpperCase()));
+    });
+    return pages;
+  }
+
+  check() {
+    const problems = [];
+    if (!this.name) problems.push('the form has no name');
+    if (!this.blocks.length) problems.push('the form has no blocks');
+
+    const canvases = new Set(Object.keys(this.canvases).map(name => name.toUpperCase()));
+    Object.entries(this.canvases).forEach(([name, canvas]) => {
+      const type = canvas.type || 'content';
+      if (!CANVAS_TYPES.includes(type)) problems.push(`canvas ${name} has an unknown type ${type}`);
+      if (type === 'tab' && !Object.keys(canvas.pages || {}).length) problems.push(`tab canvas ${name} has no pages`);
+    });
+    const pages = this.tabPages;
+
+    const ids = new Set();
+    const lovs = this.source.lovs || {};
+    this.blocks.forEach(block => {
+      if (block.canvas && !canvases.has(block.canvas) && !pages.has(block.canvas)) {
+        problems.push(`block ${block.name} is on canvas ${block.canvas}, which is not defined`);
+      }
+      if (pages.has(block.name) || canvases.has(block.name)) {
+        problems.push(`block ${block.name} has the name of a canvas`);
+      }
+      if (!Number.isInteger(block.records) || block.records < 1) {
+        problems.push(`block ${block.name} needs a whole number of records`);
+      }
+      if (!block.items.length) problems.push(`block ${block.name} has no items`);
+
+      const names = new Set();
+      block.items.forEach(item => {
+        const label = `${block.name}.${item.name}`;
+        if (!item.name || !NAME.test(item.name)) {
+          problems.push(`block ${block.name} has an item named ${JSON.stringify(item.name)}`);
+          return;
+        }
+        if (!NAME.test(item.id)) problems.push(`${label} has an id ${JSON.stringify(item.id)}`);
+        if (names.has(item.name.toUpperCase())) problems.push(`${label} is defined twice`);
+        names.add(item.name.toUpperCase());
+        // Items are element ids, so those are unique in the form.
+        if (ids.has(item.id.toUpperCase())) problems.push(`item id ${item.id} is used twice; give ${label} an id of its own`);
+        ids.add(item.id.toUpperCase());
+        if (!ITEM_TYPES.includes(item.type)) problems.push(`${label} has an unknown type ${item.type}`);
+        if (item.dataType && !DATA_TYPE.test(item.dataType)) problems.push(`${label} has an unknown data type ${item.dataType}`);
+        if ((item.type === 'select' || item.type === 'radio') && !Array.isArray(item.options)) {
+          problems.push(`${label} needs options`);
+        }
+        if (item.lov && !lovs[item.lov]) problems.push(`${label} uses LOV ${item.lov}, which is not defined`);
+        if (item.formula && item.summary) problems.push(`${label} has both a formula and a summary`);
+        if (item.summary && !SUMMARIES.includes(String(item.summary.function || 'SUM').toUpperCase())) {
+          problems.push(`${label} has an unknown summary function ${item.summary.function}`);
+        }
+        if (block.records > 1 && item.id !== item.name) {
+          problems.push(`${label} has an id of its own in a multi-record block, whose cells are named by item`);
+        }
+        if (block.records > 1 && item.type === 'radio') {
+          problems.push(`${label} is a radio group in a multi-record block`);
+        }
+      });
+    });
+
+    const blockNames = new Set(this.blocks.map(block => block.name));
+    Object.entries(this.source.triggers || {}).forEach(([key, value]) => {
+      if (typeof value === 'string') return;
+      const [blockName, itemName] = key.toUpperCase().split('.');
+      const block = this.blocks.find(candidate => candidate.name === blockName);
+      if (!block || (itemName && !block.items.some(item => item.name.toUpperCase() === itemName))) {
+        problems.push(`triggers are defined for ${key}, which is not an item or block of the form`);
+      }
+      Object.entries(value || {}).forEach(([trigger, handler]) => {
+        if (typeof handler !== 'string') problems.push(`trigger ${trigger} of ${key} does not name a handler`);
+      });
+    });
+    (this.source.relations || []).forEach(relation => {
+      [relation.master, relation.detail].forEach(name => {
+        if (!blockNames.has(String(name).toUpperCase())) problems.push(`a relation names block ${name}, which is not defined`);
+      });
+    });
+    this.blocks.forEach(block => block.items.filter(item => item.summary).forEach(item => {
+      if (!blockNames.has(String(item.summary.block).toUpperCase())) {
+        problems.push(`${block.name}.${item.name} summarizes block ${item.summary.block}, which is not defined`);
+      }
+    }));
+    Object.entries(this.source.reports || {}).forEach(([name, report]) => {
+      if (!blockNames.has(String(report.block).toUpperCase())) problems.push(`report ${name} names block ${report.block}, which is not defined`);
+    });
+    return problems;
+  }
+
+  static tableId(block) {
+    return `${block.name.toLowerCase()}_table`;
+  }
+
+  static canvasId(name) {
+    return name.toLowerCase();
+  }
+
+  // The FormsController definition: what app.js held before, less the
+  // trigger functions, which stay there as named handlers.
+  controllerDefinition() {
+    const definition = {
+      name: this.name,
+      options: Object.assign({ scanFields: false }, this.source.options),
+      blocks: {},
+      fields: {}
+    };
+
+    this.blocks.forEach(block => {
+      const options = Object.assign({}, block.options);
+      const buttons = block.items.filter(item => item.type === 'button').map(item => item.id);
+      const values = block.items.filter(item => item.type !== 'button');
+      if (block.records > 1) {
+        options.table = `#${FormDefinition.tableId(block)}`;
+        options.columns = values.map(item => item.id);
+        options.recordsDisplayed = block.records;
+        if (buttons.length) options.items = buttons;
+      } else {
+        options.items = values.map(item => item.id).concat(buttons);
+      }
+      definition.blocks[block.name] = options;
+      values.forEach(item => {
+        definition.fields[item.id] = FormDefinition.fieldOptions(item);
+      });
+    });
+
+    if (Object.keys(this.canvases).length) {
+      definition.canvases = {};
+      Object.entries(this.canvases).forEach(([name, canvas]) => {
+        const result = FormDefinition.without(canvas, ['pages', 'label']);
+        if (canvas.type === 'tab') {
+          result.pages = {};
+          Object.entries(canvas.pages).forEach(([page, options]) => {
+            result.pages[page.toUpperCase()] = { element: `#${FormDefinition.canvasId(page)}`, label: (options || {}).label || page };
+          });
+        } else {
+          result.element = `#${FormDefinition.canvasId(name)}`;
+        }
+        definition.canvases[name.toUpperCase()] = result;
+      });
+    }
+
+    PASSED_THROUGH.forEach(key => {
+      if (this.source[key]) definition[key] = this.source[key];
+    });
+    if (this.source.triggers) definition.triggers = this.source.triggers;
+    return definition;
+  }
+
+  static fieldOptions(item) {
+    const options = {};
+    if (item.id !== item.name) options.name = item.name;
+    if (item.prompt) options.label = item.prompt;
+    if (item.required) options.required = true;
+    if (item.maxLength) options.maxLength = item.maxLength;
+    if (item.lov) options.lovId = item.lov;
+    if (item.dataType) options.dataType = item.dataType;
+    if (item.formatMask) options.formatMask = item.formatMask;
+    if (item.formula) options.formula = item.formula;
+    if (item.summary) options.summary = item.summary;
+    if (item.defaultValue !== undefined) options.defaultValue = item.defaultValue;
+    return options;
+  }
+}
+
+module.exports = { FormDefinition, DefinitionError, ITEM_TYPES };
@@ -0,0 +1,264 @@
+'use strict';
+
+// Form Renderer
+// Renders a FormDefinition as the form's index.html: the dashboard-* markup
+// of every block, in block order, each block inside its canvas, and the
+// controller's definition in script#form-definition for
+// runtime/page-definition.js to pick up.
+
+const { FormDefinition } = require('./definition');
+
+const RUNTIME_SCRIPTS = [
+  'message-catalog.js',
+  'api-client.js',
+  'message-line.js',
+  'alert-dialog.js',
+  'triggers.js',
+  'data-types.js',
+  'form-field.js',
+  'lov-window.js',
+  'conflict-dialog.js',
+  'query-criteria.js',
+  'record-table.js',
+  'block.js',
+  'relation.js',
+  'canvas.js',
+  'form-router.js',
+  'form-variables.js',
+  'plsql-runtime.js',
+  'page-definition.js',
+  'file-import.js',
+  'print-report.js',
+  'forms-controller.js'
+];
+
+const INDENT = '    ';
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeHtml(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+// name="value" pairs, skipping absent values; true gives a bare attribute.
+function attributes(pairs) {
+  return pairs
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+    .join('');
+}
+
+class FormRenderer {
+  constructor(definition) {
+    this.definition = definition;
+    this.lines = [];
+    this.depth = 0;
+  }
+
+  static render(definition) {
+    return new FormRenderer(definition).page();
+  }
+
+  line(text = '') {
+    this.lines.push(text ? INDENT.repeat(this.depth) + text : '');
+  }
+
+  open(text) {
+    this.line(text);
+    this.depth++;
+  }
+
+  close(text) {
+    this.depth--;
+    this.line(text);
+  }
+
+  // A blank line between siblings, not after their parent's opening tag.
+  separate() {
+    if (this.lines[this.lines.length - 1].trim().startsWith('</')) this.line();
+  }
+
+  page() {
+    const source = this.definition.source;
+    this.line('<!DOCTYPE html>');
+    this.line(`<html lang="${escapeHtml(source.lang || 'he')}" dir="${escapeHtml(source.dir || 'rtl')}">`);
+    this.open('<head>');
+    this.line('<meta charset="UTF-8">');
+    this.line('<meta name="viewport" content="width=device-width, initial-scale=1.0">');
+    this.line(`<title>${escapeText(source.title || this.definition.name)}</title>`);
+    this.line('<link rel="stylesheet" href="styles.css">');
+    this.line('<link rel="stylesheet" href="../runtime/forms-runtime.css">');
+    this.close('</head>');
+    this.open('<body class="dashboard-body">');
+    this.open('<div class="dashboard-container">');
+    if (source.heading) {
+      this.open('<div class="dashboard-header-block">');
+      this.line(`<h1 class="dashboard-title">${escapeText(source.heading)}</h1>`);
+      this.close('</div>');
+    }
+    this.layout();
+    this.close('</div>');
+    this.line();
+    this.definitionScript();
+    RUNTIME_SCRIPTS.forEach(script => this.line(`<script src="../runtime/${script}"></script>`));
+    this.line('<script src="app.js"></script>');
+    this.close('</body>');
+    this.line('</html>');
+    return this.lines.join('\n') + '\n';
+  }
+
+  // Blocks in order; a canvas is rendered, with all its blocks, where its
+  // first block comes.
+  layout() {
+    const pages = this.definition.tabPages;
+    const rendered = new Set();
+    this.definition.blocks.forEach(block => {
+      const canvas = block.canvas ? pages.get(block.canvas) || block.canvas : null;
+      if (!canvas) {
+        this.block(block);
+      } else if (!rendered.has(canvas)) {
+        rendered.add(canvas);
+        this.canvas(canvas);
+      }
+    });
+  }
+
+  canvas(name) {
+    const canvas = Object.entries(this.definition.canvases).find(([key]) => key.toUpperCase() === name)[1];
+    const blocksOn = view => this.definition.blocks.filter(block => block.canvas === view.toUpperCase());
+    this.separate();
+    this.line(`<!-- ${name} Canvas -->`);
+    if (canvas.type === 'tab') {
+      this.open(`<div class="dashboard-canvas" data-canvas-name="${escapeHtml(name)}">`);
+      Object.entries(canvas.pages).forEach(([page, options]) => {
+        this.open(`<section class="dashboard-section" id="${FormDefinition.canvasId(page)}">`);
+        this.line(`<h2 class="dashboard-block-title">${escapeText((options || {}).label || page)}</h2>`);
+        blocksOn(page).forEach(block => this.block(block));
+        this.close('</section>');
+      });
+    } else {
+      this.open(`<div class="dashboard-canvas" id="${FormDefinition.canvasId(name)}">`);
+      blocksOn(name).forEach(block => this.block(block));
+    }
+    this.close('</div>');
+  }
+
+  block(block) {
+    const buttons = block.items.filter(item => item.type === 'button');
+    const values = block.items.filter(item => item.type !== 'button');
+    this.separate();
+    this.line(`<!-- ${block.name} Block -->`);
+    this.open(`<section class="${block.style === 'header' ? 'dashboard-header-block' : 'dashboard-data-block'}" data-block="${block.name}">`);
+    if (block.title) this.line(`<h2 class="dashboard-block-title">${escapeText(block.title)}</h2>`);
+    if (block.records > 1) {
+      this.table(block, values);
+    } else {
+      values.forEach(item => this.item(item));
+    }
+    if (buttons.length) {
+      this.open('<div class="dashboard-button-group">');
+      buttons.forEach(item => {
+        const style = item.style === 'primary' ? 'dashboard-btn-primary' : 'dashboard-btn-secondary';
+        this.line(`<button type="button" class="dashboard-btn ${style}" id="${item.id}">${escapeText(item.prompt || item.name)}</button>`);
+      });
+      this.close('</div>');
+    }
+    this.close('</section>');
+  }
+
+  item(item) {
+    if (item.type === 'hidden') {
+      this.line(`<input type="hidden" id="${item.id}" name="${item.id}">`);
+      return;
+    }
+    this.open('<div class="dashboard-form-group">');
+    if (item.type === 'checkbox') {
+      this.open('<label class="dashboard-checkbox-label">');
+      this.line(this.control(item, true));
+      if (item.prompt) this.line(escapeText(item.prompt));
+      this.close('</label>');
+    } else if (item.type === 'radio') {
+      if (item.prompt) this.line(`<span class="dashboard-label">${escapeText(item.prompt)}</span>`);
+      this.open(`<div class="dashboard-radio-group" role="radiogroup"${attributes([['aria-label', item.prompt]])}>`);
+      item.options.forEach(option => {
+        this.open('<label class="dashboard-radio-label">');
+        this.line(`<input type="radio" name="${item.id}"${attributes([['value', option.value]])} class="dashboard-radio">`);
+        this.line(escapeText(option.label !== undefined ? option.label : option.value));
+        this.close('</label>');
+      });
+      this.close('</div>');
+    } else {
+      if (item.prompt) this.line(`<label for="${item.id}">${escapeText(item.prompt)}</label>`);
+      if (item.lov) {
+        this.open('<div class="dashboard-input-group">');
+        this.control(item, true).split('\n').forEach(text => this.line(text));
+        this.line(`<button type="button" class="dashboard-btn dashboard-btn-secondary" id="${item.id}_lov">...</button>`);
+        this.close('</div>');
+      } else {
+        this.control(item, true).split('\n').forEach(text => this.line(text));
+      }
+    }
+    this.close('</div>');
+  }
+
+  // The control of an item; a table cell's has no id or name, RecordTable
+  // names it by its column.
+  control(item, named) {
+    const identity = named ? [['id', item.id], ['name', item.id]] : [];
+    const readonly = Boolean(item.readonly || item.type === 'display' || item.formula || item.summary);
+    switch (item.type) {
+      case 'checkbox':
+        return `<input${attributes([['type', 'checkbox']].concat(identity, [['value', item.value], ['class', 'dashboard-checkbox'], ['disabled', readonly]]))}>`;
+      case 'textarea':
+        return `<textarea${attributes(identity.concat([['class', 'dashboard-textarea'], ['maxlength', item.maxLength], ['rows', item.rows || 3], ['required', item.required], ['readonly', readonly]]))}></textarea>`;
+      case 'select': {
+        const options = [{ value: '', label: item.placeholder || '' }].concat(item.options)
+          .map(option => `${INDENT}<option${attributes([['value', option.value]])}>${escapeText(option.label !== undefined ? option.label : option.value)}</option>`);
+        return [`<select${attributes(identity.concat([['class', 'dashboard-select'], ['required', item.required], ['disabled', readonly]]))}>`]
+          .concat(options, ['</select>']).join('\n');
+      }
+      default: {
+        // A format mask is typed as text, which the browser's controls refuse.
+        const type = (item.type === 'number' || item.type === 'date') && !item.formatMask ? item.type : 'text';
+        const classes = readonly ? 'dashboard-input dashboard-readonly' : 'dashboard-input';
+        return `<input${attributes([['type', type]].concat(identity, [['class', classes], ['maxlength', item.maxLength], ['required', item.required], ['readonly', readonly]]))}>`;
+      }
+    }
+  }
+
+  table(block, items) {
+    this.open(`<table class="dashboard-table" id="${FormDefinition.tableId(block)}">`);
+    this.open('<thead>');
+    this.open('<tr>');
+    items.forEach(item => this.line(`<th>${escapeText(item.prompt || item.name)}</th>`));
+    this.close('</tr>');
+    this.close('</thead>');
+    this.open('<tbody>');
+    this.open('<tr>');
+    items.forEach(item => {
+      const control = this.control(item, false).split('\n');
+      if (control.length === 1) {
+        this.line(`<td>${control[0]}</td>`);
+      } else {
+        this.open('<td>');
+        control.forEach(text => this.line(text));
+        this.close('</td>');
+      }
+    });
+    this.close('</tr>');
+    this.close('</tbody>');
+    this.close('</table>');
+  }
+
+  // JSON inside a script element: only "</" could end it early.
+  definitionScript() {
+    const json = JSON.stringify(this.definition.controllerDefinition(), null, 2).replace(/<\//g, '<\\/');
+    this.open('<script type="application/json" id="form-definition">');
+    json.split('\n').forEach(text => this.line(text));
+    this.close('</script>');
+  }
+}
+
+module.exports = { FormRenderer, RUNTIME_SCRIPTS };
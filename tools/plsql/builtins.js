@@ -0,0 +1,140 @@
+'use strict';
+
+// Forms Built-ins
+// The Forms built-ins the generator maps onto the runtime, by lower-case
+// name. Each entry gets the generator and the call's arguments and returns
+// JavaScript: a statement for PROCEDURES (null when the built-in has nothing
+// to do in a browser), an expression for FUNCTIONS.
+//
+// g.list(args, kinds) translates the arguments; a 'w' in kinds marks an
+// argument that is a bare Forms constant (UPDATEABLE, PROPERTY_TRUE,
+// NO_VALIDATE), which becomes a string.
+
+const method = (name, kinds) => (g, args) => `await form.${name}(${g.list(args, kinds)})`;
+const sync = (name, kinds) => (g, args) => `form.${name}(${g.list(args, kinds)})`;
+const noArguments = name => () => `await form.${name}()`;
+
+// :PARAMETER names passed as name, value pairs.
+const parameterObject = (g, args) => {
+  const pairs = [];
+  for (let i = 0; i + 1 < args.length; i += 2) {
+    const name = args[i].value;
+    const key = name.type === 'String' ? g.key(name.value.toUpperCase()) : `[${g.expr(name)}]`;
+    pairs.push(`${key}: ${g.expr(args[i + 1].value)}`);
+  }
+  return pairs.length ? `{ ${pairs.join(', ')} }` : '{}';
+};
+
+const PROCEDURES = {
+  next_item: noArguments('navigateNext'),
+  next_field: noArguments('navigateNext'),
+  previous_item: noArguments('navigatePrevious'),
+  previous_field: noArguments('navigatePrevious'),
+  next_block: noArguments('nextBlock'),
+  previous_block: noArguments('previousBlock'),
+  next_record: noArguments('nextRecord'),
+  previous_record: noArguments('previousRecord'),
+  first_record: noArguments('firstRecord'),
+  last_record: noArguments('lastRecord'),
+  up: noArguments('up'),
+  down: noArguments('down'),
+  scroll_up: noArguments('scrollUp'),
+  scroll_down: noArguments('scrollDown'),
+  go_item: method('goItem'),
+  go_field: method('goItem'),
+  go_block: method('goBlock'),
+  go_record: (g, args) => `await form.goRecord(Plsql.toNumber(${g.list(args)}) - 1)`,
+  execute_query: noArguments('executeQuery'),
+  enter_query: noArguments('enterQuery'),
+  commit_form: noArguments('save'),
+  create_record: noArguments('createRecord'),
+  duplicate_record: sync('duplicateRecord'),
+  duplicate_item: sync('duplicateItem'),
+  clear_record: noArguments('clearRecord'),
+  clear_block: method('clearBlock', 'w'),
+  delete_record: noArguments('deleteRecord'),
+  lock_record: noArguments('lockRecord'),
+  list_values: noArguments('showLov'),
+  do_key: method('doKey'),
+  exit_form: (g, args) => {
+    const noValidate = args.some(arg => g.isWord(arg.value, 'NO_VALIDATE'));
+    return noValidate ? 'await form.exitForm({}, { validate: false })' : 'await form.exitForm()';
+  },
+  validate: (g, args) => {
+    if (!args.length || !g.isWord(args[0].value, 'FORM_SCOPE')) g.fail('VALIDATE other than FORM_SCOPE');
+    return 'await form.validateForm()';
+  },
+  show_view: sync('showView'),
+  hide_view: method('hideView'),
+  set_view_property: method('setViewProperty', 'vww'),
+  set_item_property: sync('setItemProperty', 'vww'),
+  // The server keeps a block's where clause and order (see runtime/block.js).
+  set_block_property: (g, args) => {
+    if (args[1] && (g.isWord(args[1].value, 'DEFAULT_WHERE') || g.isWord(args[1].value, 'ORDER_BY'))) {
+      return g.clause(args);
+    }
+    return sync('setBlockProperty', 'vww')(g, args);
+  },
+  set_alert_property: sync('setAlertProperty', 'vw'),
+  set_alert_button_property: sync('setAlertButtonProperty', 'wvw'),
+  show_alert: method('showAlert'),
+  message: (g, args) => `form.message(${g.list(args.slice(0, 1))})`,
+  errors: sync('errors'),
+  errors2: sync('errors2'),
+  copy: (g, args) => `form.setFieldValue(${g.list(args.slice(1, 2))}, ${g.list(args.slice(0, 1))})`,
+  default_value: (g, args) => `Plsql.defaultValue(form, ${g.list(args)})`,
+  erase: (g, args) => `Plsql.erase(form, ${g.list(args)})`,
+  call_form: (g, args) => `await form.callForm(${g.list(args.slice(0, 1))})`,
+  call_query: (g, args) => `await form.callForm(${g.list(args.slice(0, 1))}, {}, { queryOnly: true })`,
+  // The application's call_screen_new(form, name1, value1, ...).
+  call_screen_new: (g, args) => `await form.callForm(${g.list(args.slice(0, 1))}, ${parameterObject(g, args.slice(1))})`,
+  synchronize: () => null
+};
+
+const FUNCTIONS = {
+  show_alert: method('showAlert'),
+  raise_alert: (g, args) => {
+    const params = args.length > 2 ? `, [${g.list(args.slice(2))}]` : '';
+    return `await form.raiseAlert(${g.list(args.slice(0, 2))}${params})`;
+  },
+  name_in: (g, args) => `Plsql.nameIn(form, ${g.list(args)})`,
+  get_item_property: (g, args) => `Plsql.property(form.getItemProperty(${g.list(args, 'vw')}))`,
+  get_block_property: (g, args) => `Plsql.property(form.getBlockProperty(${g.list(args, 'vw')}))`,
+  get_view_property: (g, args) => `Plsql.property(form.getViewProperty(${g.list(args, 'vw')}))`
+};
+
+// SQL functions with a Plsql equivalent of the same name.
+const SQL_FUNCTIONS = [
+  'abs', 'ceil', 'decode', 'floor', 'greatest', 'initcap', 'instr', 'least', 'length', 'lower', 'lpad',
+  'ltrim', 'mod', 'nvl', 'nvl2', 'replace', 'round', 'rpad', 'rtrim', 'sign', 'substr', 'trim', 'trunc',
+  'upper'
+];
+
+SQL_FUNCTIONS.forEach(name => {
+  FUNCTIONS[name] = (g, args) => `Plsql.${name}(${g.list(args)})`;
+});
+FUNCTIONS.to_number = (g, args) => `Plsql.toNumber(${g.list(args)})`;
+FUNCTIONS.to_char = (g, args) => `Plsql.toChar(${g.list(args)})`;
+FUNCTIONS.to_date = (g, args) => `Plsql.toDate(${g.list(args)})`;
+
+// Words that stand for a value.
+const CONSTANTS = {
+  sysdate: 'Plsql.sysdate()',
+  form_success: 'form.formSuccess',
+  form_failure: '!form.formSuccess',
+  alert_button1: 'FormsController.ALERT_BUTTON1',
+  alert_button2: 'FormsController.ALERT_BUTTON2',
+  alert_button3: 'FormsController.ALERT_BUTTON3'
+};
+
+// Built-ins the runtime has no equivalent for yet; calls to them are
+// reported as such rather than as unknown procedures.
+const UNSUPPORTED = new Set([
+  'add_parameter', 'bell', 'clear_form', 'clear_item', 'create_parameter_list', 'destroy_parameter_list',
+  'field_characteristic', 'find_form',
+  'get_application_property', 'get_parameter_list', 'get_relation_property', 'go_form', 'id_null',
+  'populate_group_with_query', 'print', 'set_application_property', 'set_item_instance_property',
+  'set_record_property', 'set_relation_property', 'set_window_property', 'show_keys'
+]);
+
+module.exports = { PROCEDURES, FUNCTIONS, CONSTANTS, UNSUPPORTED };
@@ -0,0 +1,1001 @@
+'use strict';
+
+const { Parser } = require('./parser');
+const { PROCEDURES, FUNCTIONS, CONSTANTS, UNSUPPORTED } = require('./builtins');
+
+// PL/SQL Generator
+// Turns a form's parsed triggers and program units into one browser script
+// that defines GENERATED_PLSQL: the program units as async functions and the
+// triggers as handlers for the controller's trigger API, with the runtime
+// helpers of runtime/plsql-runtime.js. Embedded SQL is not run from the
+// browser: every statement is declared in a catalog (plsql-statements.json)
+// and the code posts only its id and bind values to options.sqlUrl. So is
+// the text of a SET_BLOCK_PROPERTY of DEFAULT_WHERE or ORDER_BY, as one of
+// the catalog's clauses, which the block's queries name.
+//
+// Code the generator cannot translate is kept as a comment with a call to
+// Plsql.untranslated(), and listed in the report.
+
+const JS_RESERVED = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+  'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private',
+  'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+  'undefined', 'var', 'void', 'while', 'with', 'yield', 'NaN', 'Infinity',
+  // Names the generated code uses itself.
+  'form', 'event', 'error', 'units', 'triggers', 'values', 'out', 'sql', 'Plsql'
+]);
+
+const COMPARISONS = { '=': 'eq', '!=': 'ne', '<': 'lt', '>': 'gt', '<=': 'le', '>=': 'ge' };
+const ARITHMETIC = { '+': 'add', '-': 'subtract', '*': 'multiply', '/': 'divide' };
+const CURSOR_ATTRIBUTES = { FOUND: 'found', NOTFOUND: 'notFound', ROWCOUNT: 'rowCount', ISOPEN: 'isOpen' };
+
+// Expression precedence, for parentheses around && and ||.
+const OR = 1;
+const AND = 2;
+const ATOM = 10;
+
+// Trigger source the extraction left out.
+const REMOVED_SOURCE = /^\s*\[PL\/SQL removed[^\]]*\]\s*$/i;
+
+// Text the extraction could not decode (see tools/extract-form.js).
+const LOST_TEXT = '\uFFFD';
+
+class Untranslated extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'Untranslated';
+  }
+}
+
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.names = new Map();
+  }
+
+  declare(name, entry) {
+    this.names.set(name.toLowerCase(), entry);
+    return entry;
+  }
+
+  declares(name) {
+    return this.names.has(name.toLowerCase());
+  }
+
+  lookup(name) {
+    const key = name.toLowerCase();
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.names.has(key)) return scope.names.get(key);
+    }
+    return null;
+  }
+}
+
+class Generator {
+  constructor(formName, options = {}) {
+    this.formName = formName;
+    this.sourceFile = options.sourceFile || 'plsql_extracted.json';
+    this.statements = new Map();
+    this.clauses = new Map();
+    this.units = new Scope();
+    this.report = [];
+    this.lines = [];
+    this.level = 0;
+    this.source = '';
+    this.label = '';
+    this.frame = null;
+  }
+
+  // extracted: { triggers: [{ name, code }], program_units: [{ name, type, code }] }
+  // Returns { code, statements, clauses, report }.
+  generate(extracted) {
+    const triggers = extracted.triggers || [];
+    const units = (extracted.program_units || []).map(unit => this.parseUnit(unit));
+    units.forEach(unit => this.units.declare(unit.name, {
+      kind: 'unit',
+      js: `units.${Generator.identifier(unit.name)}`,
+      node: unit.node
+    }));
+
+    this.emitHeader();
+    this.level++;
+    this.emit('const units = {};');
+    this.emit('const triggers = [];');
+    units.forEach(unit => this.emitUnit(unit));
+    triggers.forEach((trigger, index) => this.emitTrigger(trigger, index));
+    this.emit('');
+    this.emit(`return { form: ${Generator.quote(this.formName)}, units: units, triggers: triggers };`);
+    this.level--;
+    this.emit('})();');
+
+    return {
+      code: this.lines.join('\n') + '\n',
+      statements: Generator.catalog(this.statements),
+      clauses: Generator.catalog(this.clauses),
+      report: this.summary(triggers.length, units.length)
+    };
+  }
+
+  emitHeader() {
+    [
+      `// Generated by tools/transpile-plsql.js from ${this.sourceFile}.`,
+      '// Do not edit: regenerate it, or port the trigger by hand in app.js.',
+      '//',
+      '// Extractions from the Forms XML (tools/extract-form.js --xml) give each',
+      '// trigger the scope it is defined at (BLOCK.ITEM, BLOCK, or null for the',
+      '// form); older ones do not. Either way app.js registers the handlers it',
+      '// uses at their scope, e.g.',
+      "//   triggers: { 'HEADER.TAB_NO': { 'WHEN-VALIDATE-ITEM': GENERATED_PLSQL.triggers[0].handler } }",
+      'const GENERATED_PLSQL = (() => {'
+    ].forEach(line => this.emit(line));
+  }
+
+  // Output
+
+  emit(line) {
+    this.lines.push(line ? '  '.repeat(this.level) + line : '');
+  }
+
+  indented(header, body, footer = '}') {
+    this.emit(header);
+    this.level++;
+    body();
+    this.level--;
+    if (footer !== null) this.emit(footer);
+  }
+
+  // Reporting
+
+  fail(reason) {
+    throw new Untranslated(reason);
+  }
+
+  record(node, reason) {
+    const code = this.source.slice(node.start, node.end).split('\n')[0].trim();
+    this.report.push({ source: this.label, line: node.line, reason: reason, code: code });
+  }
+
+  // Keeps the PL/SQL as a comment and warns when it would have run.
+  emitUntranslated(node, reason) {
+    this.record(node, reason);
+    this.emit(`// Not translated (${reason}):`);
+    this.source.slice(node.start, node.end).split('\n').forEach(line => {
+      this.emit(`//   ${line.replace(/\s+$/, '')}`);
+    });
+    this.emit(`Plsql.untranslated(${Generator.quote(this.label)}, ${Generator.quote(reason)});`);
+  }
+
+  summary(triggerCount, unitCount) {
+    const sources = new Set(this.report.map(entry => entry.source));
+    const count = (prefix, total) => {
+      const partial = Array.from(sources).filter(source => source.startsWith(prefix)).length;
+      return { total: total, translated: total - partial, partial: partial };
+    };
+    return {
+      form: this.formName,
+      triggers: count('trigger ', triggerCount),
+      units: count('unit ', unitCount),
+      statements: this.statements.size,
+      clauses: this.clauses.size,
+      untranslated: this.report
+    };
+  }
+
+  static catalog(entries) {
+    const catalog = {};
+    entries.forEach((entry, id) => {
+      catalog[id] = entry;
+    });
+    return catalog;
+  }
+
+  // Triggers and program units
+
+  parseUnit(unit) {
+    const name = (unit.name || '').toUpperCase();
+    try {
+      return { name: name, code: unit.code, node: Parser.parseUnit(unit.code) };
+    } catch (error) {
+      return { name: name, code: unit.code, node: null, error: error };
+    }
+  }
+
+  // Runs emit() with the source, report label and function frame of a unit.
+  within(source, label, frame, emit) {
+    const saved = [this.source, this.label, this.frame];
+    this.source = source;
+    this.label = label;
+    this.frame = Object.assign({ loops: 0, handlers: 0, usesSql: false, outs: [], kind: 'trigger' }, frame);
+    try {
+      emit();
+    } finally {
+      [this.source, this.label, this.frame] = saved;
+    }
+  }
+
+  emitUnit(unit) {
+    this.emit('');
+    this.within(unit.code, `unit ${unit.name}`, {}, () => {
+      if (!unit.node) {
+        const reason = unit.error.reason || unit.error.message;
+        this.emit(`// ${unit.name}`);
+        this.indented(`units.${Generator.identifier(unit.name)} = async (form) => {`, () => {
+          this.emitUntranslated({ start: 0, end: unit.code.length, line: 1 }, reason);
+        }, '};');
+        return;
+      }
+      this.emit(`// ${unit.node.kind.toUpperCase()} ${unit.name}`);
+      this.emitFunction(`units.${Generator.identifier(unit.name)} = `, unit.node, this.units, ';');
+    });
+  }
+
+  // A procedure or function as an async arrow function taking the form and
+  // its parameters. A procedure with OUT parameters resolves with their
+  // values: { name: value }.
+  emitFunction(prefix, node, parentScope, terminator) {
+    const scope = new Scope(parentScope);
+    const params = node.params.map(param => {
+      const js = Generator.identifier(param.name);
+      scope.declare(param.name, { kind: 'variable', js: js });
+      if (param.value === null) return js;
+      try {
+        return `${js} = ${this.expression(param.value, scope)}`;
+      } catch (error) {
+        if (!(error instanceof Untranslated)) throw error;
+        this.record(param.value, error.message);
+        return js;
+      }
+    });
+    const outs = node.params.filter(param => param.mode !== 'IN').map(param => Generator.identifier(param.name));
+
+    const saved = this.frame;
+    this.frame = Object.assign({}, saved, { loops: 0, handlers: 0, usesSql: false, outs: outs, kind: node.kind });
+    this.indented(`${prefix}async (${['form'].concat(params).join(', ')}) => {`, () => {
+      const start = this.lines.length;
+      this.emitBlock(node, scope);
+      if (outs.length) this.emit(`return ${this.outObject()};`);
+      if (this.frame.usesSql) this.lines.splice(start, 0, `${'  '.repeat(this.level)}let sql = null;`);
+    }, `}${terminator}`);
+    this.frame = saved;
+  }
+
+  outObject() {
+    return `{ ${this.frame.outs.map(js => `${js}: ${js}`).join(', ')} }`;
+  }
+
+  emitTrigger(trigger, index) {
+    const name = (trigger.name || '').toUpperCase();
+    const label = `trigger ${name} #${index}`;
+    const scope = Generator.triggerScope(trigger);
+    const fields = `name: ${Generator.quote(name)}${scope === undefined ? '' : `, scope: ${scope === null ? 'null' : Generator.quote(scope)}`}`;
+    this.emit('');
+    this.emit(`// ${index}: ${name}`);
+
+    this.within(trigger.code || '', label, {}, () => {
+      if (REMOVED_SOURCE.test(this.source) || !this.source.trim()) {
+        this.record({ start: 0, end: this.source.length, line: 1 }, 'source not available');
+        this.emit(`triggers.push({ ${fields}, handler: null });`);
+        return;
+      }
+
+      let node = null;
+      let failure = null;
+      try {
+        node = Parser.parseTrigger(this.source);
+      } catch (error) {
+        failure = error.reason || error.message;
+      }
+
+      this.indented('triggers.push({', () => {
+        this.emit(`${fields},`);
+        this.indented('handler: async (form, event) => {', () => {
+          if (failure) {
+            this.emitUntranslated({ start: 0, end: this.source.length, line: 1 }, failure);
+            return;
+          }
+          const start = this.lines.length;
+          this.emitBlock(node, new Scope(this.units));
+          if (this.frame.usesSql) this.lines.splice(start, 0, `${'  '.repeat(this.level)}let sql = null;`);
+        });
+      }, '});');
+    });
+  }
+
+  // Blocks
+
+  // Declarations, statements and exception handlers of a block, trigger or
+  // unit. Handlers make the statements a try/catch; the declarations come
+  // before it, so the handlers see them and an error raised while declaring
+  // goes to the enclosing block, as in PL/SQL. A nested block with
+  // declarations gets its own { } scope.
+  emitBlock(node, parentScope) {
+    const scope = new Scope(parentScope);
+    const declarations = node.declarations || [];
+    const handlers = node.handlers || [];
+    const statements = () => node.body.forEach(statement => this.emitStatement(statement, scope));
+    const block = () => {
+      declarations.forEach(declaration => this.emitDeclaration(declaration, scope));
+      if (handlers.length) {
+        this.indented('try {', statements, null);
+        this.indented('} catch (error) {', () => this.emitHandlers(handlers, scope));
+      } else {
+        statements();
+      }
+    };
+
+    if (declarations.length && node.type === 'Block') {
+      this.indented('{', block);
+    } else {
+      block();
+    }
+  }
+
+  emitHandlers(handlers, scope) {
+    this.frame.handlers++;
+    const others = handlers.find(handler => handler.names.includes('OTHERS'));
+    const named = handlers.filter(handler => handler !== others);
+    const handlerBody = handler => () => handler.body.forEach(statement => this.emitStatement(statement, new Scope(scope)));
+
+    if (!named.length) {
+      handlerBody(others)();
+    } else {
+      named.forEach((handler, index) => {
+        const names = handler.names.map(name => Generator.quote(name)).join(', ');
+        const header = `if (Plsql.matches(error, ${names})) {`;
+        this.indented(index === 0 ? header : `} else ${header}`, handlerBody(handler), null);
+      });
+      if (others) {
+        this.indented('} else {', handlerBody(others));
+      } else {
+        this.indented('} else {', () => this.emit('throw error;'));
+      }
+    }
+    this.frame.handlers--;
+  }
+
+  emitDeclaration(node, scope) {
+    // PL/SQL only rejects a name declared twice once it is used; JavaScript
+    // rejects the declaration itself.
+    if (node.name && scope.declares(node.name)) {
+      this.emitUntranslated(node, `duplicate declaration of ${node.name.toUpperCase()}`);
+      return;
+    }
+    switch (node.type) {
+      case 'Variable': {
+        const js = Generator.identifier(node.name);
+        let value = 'null';
+        if (node.value) {
+          try {
+            value = this.expression(node.value, scope);
+          } catch (error) {
+            if (!(error instanceof Untranslated)) throw error;
+            this.emitUntranslated(node, error.message);
+          }
+        }
+        scope.declare(node.name, { kind: 'variable', js: js });
+        this.emit(`${node.constant ? 'const' : 'let'} ${js} = ${value};`);
+        break;
+      }
+      case 'ExceptionDeclaration':
+        scope.declare(node.name, { kind: 'exception', js: node.name.toUpperCase() });
+        break;
+      case 'Cursor': {
+        const js = Generator.identifier(node.name);
+        const cursorScope = new Scope(scope);
+        node.params.forEach(param => cursorScope.declare(param.name, { kind: 'cursorParam', js: null }));
+        try {
+          const statement = this.declareStatement(node.query, cursorScope);
+          scope.declare(node.name, {
+            kind: 'cursor', js: js, id: statement.id, binds: statement.binds, params: node.params
+          });
+          this.emit(`const ${js} = new PlsqlCursor(form, ${Generator.quote(statement.id)});`);
+        } catch (error) {
+          if (!(error instanceof Untranslated)) throw error;
+          this.emitUntranslated(node, error.message);
+        }
+        break;
+      }
+      case 'Unit': {
+        const js = Generator.identifier(node.name);
+        scope.declare(node.name, { kind: 'unit', js: js, node: node });
+        this.emitFunction(`const ${js} = `, node, scope, ';');
+        break;
+      }
+      default:
+        this.emitUntranslated(node, node.reason || `${node.type} declaration`);
+    }
+  }
+
+  // Statements
+
+  emitStatement(node, scope) {
+    try {
+      this.statement(node, scope);
+    } catch (error) {
+      if (!(error instanceof Untranslated)) throw error;
+      this.emitUntranslated(node, error.message);
+    }
+  }
+
+  statement(node, scope) {
+    switch (node.type) {
+      case 'Null':
+        return;
+      case 'Block':
+        return this.emitBlock(node, scope);
+      case 'Assign':
+        return this.emit(this.assignment(node.target, this.expression(node.value, scope), scope));
+      case 'Call':
+        return this.emitCall(node, scope);
+      case 'If':
+        return this.emitIf(node, scope);
+      case 'Loop':
+        return this.emitLoop('while (true) {', node.body, scope);
+      case 'While':
+        return this.emitLoop(`while (${this.condition(node.condition, scope)}) {`, node.body, scope);
+      case 'For':
+        return this.emitFor(node, scope);
+      case 'CursorFor':
+        return this.emitCursorFor(node, scope);
+      case 'Exit':
+        if (!this.frame.loops) this.fail('EXIT outside a loop');
+        return this.emit(node.condition ? `if (${this.condition(node.condition, scope)}) break;` : 'break;');
+      case 'Return':
+        return this.emit(this.returnStatement(node, scope));
+      case 'Raise':
+        return this.emit(this.raise(node, scope));
+      case 'Open':
+        return this.emitOpen(node, scope);
+      case 'Fetch':
+        return this.emitFetch(node, scope);
+      case 'Close':
+        return this.emit(`${this.cursor(node.cursor, scope).js}.close();`);
+      case 'SelectInto':
+        return this.emitSelectInto(node, scope);
+      case 'Dml': {
+        const statement = this.declareStatement(node.query, scope);
+        this.frame.usesSql = true;
+        return this.emit(`sql = await Plsql.execute(form, ${Generator.quote(statement.id)}, ${this.bindObject(statement.binds)});`);
+      }
+      case 'Commit':
+        return this.emit('await form.save();');
+      case 'Rollback':
+        return this.fail('ROLLBACK');
+      default:
+        return this.fail(node.reason || `${node.type} statement`);
+    }
+  }
+
+  // The JavaScript assigning code (a JavaScript expression) to a target.
+  assignment(target, code, scope) {
+    if (target.type === 'Bind') {
+      if (Generator.isSystem(target.name)) this.fail(`assignment to :${target.name.toUpperCase()}`);
+      return `form.setFieldValue(${Generator.quote(target.name.toUpperCase())}, ${code});`;
+    }
+    const entry = scope.lookup(target.parts[0]);
+    if (target.parts.length === 1 && entry && entry.kind === 'variable') {
+      return `${entry.js} = ${code};`;
+    }
+    if (target.parts.length === 2 && entry && entry.kind === 'record') {
+      return `${entry.js}${Generator.column(target.parts[1])} = ${code};`;
+    }
+    return this.fail(`assignment to ${target.parts.join('.').toUpperCase()}`);
+  }
+
+  emitIf(node, scope) {
+    node.branches.forEach((branch, index) => {
+      const header = `if (${this.condition(branch.condition, scope)}) {`;
+      this.indented(index === 0 ? header : `} else ${header}`, () => {
+        const branchScope = new Scope(scope);
+        branch.body.forEach(statement => this.emitStatement(statement, branchScope));
+      }, null);
+    });
+    if (node.otherwise) {
+      this.indented('} else {', () => {
+        const branchScope = new Scope(scope);
+        node.otherwise.forEach(statement => this.emitStatement(statement, branchScope));
+      }, null);
+    }
+    this.emit('}');
+  }
+
+  emitLoop(header, body, scope) {
+    this.frame.loops++;
+    this.indented(header, () => {
+      const loopScope = new Scope(scope);
+      body.forEach(statement => this.emitStatement(statement, loopScope));
+    });
+    this.frame.loops--;
+  }
+
+  emitFor(node, scope) {
+    const js = Generator.identifier(node.variable);
+    const loopScope = new Scope(scope);
+    const low = this.number(node.low, scope);
+    const high = this.number(node.high, scope);
+    loopScope.declare(node.variable, { kind: 'variable', js: js });
+    const header = node.reverse
+      ? `for (let ${js} = ${high}; ${js} >= ${low}; ${js}--) {`
+      : `for (let ${js} = ${low}; ${js} <= ${high}; ${js}++) {`;
+    this.emitLoop(header, node.body, loopScope);
+  }
+
+  emitCursorFor(node, scope) {
+    let rows;
+    if (node.query) {
+      const statement = this.declareStatement(node.query, scope);
+      rows = `await Plsql.records(form, ${Generator.quote(statement.id)}, ${this.bindObject(statement.binds)})`;
+    } else {
+      const cursor = this.cursor(node.cursor, scope);
+      rows = `await ${cursor.js}.records(${this.cursorBinds(cursor, node.args, scope)})`;
+    }
+    const js = Generator.identifier(node.variable);
+    const loopScope = new Scope(scope);
+    loopScope.declare(node.variable, { kind: 'record', js: js });
+    this.emitLoop(`for (const ${js} of ${rows}) {`, node.body, loopScope);
+  }
+
+  returnStatement(node, scope) {
+    if (this.frame.kind === 'function') {
+      if (!node.value) this.fail('RETURN without a value in a function');
+      return `return ${this.expression(node.value, scope)};`;
+    }
+    if (node.value) this.fail('RETURN with a value outside a function');
+    return this.frame.outs.length ? `return ${this.outObject()};` : 'return;';
+  }
+
+  raise(node, scope) {
+    if (!node.name) {
+      if (!this.frame.handlers) this.fail('RAISE outside an exception handler');
+      return 'throw error;';
+    }
+    if (node.name === 'FORM_TRIGGER_FAILURE') return 'throw new FormTriggerFailure();';
+    return `throw new PlsqlError(${Generator.quote(node.name)});`;
+  }
+
+  cursor(name, scope) {
+    const entry = scope.lookup(name);
+    if (!entry || entry.kind !== 'cursor') this.fail(`unknown cursor ${name.toUpperCase()}`);
+    return entry;
+  }
+
+  // Bind values for opening a cursor: its own binds and its parameters.
+  cursorBinds(cursor, args, scope) {
+    const binds = cursor.binds.filter(bind => !bind.param);
+    cursor.params.forEach((param, index) => {
+      const arg = args[index];
+      if (arg && arg.name) this.fail('named arguments');
+      const code = arg ? this.expression(arg.value, scope) : this.expressionOrNull(param.value, scope);
+      binds.push({ key: param.name.toUpperCase(), code: code });
+    });
+    return this.bindObject(binds);
+  }
+
+  emitOpen(node, scope) {
+    const cursor = this.cursor(node.cursor, scope);
+    this.emit(`await ${cursor.js}.open(${this.cursorBinds(cursor, node.args, scope)});`);
+  }
+
+  // The fetched row's values go to the targets; past the last row they keep
+  // their values, as in PL/SQL.
+  emitFetch(node, scope) {
+    const cursor = this.cursor(node.cursor, scope);
+    const assignments = node.targets.map((target, index) => this.assignment(target, `values[${index}]`, scope));
+    if (assignments.length === 1) {
+      this.emit(`${cursor.js}.fetch(values => { ${assignments[0]} });`);
+    } else {
+      this.indented(`${cursor.js}.fetch(values => {`, () => assignments.forEach(line => this.emit(line)), '});');
+    }
+  }
+
+  // SELECT ... INTO. A SELECT of plain expressions from DUAL is evaluated in
+  // place; anything else is a declared statement.
+  emitSelectInto(node, scope) {
+    if (node.expressions && node.expressions.length === node.targets.length) {
+      try {
+        const lines = node.targets.map((target, index) =>
+          this.assignment(target, this.expression(node.expressions[index], scope), scope));
+        lines.forEach(line => this.emit(line));
+        return;
+      } catch (error) {
+        if (!(error instanceof Untranslated)) throw error;
+      }
+    }
+    const statement = this.declareStatement(node.query, scope);
+    const assignments = node.targets.map((target, index) => this.assignment(target, `values[${index}]`, scope));
+    this.indented('{', () => {
+      this.emit(`const values = await Plsql.selectInto(form, ${Generator.quote(statement.id)}, ${this.bindObject(statement.binds)});`);
+      assignments.forEach(line => this.emit(line));
+    });
+  }
+
+  emitCall(node, scope) {
+    const name = node.parts.join('.').toLowerCase();
+    if (node.parts.length > 1) this.fail(`package call ${name.toUpperCase()}`);
+
+    const entry = scope.lookup(name);
+    if (entry && entry.kind === 'unit') return this.emitUnitCall(entry, node.args, scope);
+    if (entry) this.fail(`${name.toUpperCase()} is not a procedure`);
+
+    if (Object.prototype.hasOwnProperty.call(PROCEDURES, name)) {
+      const code = PROCEDURES[name](this.builtinContext(scope), node.args);
+      if (code) this.emit(`${code};`);
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+      this.emit(`${FUNCTIONS[name](this.builtinContext(scope), node.args)};`);
+      return;
+    }
+    this.unknown(name, 'procedure');
+  }
+
+  unknown(name, kind) {
+    if (UNSUPPORTED.has(name)) this.fail(`built-in ${name.toUpperCase()} has no runtime equivalent`);
+    this.fail(`unknown ${kind} ${name.toUpperCase()}`);
+  }
+
+  // A call to a program unit. OUT and IN OUT arguments are assigned from the
+  // values the procedure resolves with.
+  emitUnitCall(entry, args, scope) {
+    const params = entry.node ? entry.node.params : [];
+    if (args.some(arg => arg.name)) this.fail('named arguments');
+    const values = args.map((arg, index) => {
+      const param = params[index];
+      return param && param.mode === 'OUT' ? 'null' : this.expression(arg.value, scope);
+    });
+    const call = `await ${entry.js}(${['form'].concat(values).join(', ')})`;
+    const outs = params
+      .map((param, index) => ({ param: param, arg: args[index] }))
+      .filter(({ param, arg }) => param.mode !== 'IN' && arg);
+    if (!outs.length) {
+      this.emit(`${call};`);
+      return;
+    }
+
+    const assignments = outs.map(({ param, arg }) => {
+      if (arg.value.type !== 'Bind' && arg.value.type !== 'Name') {
+        this.fail(`${param.mode} argument ${param.name.toUpperCase()} is not a variable`);
+      }
+      return this.assignment(arg.value, `out.${Generator.identifier(param.name)}`, scope);
+    });
+    this.indented('{', () => {
+      this.emit(`const out = ${call};`);
+      assignments.forEach(line => this.emit(line));
+    });
+  }
+
+  // The generator as the built-ins see it.
+  builtinContext(scope) {
+    return {
+      list: (args, kinds) => this.argumentList(args, kinds, scope),
+      expr: node => this.expression(node, scope),
+      key: name => Generator.key(name),
+      isWord: (node, word) => node.type === 'Name' && node.parts.length === 1 && node.parts[0].toUpperCase() === word,
+      clause: args => this.declareClause(args, scope),
+      fail: reason => this.fail(reason)
+    };
+  }
+
+  argumentList(args, kinds = '', scope) {
+    return args.map((arg, index) => {
+      if (arg.name) this.fail('named arguments');
+      return kinds[index] === 'w' ? this.word(arg.value, scope) : this.expression(arg.value, scope);
+    }).join(', ');
+  }
+
+  // A bare word that is not a variable is a Forms constant, passed by name.
+  word(node, scope) {
+    if (node.type === 'Name' && node.parts.length === 1 && !scope.lookup(node.parts[0]) &&
+        !CONSTANTS[node.parts[0].toLowerCase()]) {
+      return Generator.quote(node.parts[0].toUpperCase());
+    }
+    return this.expression(node, scope);
+  }
+
+  // Embedded SQL
+
+  // Declares the SQL in the catalog. :block.item references stay as they
+  // are; PL/SQL variables become :NAME binds. Returns { id, binds } where
+  // binds are { key, code } pairs.
+  declareStatement(sql, scope) {
+    const binds = new Map();
+    const tokens = sql.tokens;
+    if (tokens.some(token => String(token.value).includes(LOST_TEXT))) {
+      this.fail('SQL with text lost in extraction (U+FFFD)');
+    }
+    let text = '';
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if (previous && this.source.slice(previous.end, token.start)) text += ' ';
+
+      if (token.type === 'bind') {
+        const key = token.value.toUpperCase();
+        if (!binds.has(key)) binds.set(key, { key: key, code: this.bindValue(token.value) });
+        text += `:${token.value}`;
+        continue;
+      }
+
+      const entry = token.type === 'word' && !(previous && previous.value === '.') && scope.lookup(token.value);
+      if (entry && entry.kind === 'record' && next && next.value === '.' && tokens[index + 2]) {
+        const column = tokens[index + 2].value;
+        const key = `${token.value}_${column}`.toUpperCase();
+        binds.set(key, { key: key, code: `${entry.js}${Generator.column(column)}` });
+        text += `:${key}`;
+        index += 2;
+        continue;
+      }
+      if (entry && (entry.kind === 'variable' || entry.kind === 'cursorParam') &&
+          !(next && (next.value === '.' || next.value === '('))) {
+        const key = token.value.toUpperCase();
+        binds.set(key, { key: key, code: entry.js, param: entry.kind === 'cursorParam' });
+        text += `:${key}`;
+        continue;
+      }
+      text += this.source.slice(token.start, token.end);
+    }
+
+    const id = `SQL${String(this.statements.size + 1).padStart(3, '0')}`;
+    const list = Array.from(binds.values());
+    this.statements.set(id, { source: this.label, sql: text, binds: list.map(bind => bind.key) });
+    return { id: id, binds: list };
+  }
+
+  // SET_BLOCK_PROPERTY(block, DEFAULT_WHERE | ORDER_BY, text). The text,
+  // string literals joined by || to :block.item references, variables and
+  // numbers, is declared as a clause with those values as binds: 'item_no =
+  // ''' || :SUPP_ITEMS.ITEM_NO || '''' becomes item_no = :SUPP_ITEMS.ITEM_NO.
+  // The block keeps the clause's id and the binds' values at the time of
+  // the call, and its queries ask the server for the clause in place of the
+  // block's own. NULL restores the block's own clause.
+  declareClause(args, scope) {
+    if (args.some(arg => arg.name)) this.fail('named arguments');
+    const [block, property, value] = args.map(arg => arg.value);
+    const name = property.parts[0].toUpperCase();
+    if (!block || block.type !== 'String') this.fail(`SET_BLOCK_PROPERTY of ${name} of a block named at run time`);
+    if (!value) this.fail(`SET_BLOCK_PROPERTY of ${name} without a value`);
+    const set = code => `form.setBlockProperty(${Generator.quote(block.value.toUpperCase())}, ${Generator.quote(name)}, ${code})`;
+    if (value.type === 'Null' || (value.type === 'String' && value.value === '')) return set('null');
+
+    const parts = Generator.flatten(value, '||');
+    const binds = new Map();
+    let text = '';
+    let quoted = false;
+    parts.forEach((part, index) => {
+      if (part.type === 'String' || part.type === 'Number') {
+        const literal = String(part.value);
+        if (literal.includes(LOST_TEXT)) this.fail('string with text lost in extraction (U+FFFD)');
+        text += quoted ? literal.slice(1) : literal;
+        quoted = false;
+        return;
+      }
+      const entry = part.type === 'Name' && part.parts.length === 1 && scope.lookup(part.parts[0]);
+      let bind;
+      if (part.type === 'Bind' && !Generator.isSystem(part.name)) {
+        bind = { key: part.name.toUpperCase(), code: this.bindValue(part.name) };
+      } else if (entry && entry.kind === 'variable') {
+        bind = { key: part.parts[0].toUpperCase(), code: entry.js };
+      } else {
+        this.fail(`SET_BLOCK_PROPERTY of ${name} built from a ${part.type} expression`);
+      }
+      // A value between quotes, as in '''' || :item || '''', is bound as
+      // is; one inside a longer literal ('%' || :item || '%') cannot be.
+      const next = parts[index + 1];
+      const insideLiteral = (text.match(/'/g) || []).length % 2 === 1;
+      quoted = insideLiteral && text.endsWith("'") && Boolean(next) && next.type === 'String' && next.value.startsWith("'");
+      if (insideLiteral && !quoted) this.fail(`SET_BLOCK_PROPERTY of ${name} with a value inside a string literal`);
+      if (quoted) text = text.slice(0, -1);
+      binds.set(bind.key, bind);
+      text += `:${bind.key}`;
+    });
+
+    const keyword = name === 'DEFAULT_WHERE' ? /^\s*where\s+/i : /^\s*order\s+by\s+/i;
+    const id = `CLAUSE${String(this.clauses.size + 1).padStart(3, '0')}`;
+    const list = Array.from(binds.values());
+    this.clauses.set(id, {
+      source: this.label,
+      block: block.value.toUpperCase(),
+      property: name,
+      sql: text.replace(keyword, '').trim(),
+      binds: list.map(bind => bind.key)
+    });
+    return set(`{ id: ${Generator.quote(id)}, binds: ${this.bindObject(list)} }`);
+  }
+
+  bindObject(binds) {
+    if (!binds.length) return '{}';
+    return `{ ${binds.map(bind => `${Generator.key(bind.key)}: ${bind.code}`).join(', ')} }`;
+  }
+
+  // Expressions
+
+  expression(node, scope) {
+    return this.expressionWithPrecedence(node, scope)[0];
+  }
+
+  expressionOrNull(node, scope) {
+    return node ? this.expression(node, scope) : 'null';
+  }
+
+  // A condition that cannot be translated is reported and taken as false,
+  // so the statements under it still are.
+  condition(node, scope) {
+    try {
+      return this.expression(node, scope);
+    } catch (error) {
+      if (!(error instanceof Untranslated)) throw error;
+      this.record(node, error.message);
+      return `Plsql.untranslated(${Generator.quote(this.label)}, ${Generator.quote(error.message)})`;
+    }
+  }
+
+  number(node, scope) {
+    return node.type === 'Number' ? String(node.value) : `Plsql.toNumber(${this.expression(node, scope)})`;
+  }
+
+  // Returns [code, precedence].
+  expressionWithPrecedence(node, scope) {
+    const atom = code => [code, ATOM];
+    const wrap = (operand, precedence) => {
+      const [code, own] = this.expressionWithPrecedence(operand, scope);
+      return own < precedence ? `(${code})` : code;
+    };
+    const call = (name, args) => atom(`Plsql.${name}(${args.map(arg => this.expression(arg, scope)).join(', ')})`);
+    const negate = (negated, result) => (negated ? atom(`Plsql.not(${result[0]})`) : result);
+
+    switch (node.type) {
+      case 'Number':
+        return atom(String(node.value));
+      case 'String':
+        if (node.value.includes(LOST_TEXT)) this.fail('string with text lost in extraction (U+FFFD)');
+        // '' is NULL in Oracle.
+        return atom(node.value === '' ? 'null' : Generator.quote(node.value));
+      case 'Null':
+        return atom('null');
+      case 'Boolean':
+        return atom(String(node.value));
+      case 'Bind':
+        return atom(this.bindValue(node.name));
+      case 'Name':
+        return atom(this.name(node, scope));
+      case 'Call':
+        return atom(this.functionCall(node, scope));
+      case 'Attribute':
+        return atom(this.attribute(node, scope));
+      case 'Unary':
+        if (node.op === 'NOT') {
+          if (node.operand.type === 'IsNull' || node.operand.type === 'Boolean') {
+            return atom(`!${wrap(node.operand, ATOM)}`);
+          }
+          return call('not', [node.operand]);
+        }
+        if (node.op === '+') return this.expressionWithPrecedence(node.operand, scope);
+        return node.operand.type === 'Number' ? atom(`-${node.operand.value}`) : call('subtract', [{ type: 'Number', value: 0 }, node.operand]);
+      case 'Binary':
+        if (node.op === 'AND') return [`${wrap(node.left, AND)} && ${wrap(node.right, AND)}`, AND];
+        if (node.op === 'OR') return [`${wrap(node.left, OR)} || ${wrap(node.right, OR)}`, OR];
+        if (node.op === '||') return call('concat', Generator.flatten(node, '||'));
+        if (COMPARISONS[node.op]) return call(COMPARISONS[node.op], [node.left, node.right]);
+        return call(ARITHMETIC[node.op], [node.left, node.right]);
+      case 'IsNull':
+        return atom(`${node.negated ? '!' : ''}Plsql.isNull(${this.expression(node.operand, scope)})`);
+      case 'Like':
+        return negate(node.negated, call('like', [node.operand, node.pattern]));
+      case 'In': {
+        const list = node.list.map(item => this.expression(item, scope)).join(', ');
+        return negate(node.negated, atom(`Plsql.isIn(${this.expression(node.operand, scope)}, [${list}])`));
+      }
+      case 'Between':
+        return negate(node.negated, call('between', [node.operand, node.low, node.high]));
+      default:
+        return this.fail(`${node.type} expression`);
+    }
+  }
+
+  // The value of :block.item, :PARAMETER.name, :GLOBAL.name or :SYSTEM.name.
+  bindValue(name) {
+    if (Generator.isSystem(name)) {
+      return `Plsql.system(form, ${Generator.quote(name.slice(name.indexOf('.') + 1).toUpperCase())})`;
+    }
+    return `form.getFieldValue(${Generator.quote(name.toUpperCase())})`;
+  }
+
+  name(node, scope) {
+    const first = node.parts[0];
+    const entry = scope.lookup(first);
+    if (node.parts.length === 2 && entry && entry.kind === 'record') {
+      return `${entry.js}${Generator.column(node.parts[1])}`;
+    }
+    if (node.parts.length > 1) this.fail(`package variable ${node.parts.join('.').toUpperCase()}`);
+
+    if (entry) {
+      if (entry.kind === 'variable' || entry.kind === 'record') return entry.js;
+      if (entry.kind === 'unit') return this.unitFunctionCall(entry, [], scope);
+      this.fail(`${first.toUpperCase()} used as a value`);
+    }
+    const lower = first.toLowerCase();
+    if (CONSTANTS[lower]) return CONSTANTS[lower];
+    if ((lower === 'sqlerrm' || lower === 'sqlcode') && this.frame.handlers) {
+      return `Plsql.${lower}(error)`;
+    }
+    return this.fail(`unknown name ${first.toUpperCase()}`);
+  }
+
+  functionCall(node, scope) {
+    const name = node.parts.join('.').toLowerCase();
+    if (node.parts.length > 1) this.fail(`package call ${name.toUpperCase()}`);
+
+    const entry = scope.lookup(name);
+    if (entry && entry.kind === 'unit') return this.unitFunctionCall(entry, node.args, scope);
+    if (entry) this.fail(`${name.toUpperCase()} is not a function`);
+    if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+      return FUNCTIONS[name](this.builtinContext(scope), node.args);
+    }
+    return this.unknown(name, 'function');
+  }
+
+  unitFunctionCall(entry, args, scope) {
+    if (entry.node && entry.node.kind !== 'function') this.fail(`procedure ${entry.node.name.toUpperCase()} used as a value`);
+    if (args.some(arg => arg.name)) this.fail('named arguments');
+    const values = args.map(arg => this.expression(arg.value, scope));
+    return `(await ${entry.js}(${['form'].concat(values).join(', ')}))`;
+  }
+
+  attribute(node, scope) {
+    const property = CURSOR_ATTRIBUTES[node.attribute];
+    if (!property || node.parts.length !== 1) this.fail(`attribute %${node.attribute}`);
+    if (node.parts[0].toUpperCase() === 'SQL') {
+      this.frame.usesSql = true;
+      return `Plsql.implicit(sql).${property}`;
+    }
+    return `${this.cursor(node.parts[0], scope).js}.${property}`;
+  }
+
+  // Helpers
+
+  static flatten(node, op) {
+    if (node.type !== 'Binary' || node.op !== op) return [node];
+    return Generator.flatten(node.left, op).concat(Generator.flatten(node.right, op));
+  }
+
+  static isSystem(name) {
+    return name.toUpperCase().startsWith('SYSTEM.');
+  }
+
+  static identifier(name) {
+    const js = name.toLowerCase().replace(/[^\w]/g, '_');
+    return JS_RESERVED.has(js) ? `${js}_` : js;
+  }
+
+  // Access to a column of a cursor record, whose keys are the lower-case
+  // column names (see PlsqlCursor.records).
+  static column(name) {
+    const key = name.toLowerCase();
+    return /^[a-z_$][\w$]*$/.test(key) ? `.${key}` : `[${Generator.quote(key)}]`;
+  }
+
+  // BLOCK.ITEM, BLOCK or null (form level) when the extraction says;
+  // undefined when it does not.
+  static triggerScope(trigger) {
+    if (!('block' in trigger)) return undefined;
+    if (!trigger.block) return null;
+    const block = trigger.block.toUpperCase();
+    return trigger.item ? `${block}.${trigger.item.toUpperCase()}` : block;
+  }
+
+  static quote(text) {
+    return `'${String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n')}'`;
+  }
+
+  static key(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : Generator.quote(name);
+  }
+}
+
+module.exports = { Generator, Untranslated };
@@ -0,0 +1,151 @@
+'use strict';
+
+// PL/SQL Lexer
+// Splits trigger and program unit source into tokens. Comments are dropped;
+// every token keeps its offsets so untranslated code and embedded SQL can be
+// cut from the original text.
+//
+// Token types: word, number, string, bind (:block.item), op, eof.
+
+const OPERATORS = [':=', '=>', '..', '||', '<=', '>=', '<>', '!=', '^=', '~=', '**'];
+const SINGLE = '()[],;.+-*/=<>%@&';
+
+class LexError extends Error {
+  constructor(message, line) {
+    super(`line ${line}: ${message}`);
+    this.name = 'LexError';
+    this.line = line;
+  }
+}
+
+class Lexer {
+  constructor(source) {
+    this.source = source;
+    this.position = 0;
+    this.line = 1;
+  }
+
+  static tokenize(source) {
+    return new Lexer(source).tokens();
+  }
+
+  tokens() {
+    const tokens = [];
+    let token;
+    do {
+      token = this.next();
+      tokens.push(token);
+    } while (token.type !== 'eof');
+    return tokens;
+  }
+
+  peek(offset = 0) {
+    return this.source[this.position + offset] || '';
+  }
+
+  advance(count = 1) {
+    for (let i = 0; i < count; i++) {
+      if (this.source[this.position] === '\n') this.line++;
+      this.position++;
+    }
+  }
+
+  skipSpaceAndComments() {
+    for (;;) {
+      const char = this.peek();
+      if (/\s/.test(char)) {
+        this.advance();
+      } else if (char === '-' && this.peek(1) === '-') {
+        while (this.position < this.source.length && this.peek() !== '\n') this.advance();
+      } else if (char === '/' && this.peek(1) === '*') {
+        const end = this.source.indexOf('*/', this.position + 2);
+        this.advance((end === -1 ? this.source.length : end + 2) - this.position);
+      } else {
+        return;
+      }
+    }
+  }
+
+  token(type, value, start, line) {
+    return {
+      type: type,
+      value: value,
+      upper: type === 'word' ? value.toUpperCase() : value,
+      start: start,
+      end: this.position,
+      line: line
+    };
+  }
+
+  next() {
+    this.skipSpaceAndComments();
+    const start = this.position;
+    const line = this.line;
+    const char = this.peek();
+
+    if (!char) return this.token('eof', '', start, line);
+
+    if (/[A-Za-z_]/.test(char)) {
+      while (/[\w$#]/.test(this.peek())) this.advance();
+      return this.token('word', this.source.slice(start, this.position), start, line);
+    }
+
+    if (char === '"') {
+      const end = this.source.indexOf('"', start + 1);
+      if (end === -1) throw new LexError('unterminated quoted identifier', line);
+      this.advance(end + 1 - start);
+      return this.token('word', this.source.slice(start + 1, end), start, line);
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(this.peek(1)))) {
+      while (/\d/.test(this.peek())) this.advance();
+      // 1..10 is a range, not the number 1.
+      if (this.peek() === '.' && this.peek(1) !== '.') {
+        this.advance();
+        while (/\d/.test(this.peek())) this.advance();
+      }
+      if (/[eE]/.test(this.peek()) && /[\d+-]/.test(this.peek(1))) {
+        this.advance(2);
+        while (/\d/.test(this.peek())) this.advance();
+      }
+      return this.token('number', this.source.slice(start, this.position), start, line);
+    }
+
+    if (char === "'") {
+      let value = '';
+      this.advance();
+      for (;;) {
+        if (this.position >= this.source.length) throw new LexError('unterminated string', line);
+        if (this.peek() === "'") {
+          if (this.peek(1) !== "'") break;
+          value += "'";
+          this.advance(2);
+        } else {
+          value += this.peek();
+          this.advance();
+        }
+      }
+      this.advance();
+      return this.token('string', value, start, line);
+    }
+
+    if (char === ':' && /[A-Za-z_]/.test(this.peek(1))) {
+      this.advance();
+      while (/[\w$#.]/.test(this.peek())) this.advance();
+      return this.token('bind', this.source.slice(start + 1, this.position), start, line);
+    }
+
+    const operator = OPERATORS.find(op => this.source.startsWith(op, start));
+    if (operator) {
+      this.advance(operator.length);
+      return this.token('op', operator, start, line);
+    }
+    if (SINGLE.includes(char)) {
+      this.advance();
+      return this.token('op', char, start, line);
+    }
+    throw new LexError(`unexpected character ${JSON.stringify(char)}`, line);
+  }
+}
+
+module.exports = { Lexer, LexError };
@@ -0,0 +1,808 @@
+'use strict';
+
+const { Lexer } = require('./lexer');
+
+// PL/SQL Parser
+// Recursive descent parser for the subset of PL/SQL found in Forms triggers
+// and program units: blocks with declarations and exception handlers,
+// IF/ELSIF, loops, cursors, SELECT INTO, DML, assignments and calls.
+// Embedded SQL is not parsed, only delimited; its tokens are kept for the
+// generator. A statement the parser does not know becomes an Unsupported
+// node and parsing resumes after it.
+
+// Words that end an expression or a statement list and so never name a
+// variable or a call.
+const RESERVED = new Set([
+  'AND', 'BEGIN', 'BETWEEN', 'DECLARE', 'ELSE', 'ELSIF', 'END', 'EXCEPTION', 'FROM', 'IF', 'IN',
+  'INTO', 'IS', 'LIKE', 'LOOP', 'NOT', 'OR', 'THEN', 'WHEN', 'WHERE'
+]);
+
+const COMPARISONS = {
+  '=': '=',
+  '<>': '!=',
+  '!=': '!=',
+  '^=': '!=',
+  '~=': '!=',
+  '<': '<',
+  '>': '>',
+  '<=': '<=',
+  '>=': '>='
+};
+
+// Statement keywords the subset does not cover.
+const UNSUPPORTED_STATEMENTS = new Set(['CASE', 'GOTO', 'EXECUTE', 'FORALL', 'PIPE', 'SAVEPOINT', 'LOCK', 'SET']);
+
+class ParseError extends Error {
+  constructor(message, token) {
+    super(`line ${token.line}: ${message}`);
+    this.name = 'ParseError';
+    this.line = token.line;
+    this.reason = message;
+  }
+}
+
+class Parser {
+  constructor(source, tokens = Lexer.tokenize(source)) {
+    this.source = source;
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  // A trigger body: a list of statements, any of which may be a block. As in
+  // Forms the body is implicitly a block and may end with exception handlers.
+  static parseTrigger(source) {
+    const parser = new Parser(source);
+    const start = parser.current;
+    const body = parser.parseStatements(['EXCEPTION']);
+    const handlers = parser.accept('EXCEPTION') ? parser.parseHandlers() : [];
+    parser.expectEnd();
+    return parser.finish('Trigger', start, { body: body, handlers: handlers });
+  }
+
+  // A program unit: PROCEDURE or FUNCTION with its body.
+  static parseUnit(source) {
+    const parser = new Parser(source);
+    if (parser.is('PACKAGE')) throw new ParseError('package', parser.current);
+    const unit = parser.parseUnitDeclaration();
+    parser.expectEnd();
+    return unit;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  get previous() {
+    return this.tokens[this.index - 1] || this.tokens[0];
+  }
+
+  lookahead(offset = 1) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  is(word, token = this.current) {
+    return token.type === 'word' && token.upper === word;
+  }
+
+  isOp(op, token = this.current) {
+    return token.type === 'op' && token.value === op;
+  }
+
+  accept(word) {
+    if (!this.is(word)) return false;
+    this.index++;
+    return true;
+  }
+
+  acceptOp(op) {
+    if (!this.isOp(op)) return false;
+    this.index++;
+    return true;
+  }
+
+  expect(word) {
+    if (!this.accept(word)) throw new ParseError(`expected ${word}, found ${this.describe()}`, this.current);
+  }
+
+  expectOp(op) {
+    if (!this.acceptOp(op)) throw new ParseError(`expected ${op}, found ${this.describe()}`, this.current);
+  }
+
+  expectEnd() {
+    if (this.current.type !== 'eof') throw new ParseError(`unexpected ${this.describe()}`, this.current);
+  }
+
+  identifier() {
+    const token = this.current;
+    if (token.type !== 'word') throw new ParseError(`expected a name, found ${this.describe()}`, token);
+    this.index++;
+    return token.value;
+  }
+
+  describe(token = this.current) {
+    if (token.type === 'eof') return 'end of code';
+    if (token.type === 'string') return 'a string';
+    return token.type === 'bind' ? `:${token.value}` : token.value;
+  }
+
+  finish(type, startToken, props = {}) {
+    return Object.assign({
+      type: type,
+      start: startToken.start,
+      end: Math.max(this.previous.end, startToken.end),
+      line: startToken.line
+    }, props);
+  }
+
+  atTerminator(terminators) {
+    const token = this.current;
+    return token.type === 'eof' || (token.type === 'word' && terminators.includes(token.upper));
+  }
+
+  // Statements
+
+  parseStatements(terminators) {
+    const statements = [];
+    while (!this.atTerminator(terminators)) {
+      statements.push(this.parseStatementSafely());
+    }
+    return statements;
+  }
+
+  parseStatementSafely() {
+    const start = this.index;
+    try {
+      return this.parseStatement();
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      this.index = start;
+      const token = this.current;
+      this.skipStatement();
+      return this.finish('Unsupported', token, { reason: error.reason });
+    }
+  }
+
+  // Skips to the end of the statement, over any IF, LOOP, CASE or block it
+  // opens. Stops before an END that closes the enclosing block.
+  skipStatement() {
+    let depth = 0;
+    const first = this.index;
+    while (this.current.type !== 'eof') {
+      const token = this.current;
+      if (token.type === 'word') {
+        const afterEnd = this.index > first && this.is('END', this.previous);
+        if (['IF', 'LOOP', 'CASE', 'BEGIN'].includes(token.upper) && !afterEnd) {
+          depth++;
+        } else if (token.upper === 'END') {
+          if (depth === 0 && this.index > first) return;
+          depth--;
+        }
+      }
+      this.index++;
+      if (this.isOp(';', token) && depth <= 0) return;
+    }
+  }
+
+  parseStatement() {
+    const token = this.current;
+    if (token.type === 'bind') return this.parseCallOrAssignment();
+    if (token.type !== 'word') throw new ParseError(`unexpected ${this.describe()}`, token);
+    if (UNSUPPORTED_STATEMENTS.has(token.upper)) throw new ParseError(`${token.upper} statement`, token);
+
+    switch (token.upper) {
+      case 'DECLARE':
+      case 'BEGIN':
+        return this.parseBlock();
+      case 'IF':
+        return this.parseIf();
+      case 'LOOP':
+        return this.parseLoop();
+      case 'WHILE':
+        return this.parseWhile();
+      case 'FOR':
+        return this.parseFor();
+      case 'EXIT':
+        return this.parseExit();
+      case 'RETURN':
+        return this.parseReturn();
+      case 'RAISE':
+        return this.parseRaise();
+      case 'NULL':
+        this.index++;
+        this.expectOp(';');
+        return this.finish('Null', token);
+      case 'OPEN':
+        return this.parseOpen();
+      case 'FETCH':
+        return this.parseFetch();
+      case 'CLOSE':
+        this.index++;
+        return this.finishStatement('Close', token, { cursor: this.identifier() });
+      case 'SELECT':
+        return this.parseSelectInto();
+      case 'INSERT':
+      case 'UPDATE':
+      case 'DELETE':
+      case 'MERGE':
+        return this.parseDml();
+      case 'COMMIT':
+      case 'ROLLBACK':
+        this.index++;
+        this.accept('WORK');
+        return this.finishStatement(token.upper === 'COMMIT' ? 'Commit' : 'Rollback', token);
+      default:
+        return this.parseCallOrAssignment();
+    }
+  }
+
+  finishStatement(type, token, props) {
+    this.expectOp(';');
+    return this.finish(type, token, props);
+  }
+
+  // [DECLARE declarations] BEGIN statements [EXCEPTION handlers] END [name];
+  parseBlock() {
+    const token = this.current;
+    const declarations = this.accept('DECLARE') ? this.parseDeclarations() : [];
+    const body = this.parseBody();
+    this.expectOp(';');
+    return this.finish('Block', token, Object.assign({ declarations: declarations }, body));
+  }
+
+  // BEGIN statements [EXCEPTION handlers] END [name]
+  parseBody() {
+    this.expect('BEGIN');
+    const statements = this.parseStatements(['EXCEPTION', 'END']);
+    const handlers = this.accept('EXCEPTION') ? this.parseHandlers() : [];
+    this.expect('END');
+    if (this.current.type === 'word') this.index++;
+    return { body: statements, handlers: handlers };
+  }
+
+  // WHEN name [OR name] THEN statements ...
+  parseHandlers() {
+    const handlers = [];
+    while (this.is('WHEN')) {
+      const token = this.current;
+      this.index++;
+      const names = [this.parseQualifiedName().toUpperCase()];
+      while (this.accept('OR')) names.push(this.parseQualifiedName().toUpperCase());
+      this.expect('THEN');
+      const body = this.parseStatements(['WHEN', 'END']);
+      handlers.push(this.finish('Handler', token, { names: names, body: body }));
+    }
+    return handlers;
+  }
+
+  parseQualifiedName() {
+    const parts = [this.identifier()];
+    while (this.acceptOp('.')) parts.push(this.identifier());
+    return parts.join('.');
+  }
+
+  parseIf() {
+    const token = this.current;
+    this.expect('IF');
+    const branches = [];
+    let otherwise = null;
+    do {
+      const condition = this.parseExpression();
+      this.expect('THEN');
+      branches.push({ condition: condition, body: this.parseStatements(['ELSIF', 'ELSE', 'END']) });
+    } while (this.accept('ELSIF'));
+    if (this.accept('ELSE')) otherwise = this.parseStatements(['END']);
+    this.expect('END');
+    this.expect('IF');
+    return this.finishStatement('If', token, { branches: branches, otherwise: otherwise });
+  }
+
+  parseLoopBody() {
+    this.expect('LOOP');
+    const body = this.parseStatements(['END']);
+    this.expect('END');
+    this.expect('LOOP');
+    if (this.current.type === 'word') this.index++;
+    this.expectOp(';');
+    return body;
+  }
+
+  parseLoop() {
+    const token = this.current;
+    return this.finish('Loop', token, { body: this.parseLoopBody() });
+  }
+
+  parseWhile() {
+    const token = this.current;
+    this.expect('WHILE');
+    const condition = this.parseExpression();
+    return this.finish('While', token, { condition: condition, body: this.parseLoopBody() });
+  }
+
+  // FOR i IN [REVERSE] low..high LOOP, FOR rec IN cursor[(args)] LOOP or
+  // FOR rec IN (SELECT ...) LOOP.
+  parseFor() {
+    const token = this.current;
+    this.expect('FOR');
+    const variable = this.identifier();
+    this.expect('IN');
+    const reverse = this.accept('REVERSE');
+
+    if (this.isOp('(') && this.is('SELECT', this.lookahead())) {
+      this.index++;
+      const query = this.parseSql(tokens => tokens.depth === 0 && this.isOp(')'));
+      this.expectOp(')');
+      return this.finish('CursorFor', token, { variable: variable, query: query, body: this.parseLoopBody() });
+    }
+
+    const low = this.parseExpression();
+    if (this.acceptOp('..')) {
+      const high = this.parseExpression();
+      return this.finish('For', token, {
+        variable: variable, low: low, high: high, reverse: reverse, body: this.parseLoopBody()
+      });
+    }
+    if (reverse || (low.type !== 'Name' && low.type !== 'Call') || low.parts.length !== 1) {
+      throw new ParseError('expected a range or a cursor in FOR', token);
+    }
+    return this.finish('CursorFor', token, {
+      variable: variable,
+      cursor: low.parts[0],
+      args: low.type === 'Call' ? low.args : [],
+      body: this.parseLoopBody()
+    });
+  }
+
+  parseExit() {
+    const token = this.current;
+    this.expect('EXIT');
+    if (this.current.type === 'word' && !this.is('WHEN')) {
+      throw new ParseError('EXIT with a label', token);
+    }
+    const condition = this.accept('WHEN') ? this.parseExpression() : null;
+    return this.finishStatement('Exit', token, { condition: condition });
+  }
+
+  parseReturn() {
+    const token = this.current;
+    this.expect('RETURN');
+    const value = this.isOp(';') ? null : this.parseExpression();
+    return this.finishStatement('Return', token, { value: value });
+  }
+
+  parseRaise() {
+    const token = this.current;
+    this.expect('RAISE');
+    const name = this.isOp(';') ? null : this.parseQualifiedName().toUpperCase();
+    return this.finishStatement('Raise', token, { name: name });
+  }
+
+  parseOpen() {
+    const token = this.current;
+    this.expect('OPEN');
+    const cursor = this.identifier();
+    if (this.is('FOR')) throw new ParseError('OPEN FOR (cursor variables)', token);
+    const args = this.isOp('(') ? this.parseArguments() : [];
+    return this.finishStatement('Open', token, { cursor: cursor, args: args });
+  }
+
+  parseFetch() {
+    const token = this.current;
+    this.expect('FETCH');
+    const cursor = this.identifier();
+    if (this.is('BULK')) throw new ParseError('BULK COLLECT', token);
+    this.expect('INTO');
+    const targets = [this.parseTarget()];
+    while (this.acceptOp(',')) targets.push(this.parseTarget());
+    return this.finishStatement('Fetch', token, { cursor: cursor, targets: targets });
+  }
+
+  // An assignment target: :block.item or a (dotted) name.
+  parseTarget() {
+    const token = this.current;
+    if (token.type === 'bind') {
+      this.index++;
+      return this.finish('Bind', token, { name: token.value });
+    }
+    if (token.type !== 'word' || RESERVED.has(token.upper)) {
+      throw new ParseError(`expected a variable, found ${this.describe()}`, token);
+    }
+    const parts = [this.identifier()];
+    while (this.acceptOp('.')) parts.push(this.identifier());
+    return this.finish('Name', token, { parts: parts });
+  }
+
+  // Collects the tokens of an embedded SQL statement up to the ; (or until
+  // stop() says so), keeping track of parenthesis depth.
+  parseSql(stop = () => this.isOp(';')) {
+    const start = this.current;
+    const tokens = [];
+    tokens.depth = 0;
+    while (this.current.type !== 'eof') {
+      if (tokens.depth === 0 && stop(tokens)) break;
+      const token = this.current;
+      if (this.isOp('(')) tokens.depth++;
+      if (this.isOp(')')) tokens.depth--;
+      tokens.push(token);
+      this.index++;
+    }
+    if (tokens.length === 0) throw new ParseError('expected SQL', start);
+    delete tokens.depth;
+    return this.finish('Sql', start, { tokens: tokens });
+  }
+
+  // SELECT list INTO targets FROM ...;  The INTO clause is taken out of the
+  // query. A SELECT from DUAL also keeps its select list as expressions, so
+  // the generator can evaluate it without a round trip.
+  parseSelectInto() {
+    const token = this.current;
+    const sql = this.parseSql();
+    this.expectOp(';');
+
+    let depth = 0;
+    let into = -1;
+    let from = -1;
+    sql.tokens.forEach((t, index) => {
+      if (this.isOp('(', t)) depth++;
+      if (this.isOp(')', t)) depth--;
+      if (depth !== 0) return;
+      if (into === -1 && this.is('INTO', t)) into = index;
+      if (into !== -1 && from === -1 && this.is('FROM', t)) from = index;
+    });
+    if (into === -1) throw new ParseError('SELECT without INTO', token);
+    if (this.is('BULK', sql.tokens[into - 1])) throw new ParseError('BULK COLLECT', token);
+    if (from === -1) throw new ParseError('SELECT INTO without FROM', token);
+
+    const targets = Parser.split(sql.tokens.slice(into + 1, from), this).map(part => {
+      const parser = this.subParser(part);
+      const target = parser.parseTarget();
+      parser.expectEnd();
+      return target;
+    });
+
+    let expressions = null;
+    const rest = sql.tokens.slice(from + 1);
+    if (rest.length === 1 && this.is('DUAL', rest[0])) {
+      try {
+        expressions = Parser.split(sql.tokens.slice(1, into), this).map(part => {
+          const parser = this.subParser(part);
+          const expression = parser.parseExpression();
+          parser.expectEnd();
+          return expression;
+        });
+      } catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+      }
+    }
+
+    const query = Object.assign({}, sql, { tokens: sql.tokens.slice(0, into).concat(sql.tokens.slice(from)) });
+    return this.finish('SelectInto', token, { query: query, targets: targets, expressions: expressions });
+  }
+
+  // Splits tokens on the commas at parenthesis depth 0.
+  static split(tokens, parser) {
+    const parts = [[]];
+    let depth = 0;
+    tokens.forEach(token => {
+      if (parser.isOp('(', token)) depth++;
+      if (parser.isOp(')', token)) depth--;
+      if (depth === 0 && parser.isOp(',', token)) {
+        parts.push([]);
+      } else {
+        parts[parts.length - 1].push(token);
+      }
+    });
+    return parts;
+  }
+
+  subParser(tokens) {
+    const last = tokens[tokens.length - 1] || this.current;
+    const eof = { type: 'eof', value: '', upper: '', start: last.end, end: last.end, line: last.line };
+    return new Parser(this.source, tokens.concat([eof]));
+  }
+
+  parseDml() {
+    const token = this.current;
+    const sql = this.parseSql();
+    this.expectOp(';');
+    if (sql.tokens.some(t => this.is('RETURNING', t))) throw new ParseError('RETURNING INTO', token);
+    return this.finish('Dml', token, { verb: token.upper, query: sql });
+  }
+
+  // name := expression;  name;  name(arguments);
+  parseCallOrAssignment() {
+    const token = this.current;
+    const target = this.parseTarget();
+    if (this.acceptOp(':=')) {
+      return this.finishStatement('Assign', token, { target: target, value: this.parseExpression() });
+    }
+    if (target.type === 'Bind') throw new ParseError(`expected := after :${target.name}`, token);
+    const args = this.isOp('(') ? this.parseArguments() : [];
+    return this.finishStatement('Call', token, { parts: target.parts, args: args });
+  }
+
+  // Declarations
+
+  // Variables, constants, exceptions, cursors and local procedures up to
+  // BEGIN.
+  parseDeclarations() {
+    const declarations = [];
+    while (!this.is('BEGIN') && this.current.type !== 'eof') {
+      const start = this.index;
+      try {
+        declarations.push(this.parseDeclaration());
+      } catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+        this.index = start;
+        const token = this.current;
+        this.skipStatement();
+        declarations.push(this.finish('Unsupported', token, { reason: error.reason }));
+      }
+    }
+    return declarations;
+  }
+
+  parseDeclaration() {
+    const token = this.current;
+    if (this.is('CURSOR')) return this.parseCursor();
+    if (this.is('PROCEDURE') || this.is('FUNCTION')) return this.parseUnitDeclaration();
+    if (['TYPE', 'SUBTYPE', 'PRAGMA'].includes(token.upper)) {
+      throw new ParseError(`${token.upper} declaration`, token);
+    }
+
+    const name = this.identifier();
+    if (this.accept('EXCEPTION')) return this.finishStatement('ExceptionDeclaration', token, { name: name });
+
+    const constant = this.accept('CONSTANT');
+    const type = this.parseType([';', ':=']);
+    if (this.accept('NOT')) this.expect('NULL');
+    let value = null;
+    if (this.acceptOp(':=') || this.accept('DEFAULT')) value = this.parseExpression();
+    return this.finishStatement('Variable', token, { name: name, constant: constant, dataType: type, value: value });
+  }
+
+  // The text of a type, up to one of the given operators or DEFAULT, NOT
+  // NULL, IS or AS.
+  parseType(operators) {
+    const start = this.current;
+    let depth = 0;
+    while (this.current.type !== 'eof') {
+      if (depth === 0 && (operators.some(op => this.isOp(op)) ||
+          ['DEFAULT', 'NOT', 'IS', 'AS'].some(word => this.is(word)))) {
+        break;
+      }
+      if (this.isOp('(')) depth++;
+      if (this.isOp(')')) depth--;
+      this.index++;
+    }
+    if (this.current === start) throw new ParseError(`expected a type, found ${this.describe()}`, start);
+    return this.source.slice(start.start, this.previous.end);
+  }
+
+  // CURSOR name [(parameters)] [RETURN type] IS query;
+  parseCursor() {
+    const token = this.current;
+    this.expect('CURSOR');
+    const name = this.identifier();
+    const params = this.isOp('(') ? this.parseParameters() : [];
+    if (this.accept('RETURN')) this.parseType([';']);
+    this.expect('IS');
+    const query = this.parseSql();
+    return this.finishStatement('Cursor', token, { name: name, params: params, query: query });
+  }
+
+  // (name [IN | OUT | IN OUT] [NOCOPY] type [:= | DEFAULT value], ...)
+  parseParameters() {
+    const params = [];
+    this.expectOp('(');
+    do {
+      const name = this.identifier();
+      let mode = 'IN';
+      if (this.accept('IN')) mode = this.accept('OUT') ? 'IN OUT' : 'IN';
+      else if (this.accept('OUT')) mode = 'OUT';
+      this.accept('NOCOPY');
+      this.parseType([',', ')', ':=']);
+      let value = null;
+      if (this.acceptOp(':=') || this.accept('DEFAULT')) value = this.parseExpression();
+      params.push({ name: name, mode: mode, value: value });
+    } while (this.acceptOp(','));
+    this.expectOp(')');
+    return params;
+  }
+
+  // PROCEDURE name [(parameters)] IS ... or
+  // FUNCTION name [(parameters)] RETURN type IS ...
+  parseUnitDeclaration() {
+    const token = this.current;
+    const kind = this.is('FUNCTION') ? 'function' : 'procedure';
+    this.index++;
+    const name = this.identifier();
+    const params = this.isOp('(') ? this.parseParameters() : [];
+    if (kind === 'function') {
+      this.expect('RETURN');
+      this.parseType([';']);
+    }
+    if (this.isOp(';')) throw new ParseError('forward declaration', token);
+    if (!this.accept('IS')) this.expect('AS');
+    const declarations = this.parseDeclarations();
+    const body = this.parseBody();
+    this.expectOp(';');
+    return this.finish('Unit', token, Object.assign({
+      kind: kind, name: name, params: params, declarations: declarations
+    }, body));
+  }
+
+  // Expressions, lowest precedence first
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    const token = this.current;
+    let left = this.parseAnd();
+    while (this.accept('OR')) {
+      left = this.finish('Binary', token, { op: 'OR', left: left, right: this.parseAnd() });
+    }
+    return left;
+  }
+
+  parseAnd() {
+    const token = this.current;
+    let left = this.parseNot();
+    while (this.accept('AND')) {
+      left = this.finish('Binary', token, { op: 'AND', left: left, right: this.parseNot() });
+    }
+    return left;
+  }
+
+  parseNot() {
+    const token = this.current;
+    if (this.accept('NOT')) return this.finish('Unary', token, { op: 'NOT', operand: this.parseNot() });
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const token = this.current;
+    const left = this.parseAdditive();
+
+    const op = this.current.type === 'op' && COMPARISONS[this.current.value];
+    if (op) {
+      this.index++;
+      return this.finish('Binary', token, { op: op, left: left, right: this.parseAdditive() });
+    }
+    if (this.accept('IS')) {
+      const negated = this.accept('NOT');
+      this.expect('NULL');
+      return this.finish('IsNull', token, { operand: left, negated: negated });
+    }
+
+    const negated = this.is('NOT') && ['LIKE', 'IN', 'BETWEEN'].some(word => this.is(word, this.lookahead()));
+    if (negated) this.index++;
+    if (this.accept('LIKE')) {
+      const pattern = this.parseAdditive();
+      if (this.is('ESCAPE')) throw new ParseError('LIKE with ESCAPE', token);
+      return this.finish('Like', token, { operand: left, pattern: pattern, negated: negated });
+    }
+    if (this.accept('IN')) {
+      this.expectOp('(');
+      if (this.is('SELECT')) throw new ParseError('IN with a subquery', token);
+      const list = [this.parseExpression()];
+      while (this.acceptOp(',')) list.push(this.parseExpression());
+      this.expectOp(')');
+      return this.finish('In', token, { operand: left, list: list, negated: negated });
+    }
+    if (this.accept('BETWEEN')) {
+      const low = this.parseAdditive();
+      this.expect('AND');
+      const high = this.parseAdditive();
+      return this.finish('Between', token, { operand: left, low: low, high: high, negated: negated });
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    const token = this.current;
+    let left = this.parseMultiplicative();
+    while (['+', '-', '||'].some(op => this.isOp(op))) {
+      const op = this.current.value;
+      this.index++;
+      left = this.finish('Binary', token, { op: op, left: left, right: this.parseMultiplicative() });
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    const token = this.current;
+    let left = this.parseUnary();
+    while (this.isOp('*') || this.isOp('/')) {
+      const op = this.current.value;
+      this.index++;
+      left = this.finish('Binary', token, { op: op, left: left, right: this.parseUnary() });
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.current;
+    if (this.isOp('-') || this.isOp('+')) {
+      this.index++;
+      return this.finish('Unary', token, { op: token.value, operand: this.parseUnary() });
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.current;
+    switch (token.type) {
+      case 'number':
+        this.index++;
+        return this.finish('Number', token, { value: Number(token.value) });
+      case 'string':
+        this.index++;
+        return this.finish('String', token, { value: token.value });
+      case 'bind':
+        this.index++;
+        return this.finish('Bind', token, { name: token.value });
+      case 'op':
+        if (this.acceptOp('(')) {
+          if (this.is('SELECT')) throw new ParseError('scalar subquery', token);
+          const expression = this.parseExpression();
+          this.expectOp(')');
+          return expression;
+        }
+        break;
+      case 'word':
+        return this.parseName();
+    }
+    throw new ParseError(`unexpected ${this.describe()}`, token);
+  }
+
+  // name, a.b.c, name(arguments) or cursor%ATTRIBUTE.
+  parseName() {
+    const token = this.current;
+    if (token.upper === 'NULL') {
+      this.index++;
+      return this.finish('Null', token);
+    }
+    if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+      this.index++;
+      return this.finish('Boolean', token, { value: token.upper === 'TRUE' });
+    }
+    if (['CASE', 'EXISTS', 'SELECT', 'PRIOR'].includes(token.upper)) {
+      throw new ParseError(`${token.upper} expression`, token);
+    }
+    if (RESERVED.has(token.upper)) throw new ParseError(`unexpected ${token.value}`, token);
+
+    const parts = [this.identifier()];
+    while (this.isOp('.') && this.lookahead().type === 'word') {
+      this.index++;
+      parts.push(this.identifier());
+    }
+    if (this.isOp('(')) {
+      return this.finish('Call', token, { parts: parts, args: this.parseArguments() });
+    }
+    if (this.acceptOp('%')) {
+      return this.finish('Attribute', token, { parts: parts, attribute: this.identifier().toUpperCase() });
+    }
+    return this.finish('Name', token, { parts: parts });
+  }
+
+  // (value, ...) with optional name => value notation.
+  parseArguments() {
+    const args = [];
+    this.expectOp('(');
+    if (this.acceptOp(')')) return args;
+    do {
+      let name = null;
+      if (this.current.type === 'word' && this.isOp('=>', this.lookahead())) {
+        name = this.identifier();
+        this.index++;
+      }
+      args.push({ name: name, value: this.parseExpression() });
+    } while (this.acceptOp(','));
+    this.expectOp(')');
+    return args;
+  }
+}
+
+module.exports = { Parser, ParseError };
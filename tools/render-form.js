@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+'use strict';
+
+// Renders a form's index.html from its form.json.
+//
+//   node tools/render-form.js [--check] <form dir>...
+//
+// form.json declares the form's blocks, items, canvases, LOVs and triggers
+// (see tools/form-definition/definition.js). The page gets the markup of
+// every item and the controller's definition, so app.js only supplies the
+// trigger handlers form.json names. --check writes nothing and exits with 1
+// when an index.html is not what its form.json renders, i.e. one of them
+// was edited without the other.
+
+const fs = require('fs');
+const path = require('path');
+const { FormDefinition } = require('./form-definition/definition');
+const { FormRenderer } = require('./form-definition/renderer');
+
+const USAGE = 'Usage: node tools/render-form.js [--check] <form dir>...';
+
+function parseArguments(argv) {
+  const options = { check: false, forms: [] };
+  argv.forEach(arg => {
+    if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.forms.push(arg);
+    }
+  });
+  return options;
+}
+
+function render(directory) {
+  const definition = FormDefinition.load(path.join(directory, 'form.json'));
+  return {
+    form: definition.name,
+    items: definition.items.length,
+    blocks: definition.blocks.length,
+    html: FormRenderer.render(definition)
+  };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help || !options.forms.length) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  let failed = false;
+  options.forms.forEach(directory => {
+    try {
+      const result = render(directory);
+      const file = path.join(directory, 'index.html');
+      if (options.check) {
+        const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        const upToDate = current === result.html;
+        console.log(`${result.form}: index.html is ${upToDate ? 'up to date' : 'not what form.json renders'}`);
+        if (!upToDate) failed = true;
+      } else {
+        fs.writeFileSync(file, result.html);
+        console.log(`${result.form}: rendered ${result.items} items of ${result.blocks} blocks into ${file}`);
+      }
+    } catch (error) {
+      console.error(`${directory}: ${error.message}`);
+      failed = true;
+    }
+  });
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { render };
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+'use strict';
+
+// Transpiles a form's plsql_extracted.json into JavaScript trigger handlers.
+//
+//   node tools/transpile-plsql.js [--out <dir>] [--report <file>] [--check] <form dir>...
+//
+// For each form directory it writes plsql-triggers.js (GENERATED_PLSQL, to
+// load after runtime/plsql-runtime.js) and plsql-statements.json, the SQL
+// statements the handlers may run through options.sqlUrl and the where and
+// order by clauses they may give a block's queries. --out writes them
+// to <dir>/<form dir name>/ instead; --check writes nothing. It prints what
+// it could not translate, and --report saves that as JSON. The exit status
+// is 1 when a form could not be read.
+
+const fs = require('fs');
+const path = require('path');
+const { Generator } = require('./plsql/generator');
+
+const USAGE = 'Usage: node tools/transpile-plsql.js [--out <dir>] [--report <file>] [--check] <form dir>...';
+
+function parseArguments(argv) {
+  const options = { out: null, report: null, check: false, forms: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out' || arg === '--report') {
+      if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.forms.push(arg);
+    }
+  }
+  return options;
+}
+
+// g_codes_fmb -> G_CODES, the name app.js gives the form.
+function formName(directory) {
+  return path.basename(path.resolve(directory)).replace(/_fmb.*$/i, '').toUpperCase();
+}
+
+// { code, statements, clauses, report } for the form, written nowhere.
+function generate(directory) {
+  const source = path.join(directory, 'plsql_extracted.json');
+  const extracted = JSON.parse(fs.readFileSync(source, 'utf8'));
+  const generator = new Generator(formName(directory), {
+    sourceFile: path.posix.join(path.basename(path.resolve(directory)), 'plsql_extracted.json')
+  });
+  return generator.generate(extracted);
+}
+
+function transpile(directory, options) {
+  const name = formName(directory);
+  const result = generate(directory);
+
+  if (!options.check) {
+    const target = options.out ? path.join(options.out, path.basename(path.resolve(directory))) : directory;
+    fs.mkdirSync(target, { recursive: true });
+    fs.writeFileSync(path.join(target, 'plsql-triggers.js'), result.code);
+    fs.writeFileSync(path.join(target, 'plsql-statements.json'), JSON.stringify({
+      form: name,
+      statements: result.statements,
+      clauses: result.clauses
+    }, null, 2) + '\n');
+  }
+  return result.report;
+}
+
+function printReport(report) {
+  const { triggers, units } = report;
+  console.log(`${report.form}: ${triggers.translated}/${triggers.total} triggers and ` +
+    `${units.translated}/${units.total} program units fully translated, ${report.statements} SQL statements, ` +
+    `${report.clauses} where and order by clauses`);
+
+  const reasons = new Map();
+  report.untranslated.forEach(entry => reasons.set(entry.reason, (reasons.get(entry.reason) || 0) + 1));
+  Array.from(reasons.entries())
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([reason, count]) => console.log(`  ${String(count).padStart(4)}  ${reason}`));
+  report.untranslated
+    .filter(entry => entry.reason !== 'source not available')
+    .forEach(entry => console.log(`    ${entry.source}, line ${entry.line}: ${entry.reason}: ${entry.code}`));
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help || !options.forms.length) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const reports = [];
+  let failed = false;
+  options.forms.forEach(directory => {
+    try {
+      const report = transpile(directory, options);
+      printReport(report);
+      reports.push(report);
+    } catch (error) {
+      console.error(`${directory}: ${error.message}`);
+      failed = true;
+    }
+  });
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(reports, null, 2) + '\n');
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { transpile, generate, formName };
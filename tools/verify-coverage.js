@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+'use strict';
+
+// Checks a converted form against its FMB extraction.
+//
+//   node tools/verify-coverage.js [--report <file>] [--check] <form dir>...
+//
+// Every item plsql_extracted.json refers to (:block.item binds, GO_ITEM,
+// SET_ITEM_PROPERTY and the other item built-ins) should be rendered by
+// index.html or be a table column in app.js. It lists the items that are
+// missing, the controls nothing in the extraction refers to and the ids
+// index.html repeats, and writes the share of referenced items found into
+// metadata.json as its coverage (--check writes nothing). The exit status
+// is 1 when an item is missing, an id is repeated or a form could not be
+// read.
+
+const fs = require('fs');
+const path = require('path');
+const { ItemReferences } = require('./coverage/references');
+const { PageItems } = require('./coverage/page-items');
+
+const USAGE = 'Usage: node tools/verify-coverage.js [--report <file>] [--check] <form dir>...';
+
+const COVERAGE_BASIS = 'items referenced by plsql_extracted.json that index.html or app.js renders';
+
+function parseArguments(argv) {
+  const options = { report: null, check: false, forms: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--report') {
+      if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+      options.report = argv[++i];
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.forms.push(arg);
+    }
+  }
+  return options;
+}
+
+function readOptional(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function percentage(part, total) {
+  return total ? `${(part / total * 100).toFixed(1)}%` : 'n/a';
+}
+
+function verify(directory) {
+  const extracted = JSON.parse(fs.readFileSync(path.join(directory, 'plsql_extracted.json'), 'utf8'));
+  const references = ItemReferences.fromExtraction(extracted);
+  const page = PageItems.fromSources(
+    fs.readFileSync(path.join(directory, 'index.html'), 'utf8'),
+    readOptional(path.join(directory, 'app.js'))
+  );
+
+  const referenced = references.itemNames;
+  const missing = references.all.filter(reference => !page.has(reference.item));
+  const missingItems = new Set(missing.map(reference => reference.item));
+  const unreferenced = page.all.filter(item => !referenced.has(item.name));
+
+  return {
+    form: path.basename(path.resolve(directory)),
+    referenced: referenced.size,
+    found: referenced.size - missingItems.size,
+    coverage: percentage(referenced.size - missingItems.size, referenced.size),
+    missing: missing,
+    unreferenced: unreferenced,
+    duplicateIds: page.duplicateIds,
+    unavailable: references.unavailable,
+    unreadable: references.unreadable
+  };
+}
+
+// Keeps the converter's own fields; only the coverage figures change.
+function writeMetadata(directory, result) {
+  const file = path.join(directory, 'metadata.json');
+  const metadata = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  Object.assign(metadata, {
+    coverage: result.coverage,
+    coverage_basis: COVERAGE_BASIS,
+    items_referenced: result.referenced,
+    items_found: result.found,
+    items_missing: Array.from(new Set(result.missing.map(reference => reference.item))).sort(),
+    items_unreferenced: result.unreferenced.length,
+    duplicate_ids: result.duplicateIds.map(duplicate => duplicate.id),
+    sources_unavailable: result.unavailable.length
+  });
+  fs.writeFileSync(file, JSON.stringify(metadata, null, 2));
+}
+
+function printResult(result) {
+  console.log(`${result.form}: ${result.found}/${result.referenced} referenced items rendered (${result.coverage})`);
+  if (result.unavailable.length) {
+    console.log(`  ${result.unavailable.length} sources not available in the extraction; their items are not counted`);
+  }
+  result.unreadable.forEach(entry => console.log(`  could not read ${entry.source}: ${entry.reason}`));
+  if (result.missing.length) {
+    console.log(`  missing (${result.missing.length}):`);
+    result.missing.forEach(reference => {
+      const first = reference.sources[0];
+      const more = reference.sources.length > 1 ? ` and ${reference.sources.length - 1} more` : '';
+      console.log(`    ${reference.name}  ${first.source}, line ${first.line}${more}`);
+    });
+  }
+  if (result.duplicateIds.length) {
+    console.log(`  duplicate ids (${result.duplicateIds.length}):`);
+    result.duplicateIds.forEach(duplicate => console.log(`    ${duplicate.id}  lines ${duplicate.lines.join(', ')}`));
+  }
+  if (result.unreferenced.length) {
+    console.log(`  not referenced by the extraction (${result.unreferenced.length}):`);
+    result.unreferenced.forEach(item => {
+      console.log(`    ${item.name}  ${item.line ? `${item.kind}, line ${item.line}` : `app.js ${item.kind}`}`);
+    });
+  }
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help || !options.forms.length) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const results = [];
+  let failed = false;
+  options.forms.forEach(directory => {
+    try {
+      const result = verify(directory);
+      printResult(result);
+      if (!options.check) writeMetadata(directory, result);
+      results.push(result);
+      if (result.missing.length || result.duplicateIds.length) failed = true;
+    } catch (error) {
+      console.error(`${directory}: ${error.message}`);
+      failed = true;
+    }
+  });
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(results, null, 2) + '\n');
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { verify };